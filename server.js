@@ -17,6 +17,16 @@ const fs = require('fs').promises;
 const DatabaseService = require('./src/services/DatabaseService');
 const TranscriptionService = require('./src/services/TranscriptionService');
 const EvaluationService = require('./src/services/EvaluationService');
+const HeuristicEvaluationService = require('./src/services/HeuristicEvaluationService');
+const RubricService = require('./src/services/RubricService');
+const FormatService = require('./src/services/FormatService');
+const PacingService = require('./src/services/PacingService');
+const DisfluencyService = require('./src/services/DisfluencyService');
+const AudioAnalysisService = require('./src/services/AudioAnalysisService');
+const LanguageService = require('./src/services/LanguageService');
+const ScriptComparisonService = require('./src/services/ScriptComparisonService');
+const { createLLMProvider } = require('./src/services/llm');
+const { tokenize } = require('./src/services/wordAlignment');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -51,35 +61,64 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
+// Encrypted histories exceed the default body limit; parsed here, the global parser skips them
+const MAX_SYNC_BLOB_SIZE = parseInt(process.env.MAX_SYNC_BLOB_SIZE) || 2 * 1024 * 1024; // 2MB
+app.use('/api/sync', express.json({ limit: MAX_SYNC_BLOB_SIZE }));
 app.use(express.json());
 
 // File upload configuration
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB
+// Browser recordings plus the types phones and desktop browsers report for uploaded files
+const AUDIO_FORMATS = [
+  { label: 'WebM', extensions: ['webm'], mime_types: ['audio/webm'] },
+  { label: 'WAV', extensions: ['wav'], mime_types: ['audio/wav', 'audio/x-wav', 'audio/wave'] },
+  { label: 'MP3', extensions: ['mp3'], mime_types: ['audio/mp3', 'audio/mpeg'] },
+  { label: 'M4A', extensions: ['m4a'], mime_types: ['audio/m4a', 'audio/mp4', 'audio/x-m4a'] }
+];
 const storage = multer.memoryStorage();
 const upload = multer({
   storage,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+    fileSize: MAX_FILE_SIZE,
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['audio/webm', 'audio/wav', 'audio/mp3', 'audio/m4a'];
+    const allowedTypes = AUDIO_FORMATS.flatMap(format => format.mime_types);
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only audio files allowed.'));
+      const error = new Error(`Invalid file type ${file.mimetype}. Allowed: ${AUDIO_FORMATS.map(format => format.label).join(', ')}`);
+      error.status = 415;
+      cb(error);
     }
   }
 });
 
 // Initialize services
-let dbService, transcriptionService, evaluationService;
+let dbService, transcriptionService, evaluationService, heuristicEvaluationService, rubricService, formatService, pacingService, disfluencyService, audioAnalysisService, languageService, scriptComparisonService;
 
 async function initializeServices() {
   try {
     dbService = new DatabaseService();
     await dbService.initialize();
     
+    rubricService = new RubricService();
+    console.log(`📐 Rubric loaded: ${rubricService.version}`);
+    
+    formatService = new FormatService();
+    console.log(`⏱️  Formats loaded: ${formatService.getDurations().join(', ')}s`);
+    
+    languageService = new LanguageService();
     transcriptionService = new TranscriptionService();
-    evaluationService = new EvaluationService();
+    pacingService = new PacingService();
+    disfluencyService = new DisfluencyService();
+    audioAnalysisService = new AudioAnalysisService();
+    scriptComparisonService = new ScriptComparisonService();
+    evaluationService = new EvaluationService(createLLMProvider(), rubricService, formatService);
+    
+    // Offline fallback when the LLM provider fails (disable with HEURISTIC_FALLBACK=false)
+    if (process.env.HEURISTIC_FALLBACK !== 'false') {
+      heuristicEvaluationService = new HeuristicEvaluationService(evaluationService);
+    }
     
     console.log('✅ Services initialized successfully');
   } catch (error) {
@@ -95,19 +134,64 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
       return res.status(400).json({ error: 'No audio file provided' });
     }
 
-    console.log(`📝 Transcribing audio file: ${req.file.mimetype}, ${req.file.size} bytes`);
+    // Optional spellings for names, companies and trade terms (JSON form field)
+    let vocabulary = null;
+    if (req.body.vocabulary) {
+      try {
+        vocabulary = transcriptionService.vocabularyService.normalize(JSON.parse(req.body.vocabulary));
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid vocabulary: expected JSON with name, company and terms' });
+      }
+    }
+
+    // Locale chosen by the member (de-DE, de-CH, de-AT, en-US); "auto" lets the provider detect it
+    let locale;
+    try {
+      locale = languageService.resolveLocale(req.body.language);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // The live transcript is aligned word by word on the event loop, so it is bounded like /api/compare
+    const liveTranscript = typeof req.body.live_transcript === 'string' ? req.body.live_transcript : '';
+    const maxLiveWords = scriptComparisonService.getWordLimit(formatService.getFormats());
+    const liveWords = tokenize(liveTranscript).length;
+    if (liveWords > maxLiveWords) {
+      return res.status(400).json({
+        error: `Too many words in live_transcript: ${liveWords}, at most ${maxLiveWords} can be compared`
+      });
+    }
+
+    console.log(`📝 Transcribing audio file: ${req.file.mimetype}, ${req.file.size} bytes, language ${locale ? locale.code : 'auto'}${vocabulary ? ', with vocabulary' : ''}`);
     
     const startTime = Date.now();
-    const result = await transcriptionService.transcribe(req.file.buffer, req.file.mimetype);
+    // Audio analysis is optional: a decoding problem must not fail the transcription
+    const [result, audioAnalysis] = await Promise.all([
+      transcriptionService.transcribe(req.file.buffer, req.file.mimetype, {
+        vocabulary,
+        language: locale ? locale.language : null,
+        liveTranscript
+      }),
+      audioAnalysisService.analyze(req.file.buffer, req.file.mimetype).catch(error => {
+        console.warn(`⚠️  Audio analysis failed: ${error.message}`);
+        return { supported: false, reason: error.message };
+      })
+    ]);
     const duration = Date.now() - startTime;
     
     console.log(`✅ Transcription completed in ${duration}ms`);
     
     res.json({
       transcript: result.transcript,
-      language: result.language || 'de',
+      language: result.language,
       duration: duration,
-      confidence: result.confidence || 0.95
+      confidence: result.confidence,
+      confidence_source: result.confidence_source,
+      low_confidence: result.low_confidence,
+      provider: result.provider,
+      corrections: result.corrections || [],
+      timestamps: result.timestamps || { segments: [], words: [], estimated: false },
+      audio_analysis: audioAnalysis
     });
   } catch (error) {
     console.error('❌ Transcription error:', error);
@@ -120,28 +204,90 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
 
 app.post('/api/evaluate', async (req, res) => {
   try {
-    const { transcript, duration } = req.body;
+    const { transcript, duration, format: formatKey, timestamps, audio_analysis: audioAnalysis } = req.body;
+    // Language reported by /api/transcribe; older clients send none, so detect it from the text
+    const language = languageService.normalize(req.body.language) ||
+      languageService.detect(transcript) ||
+      LanguageService.DEFAULT_LANGUAGE;
+    
+    // Recorded live, uploaded as a file or typed as a script (Script-Modus)
+    const inputType = req.body.input_type || 'recording';
     
     if (!transcript || !duration) {
       return res.status(400).json({ error: 'Missing transcript or duration' });
     }
     
-    if (![45, 60].includes(duration)) {
-      return res.status(400).json({ error: 'Duration must be 45 or 60 seconds' });
+    if (!DatabaseService.INPUT_TYPES.includes(inputType)) {
+      return res.status(400).json({ error: `input_type must be one of: ${DatabaseService.INPUT_TYPES.join(', ')}` });
+    }
+    
+    let format;
+    let speakingRate = null;
+    try {
+      format = formatService.resolve(duration, formatKey);
+      if (inputType === 'script') {
+        speakingRate = formatService.resolveSpeakingRate(req.body.speaking_rate);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Measured pacing is only available for recordings transcribed with timestamps,
+    // a script only has the speaking time estimated from its word count
+    const isScript = inputType === 'script';
+    if (!isScript) {
+      try {
+        pacingService.assertValidTimestamps(timestamps, format.duration, scriptComparisonService.getWordLimit([format]));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
     }
+    const pacing = isScript ? null : pacingService.analyze(timestamps, duration, format.word_range);
+    const estimate = isScript ? pacingService.estimate(transcript, duration, speakingRate) : null;
+    const disfluency = disfluencyService.analyze(
+      transcript,
+      pacing ? pacing.spoken_duration : estimate ? estimate.estimated_duration : null,
+      language
+    );
+    const measured = disfluencyService.toMeasuredKpis(disfluency);
+    const audio = !isScript && audioAnalysis && audioAnalysis.supported ? audioAnalysis : null;
 
-    console.log(`🎯 Evaluating pitch: ${duration}s, ${transcript.length} characters`);
+    console.log(`🎯 Evaluating pitch: ${format.key}, ${duration}s, ${language}, ${inputType}, ${transcript.length} characters`);
     
     const startTime = Date.now();
-    const evaluation = await evaluationService.evaluate(transcript, duration);
+    let evaluation;
+    try {
+      evaluation = await evaluationService.evaluate(transcript, duration, format, { pacing, measured, audio, estimate, language });
+    } catch (error) {
+      if (!heuristicEvaluationService) {
+        throw error;
+      }
+      console.warn(`⚠️  LLM evaluation failed, using heuristic fallback: ${error.message}`);
+      evaluation = heuristicEvaluationService.evaluate(transcript, duration, {
+        format,
+        pacing,
+        measured,
+        speakingRate: speakingRate || undefined,
+        fallbackReason: error.message,
+        language
+      });
+    }
     const evalDuration = Date.now() - startTime;
     
     // Store anonymous statistics
     await dbService.storeEvaluation({
       duration,
+      format: format.key,
       kpi_scores: evaluation.kpis,
+      overall_score: evaluation.overall_score,
       proposals: evaluation.proposals,
       word_count: transcript.split(' ').length,
+      rubric_version: evaluation.rubric_version,
+      prompt_version: evaluation.prompt_version,
+      model_used: evaluation.model_used,
+      language,
+      transcript_edited: req.body.transcript_edited === true,
+      input_type: inputType,
       timestamp: new Date().toISOString()
     });
     
@@ -150,8 +296,25 @@ app.post('/api/evaluate', async (req, res) => {
     res.json({
       kpis: evaluation.kpis,
       proposals: evaluation.proposals,
+      evidence: evaluation.evidence || {},
+      pacing,
+      estimate,
+      disfluency,
+      audio_analysis: audio,
+      format: format.key,
+      language,
+      input_type: inputType,
       evaluation_time: evalDuration,
-      overall_score: evaluation.overall_score
+      overall_score: evaluation.overall_score,
+      word_count: evaluation.word_count,
+      summary: evaluation.summary,
+      model_used: evaluation.model_used,
+      rubric_version: evaluation.rubric_version,
+      prompt_version: evaluation.prompt_version,
+      evaluation_mode: evaluation.evaluation_mode || 'llm',
+      fallback_reason: evaluation.fallback_reason || null,
+      // Only the heuristic fallback is limited to German
+      language_supported: evaluation.language_supported !== false
     });
   } catch (error) {
     console.error('❌ Evaluation error:', error);
@@ -162,9 +325,180 @@ app.post('/api/evaluate', async (req, res) => {
   }
 });
 
+app.post('/api/rewrite', async (req, res) => {
+  try {
+    const { transcript, duration, format: formatKey, proposals = [] } = req.body;
+    
+    if (!transcript || !duration) {
+      return res.status(400).json({ error: 'Missing transcript or duration' });
+    }
+    
+    if (!Array.isArray(proposals)) {
+      return res.status(400).json({ error: 'Proposals must be an array' });
+    }
+    
+    let format;
+    try {
+      format = formatService.resolve(duration, formatKey);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.log(`✍️  Rewriting pitch: ${format.key}, ${transcript.length} characters, ${proposals.length} proposals`);
+    
+    const rewrite = await evaluationService.rewrite(transcript, duration, proposals.slice(0, 5), format);
+    
+    res.json(rewrite);
+  } catch (error) {
+    console.error('❌ Rewrite error:', error);
+    res.status(500).json({ 
+      error: 'Rewrite failed',
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/compare', (req, res) => {
+  try {
+    const { script, transcript, duration, format: formatKey, timestamps } = req.body;
+    
+    if (!script || !transcript) {
+      return res.status(400).json({ error: 'Missing script or transcript' });
+    }
+    
+    let formats = formatService.getFormats();
+    if (duration) {
+      try {
+        formats = [formatService.resolve(duration, formatKey)];
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    
+    // The alignment runs on the event loop, so its input is bounded by the format
+    try {
+      scriptComparisonService.assertWithinLimit({ script, transcript, timestamps }, scriptComparisonService.getWordLimit(formats));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.log(`🔍 Comparing script with delivery: ${script.length} / ${transcript.length} characters`);
+    
+    const comparison = scriptComparisonService.compare(script, transcript, { timestamps, duration });
+    
+    res.json(comparison);
+  } catch (error) {
+    console.error('❌ Comparison error:', error);
+    res.status(500).json({ 
+      error: 'Comparison failed',
+      message: error.message 
+    });
+  }
+});
+
+// Opt-in history sync: the id is a hash of the recovery code, the blob is encrypted in the browser
+app.get('/api/sync/:id', async (req, res) => {
+  try {
+    if (!DatabaseService.SYNC_ID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid sync id' });
+    }
+    
+    const stored = await dbService.getSyncBlob(req.params.id);
+    if (!stored) {
+      return res.status(404).json({ error: 'No history stored for this recovery code' });
+    }
+    
+    res.json(stored);
+  } catch (error) {
+    console.error('❌ Sync read error:', error);
+    res.status(500).json({ 
+      error: 'Sync failed',
+      message: error.message 
+    });
+  }
+});
+
+app.put('/api/sync/:id', async (req, res) => {
+  try {
+    const { blob } = req.body;
+    
+    if (!DatabaseService.SYNC_ID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid sync id' });
+    }
+    
+    if (typeof blob !== 'string' || blob.length === 0) {
+      return res.status(400).json({ error: 'Missing encrypted blob' });
+    }
+    
+    await dbService.storeSyncBlob(req.params.id, blob);
+    res.json({ success: true, updated_at: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ Sync write error:', error);
+    res.status(500).json({ 
+      error: 'Sync failed',
+      message: error.message 
+    });
+  }
+});
+
+app.delete('/api/sync/:id', async (req, res) => {
+  try {
+    if (!DatabaseService.SYNC_ID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid sync id' });
+    }
+    
+    const deleted = await dbService.deleteSyncBlob(req.params.id);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('❌ Sync delete error:', error);
+    res.status(500).json({ 
+      error: 'Sync failed',
+      message: error.message 
+    });
+  }
+});
+
+app.get('/api/rubric', (req, res) => {
+  res.json(rubricService.toJSON());
+});
+
+app.get('/api/formats', (req, res) => {
+  res.json(formatService.toJSON());
+});
+
+app.get('/api/audio-formats', (req, res) => {
+  res.json({ formats: AUDIO_FORMATS, max_file_size: MAX_FILE_SIZE });
+});
+
+app.get('/api/languages', (req, res) => {
+  res.json({
+    ...languageService.toJSON(),
+    language_disables_pacing: transcriptionService.provider.dropsTimestampsForLanguage()
+  });
+});
+
 app.get('/api/statistics', async (req, res) => {
   try {
-    const stats = await dbService.getStatistics();
+    const { duration, format, language, input_type, rubric_version, prompt_version, model_used, group_by } = req.query;
+    
+    const groupBy = group_by ? group_by.split(',') : DatabaseService.VERSION_COLUMNS;
+    if (!groupBy.every(column => DatabaseService.GROUP_COLUMNS.includes(column))) {
+      return res.status(400).json({ 
+        error: `group_by must be one or more of: ${DatabaseService.GROUP_COLUMNS.join(', ')}` 
+      });
+    }
+    
+    const filters = {
+      duration: parseInt(duration) || undefined,
+      format,
+      language,
+      input_type,
+      rubric_version,
+      prompt_version,
+      model_used
+    };
+    
+    const stats = await dbService.getStatistics(filters, groupBy);
     res.json(stats);
   } catch (error) {
     console.error('❌ Statistics error:', error);
@@ -213,6 +547,15 @@ app.use((error, req, res, next) => {
       return res.status(413).json({ error: 'File too large' });
     }
   }
+
+  if (error.status === 415) {
+    return res.status(415).json({ error: error.message });
+  }
+
+  // JSON bodies above the limit, e.g. a sync blob larger than MAX_SYNC_BLOB_SIZE
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large' });
+  }
   
   console.error('❌ Server error:', error);
   res.status(500).json({ error: 'Internal server error' });
@@ -226,6 +569,8 @@ async function startServer() {
     console.log(`🎯 PitchTrainer server running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV}`);
     console.log(`🔑 Mistral API: ${process.env.MISTRAL_API_KEY ? 'configured' : 'missing'}`);
+    console.log(`🎙️  Transcription provider: ${transcriptionService.provider.name} (${transcriptionService.model})`);
+    console.log(`🤖 Evaluation provider: ${evaluationService.provider.name} (${evaluationService.model})`);
   });
 }
 
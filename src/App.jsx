@@ -3,50 +3,180 @@
  * Author: andreas@siglochconsulting.com
  */
 
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
 import DurationSelector from './components/DurationSelector'
 import RecordingInterface from './components/RecordingInterface'
+import AudioUpload from './components/AudioUpload'
+import ScriptEditor from './components/ScriptEditor'
+import TranscriptReview from './components/TranscriptReview'
 import ResultsDisplay from './components/ResultsDisplay'
 import DisclaimerBanner from './components/DisclaimerBanner'
+import TakeComparison from './components/TakeComparison'
+import HistoryView from './components/HistoryView'
+import apiService from './services/ApiService'
+import historyService from './services/HistoryService'
+import syncService from './services/SyncService'
+import { createTake, findBestTake, findComparableTakes } from './utils/takes'
+import { buildHistoryEntry } from './utils/history'
 
 const AppState = {
   DISCLAIMER: 'disclaimer',
   DURATION_SELECT: 'duration_select',
   RECORDING: 'recording',
+  UPLOAD: 'upload',
+  SCRIPT: 'script',
+  REVIEW: 'review',
   PROCESSING: 'processing', 
-  RESULTS: 'results'
+  RESULTS: 'results',
+  HISTORY: 'history'
 }
 
 function App() {
   const [appState, setAppState] = useState(AppState.DISCLAIMER)
-  const [selectedDuration, setSelectedDuration] = useState(null)
+  const [selectedFormat, setSelectedFormat] = useState(null)
   const [evaluationResult, setEvaluationResult] = useState(null)
   const [transcript, setTranscript] = useState('')
+  const [transcription, setTranscription] = useState(null)
+  const [reviewError, setReviewError] = useState(null)
+  const [scriptError, setScriptError] = useState(null)
+  const [rubric, setRubric] = useState(null)
+  const [takes, setTakes] = useState([])
+  const [selectedTake, setSelectedTake] = useState(null)
+
+  useEffect(() => {
+    apiService.getRubric()
+      .then(setRubric)
+      .catch((error) => console.warn('Rubric could not be loaded, using result keys:', error.message))
+  }, [])
 
   const handleDisclaimerAccept = () => {
     setAppState(AppState.DURATION_SELECT)
   }
 
-  const handleDurationSelect = (duration) => {
-    setSelectedDuration(duration)
+  const handleDurationSelect = (format) => {
+    setSelectedFormat(format)
     setAppState(AppState.RECORDING)
   }
 
-  const handleRecordingComplete = (transcript) => {
-    setTranscript(transcript)
+  const handleRecordingComplete = (result) => {
+    setTranscription(result)
+    setTranscript(result.transcript)
+    setReviewError(null)
+    setAppState(AppState.REVIEW)
+  }
+
+  const handleReviewConfirm = async (reviewedTranscript) => {
+    setTranscript(reviewedTranscript)
     setAppState(AppState.PROCESSING)
+
+    try {
+      const result = await apiService.evaluatePitch({
+        transcript: reviewedTranscript,
+        duration: selectedFormat.duration,
+        format: selectedFormat.key,
+        language: transcription.language,
+        timestamps: transcription.timestamps,
+        audio_analysis: transcription.audio_analysis,
+        transcript_edited: reviewedTranscript !== transcription.transcript,
+        input_type: transcription.input_type
+      })
+      console.log('✅ Evaluation complete, overall score:', result.overall_score)
+      handleEvaluationComplete(result, reviewedTranscript, transcription)
+    } catch (error) {
+      console.error('❌ Evaluation failed:', error)
+      setReviewError('Bewertung fehlgeschlagen: ' + error.message)
+      setAppState(AppState.REVIEW)
+    }
+  }
+
+  const handleScriptSubmit = async (script, { speakingRate, language }) => {
+    setTranscript(script)
+    setScriptError(null)
+    setAppState(AppState.PROCESSING)
+
+    try {
+      const result = await apiService.evaluatePitch({
+        transcript: script,
+        duration: selectedFormat.duration,
+        format: selectedFormat.key,
+        language,
+        input_type: 'script',
+        speaking_rate: speakingRate || undefined
+      })
+      console.log('✅ Script evaluation complete, overall score:', result.overall_score)
+      handleEvaluationComplete(result, script, null)
+    } catch (error) {
+      console.error('❌ Script evaluation failed:', error)
+      setScriptError('Bewertung fehlgeschlagen: ' + error.message)
+      setAppState(AppState.SCRIPT)
+    }
+  }
+
+  // Practice the evaluated script; its results can then be compared with it.
+  // Takes recorded before the script were of another pitch, so they are dropped
+  const handleRecordScript = () => {
+    setEvaluationResult(null)
+    setTranscription(null)
+    setTakes([])
+    setSelectedTake(null)
+    setAppState(AppState.RECORDING)
+  }
+
+  const handleRetryRecording = () => {
+    setTranscription(null)
+    setAppState(AppState.RECORDING)
   }
 
-  const handleEvaluationComplete = (result) => {
+  // Every evaluation of the session becomes a take; the newest one is shown first
+  const handleEvaluationComplete = (result, evaluatedTranscript, evaluatedTranscription) => {
+    const take = createTake(takes.length + 1, {
+      result,
+      transcript: evaluatedTranscript,
+      transcription: evaluatedTranscription
+    })
+    setTakes([...takes, take])
+    setSelectedTake(take.number)
+    saveToHistory(result, evaluatedTranscript)
+    setTranscription(evaluatedTranscription)
     setEvaluationResult(result)
     setAppState(AppState.RESULTS)
   }
 
+  // Local practice history; a failure must not hide the results
+  const saveToHistory = (result, evaluatedTranscript) => {
+    const entry = buildHistoryEntry(result, {
+      format: selectedFormat,
+      transcript: evaluatedTranscript,
+      saveTranscript: historyService.getSaveTranscripts()
+    })
+    historyService.addEntry(entry)
+      .then(() => syncService.isEnabled() && syncService.sync())
+      .catch((error) => console.warn('Practice history entry could not be saved or synced:', error.message))
+  }
+
+  const handleSelectTake = (number) => {
+    const take = takes.find((candidate) => candidate.number === number)
+    setSelectedTake(take.number)
+    setEvaluationResult(take.result)
+    setTranscript(take.transcript)
+    setTranscription(take.transcription)
+  }
+
+  // Record the same pitch again, keeping the earlier takes for comparison
+  const handleNewTake = () => {
+    setEvaluationResult(null)
+    setTranscription(null)
+    setAppState(AppState.RECORDING)
+  }
+
   const handleStartOver = () => {
     setAppState(AppState.DURATION_SELECT)
-    setSelectedDuration(null)
+    setSelectedFormat(null)
     setEvaluationResult(null)
     setTranscript('')
+    setTranscription(null)
+    setTakes([])
+    setSelectedTake(null)
   }
 
   const renderCurrentView = () => {
@@ -55,14 +185,54 @@ function App() {
         return <DisclaimerBanner onAccept={handleDisclaimerAccept} />
       
       case AppState.DURATION_SELECT:
-        return <DurationSelector onDurationSelect={handleDurationSelect} />
+        return (
+          <DurationSelector
+            onDurationSelect={handleDurationSelect}
+            onShowHistory={() => setAppState(AppState.HISTORY)}
+          />
+        )
+      
+      case AppState.HISTORY:
+        return <HistoryView rubric={rubric} onBack={() => setAppState(AppState.DURATION_SELECT)} />
       
       case AppState.RECORDING:
         return (
           <RecordingInterface
-            duration={selectedDuration}
+            duration={selectedFormat.duration}
+            format={selectedFormat}
+            onRecordingComplete={handleRecordingComplete}
+            onUploadInstead={() => setAppState(AppState.UPLOAD)}
+            onScriptInstead={() => setAppState(AppState.SCRIPT)}
+          />
+        )
+      
+      case AppState.UPLOAD:
+        return (
+          <AudioUpload
+            format={selectedFormat}
             onRecordingComplete={handleRecordingComplete}
-            onEvaluationComplete={handleEvaluationComplete}
+            onRecordInstead={() => setAppState(AppState.RECORDING)}
+          />
+        )
+      
+      case AppState.SCRIPT:
+        return (
+          <ScriptEditor
+            format={selectedFormat}
+            error={scriptError}
+            onSubmit={handleScriptSubmit}
+            onRecordInstead={() => setAppState(AppState.RECORDING)}
+          />
+        )
+      
+      case AppState.REVIEW:
+        return (
+          <TranscriptReview
+            transcription={transcription}
+            draft={transcript}
+            error={reviewError}
+            onConfirm={handleReviewConfirm}
+            onRetry={handleRetryRecording}
           />
         )
       
@@ -79,15 +249,36 @@ function App() {
           </div>
         )
       
-      case AppState.RESULTS:
+      case AppState.RESULTS: {
+        const comparableTakes = findComparableTakes(takes, selectedTake)
         return (
-          <ResultsDisplay
-            result={evaluationResult}
-            transcript={transcript}
-            duration={selectedDuration}
-            onStartOver={handleStartOver}
-          />
+          <div className="space-y-8">
+            {comparableTakes.length > 1 && (
+              <TakeComparison
+                takes={comparableTakes}
+                rubric={rubric}
+                selectedNumber={selectedTake}
+                onSelect={handleSelectTake}
+              />
+            )}
+            <ResultsDisplay
+              key={selectedTake}
+              result={evaluationResult}
+              rubric={rubric}
+              transcript={transcript}
+              timestamps={transcription?.timestamps}
+              transcriptionProvider={transcription?.provider}
+              duration={selectedFormat.duration}
+              format={selectedFormat}
+              takeNumber={comparableTakes.length > 1 ? selectedTake : null}
+              isBestTake={findBestTake(comparableTakes)?.number === selectedTake}
+              onStartOver={handleStartOver}
+              onNewTake={handleNewTake}
+              onRecordScript={handleRecordScript}
+            />
+          </div>
         )
+      }
       
       default:
         return null
@@ -115,7 +306,6 @@ function App() {
         {/* Footer */}
         <div className="text-center mt-8 text-sm text-gray-500">
           <p>
-            Powered by Mistral AI • {' '}
             <a 
               href="https://github.com/andreassigloch/pitrain" 
               target="_blank" 
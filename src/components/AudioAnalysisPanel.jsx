@@ -0,0 +1,64 @@
+/**
+ * AudioAnalysisPanel Component - Dead air, pauses and loudness from the recording
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React from 'react'
+
+function AudioAnalysisPanel({ analysis }) {
+  const { loudness } = analysis
+
+  const hints = []
+  if (analysis.leading_silence >= 3) {
+    hints.push(`Du hast ${analysis.leading_silence} Sekunden gewartet, bevor du angefangen hast – starte direkt.`)
+  }
+  if (analysis.trailing_silence >= 3) {
+    hints.push(`Am Ende waren ${analysis.trailing_silence} Sekunden Stille – schließe mit deinem Slogan statt auszulaufen.`)
+  }
+  if (analysis.long_pause_count > 0) {
+    hints.push(`${analysis.long_pause_count} lange Pause${analysis.long_pause_count > 1 ? 'n' : ''} (ab 2 Sekunden) im Pitch.`)
+  }
+  if (loudness && loudness.end_drop_db >= 3) {
+    hints.push(`Deine Stimme wird zum Ende um ${loudness.end_drop_db} dB leiser – halte die Energie bis zum letzten Satz.`)
+  }
+
+  const stats = [
+    { label: 'Stille am Anfang', value: `${analysis.leading_silence}s` },
+    { label: 'Stille am Ende', value: `${analysis.trailing_silence}s` },
+    { label: 'Sprechanteil', value: `${Math.round(analysis.speech_ratio * 100)}%` },
+    { label: 'Gleichmäßige Lautstärke', value: loudness ? `${loudness.consistency}/100` : '–' }
+  ]
+
+  return (
+    <div className="space-y-3">
+      <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+        🔊 Pausen & Lautstärke
+      </h3>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-center">
+        {stats.map((stat) => (
+          <div key={stat.label} className="bg-gray-50 rounded-lg p-3">
+            <div className="text-xl font-bold text-gray-900">{stat.value}</div>
+            <div className="text-xs text-gray-500">{stat.label}</div>
+          </div>
+        ))}
+      </div>
+
+      {analysis.pauses.length > 0 && (
+        <p className="text-xs text-gray-500">
+          Pausen: {analysis.pauses.map((pause) => `${pause.start}s (${pause.duration}s)`).join(', ')}
+        </p>
+      )}
+
+      {hints.length > 0 && (
+        <ul className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3 space-y-1">
+          {hints.map((hint) => (
+            <li key={hint}>⚠️ {hint}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default AudioAnalysisPanel
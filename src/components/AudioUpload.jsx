@@ -0,0 +1,172 @@
+/**
+ * AudioUpload Component - Transcribe an existing recording instead of recording live
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState, useEffect, useRef } from 'react'
+import apiService from '../services/ApiService'
+import { validateAudioFile, getAudioDuration } from '../utils/audioFile'
+import VocabularyForm, { loadVocabulary } from './VocabularyForm'
+import LanguageSelector, { loadLanguage } from './LanguageSelector'
+
+// Recordings from the meeting include a few seconds before and after the pitch
+const DURATION_TOLERANCE_SECONDS = 10
+
+function AudioUpload({ format, onRecordingComplete, onRecordInstead }) {
+  const [catalogue, setCatalogue] = useState(null)
+  const [file, setFile] = useState(null)
+  const [fileDuration, setFileDuration] = useState(null)
+  const [error, setError] = useState(null)
+  const [isDragging, setIsDragging] = useState(false)
+  const [status, setStatus] = useState('ready') // ready, processing
+  const [vocabulary, setVocabulary] = useState(loadVocabulary)
+  const [language, setLanguage] = useState(loadLanguage)
+
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    apiService.getAudioFormats()
+      .then(setCatalogue)
+      .catch((error) => setError('Erlaubte Dateiformate konnten nicht geladen werden: ' + error.message))
+  }, [])
+
+  const selectFile = async (selected) => {
+    setError(null)
+    setFile(null)
+    setFileDuration(null)
+
+    const result = validateAudioFile(selected, catalogue)
+    if (result.error) {
+      setError(result.error)
+      return
+    }
+
+    setFile(result.file)
+    try {
+      setFileDuration(await getAudioDuration(result.file))
+    } catch (error) {
+      // The server can still transcribe formats the browser cannot play
+      console.warn('Audio duration could not be detected:', error.message)
+    }
+  }
+
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setIsDragging(false)
+    if (event.dataTransfer.files.length > 0) {
+      selectFile(event.dataTransfer.files[0])
+    }
+  }
+
+  const handleTranscribe = async () => {
+    try {
+      setStatus('processing')
+      console.log('🎯 Processing uploaded audio:', file.name, file.type)
+      const transcriptionResult = await apiService.transcribeAudio(file, { vocabulary, language })
+
+      if (!transcriptionResult.transcript.trim()) {
+        throw new Error('Kein Text erkannt. Bitte prüfe, ob die Datei Sprache enthält.')
+      }
+
+      onRecordingComplete({ ...transcriptionResult, input_type: 'upload' })
+    } catch (error) {
+      console.error('❌ Upload processing failed:', error)
+      setError('Verarbeitung fehlgeschlagen: ' + error.message)
+      setStatus('ready')
+    }
+  }
+
+  if (status === 'processing') {
+    return (
+      <div className="text-center space-y-6">
+        <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-primary-600 mx-auto"></div>
+        <h2 className="text-2xl font-semibold text-gray-800">
+          🎯 Verarbeitung läuft...
+        </h2>
+        <div className="space-y-2 text-gray-600">
+          <p>📝 Transkription von „{file.name}“...</p>
+          <p className="text-sm">Danach kannst du das Transkript prüfen, bevor es bewertet wird</p>
+        </div>
+      </div>
+    )
+  }
+
+  const tooLong = fileDuration && fileDuration > format.duration + DURATION_TOLERANCE_SECONDS
+  const accept = catalogue
+    ? catalogue.formats.flatMap((entry) => [...entry.mime_types, ...entry.extensions.map((extension) => `.${extension}`)]).join(',')
+    : 'audio/*'
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h2 className="text-2xl font-bold text-gray-900">
+          {format.labels.de} - Audiodatei hochladen
+        </h2>
+        <p className="text-gray-600 mt-2">
+          Lade eine Aufnahme deines Pitches hoch, z.B. vom Handy aus dem Chapter-Meeting.
+        </p>
+      </div>
+
+      <div
+        onDragOver={(event) => { event.preventDefault(); setIsDragging(true) }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current.click()}
+        className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors ${
+          isDragging ? 'border-primary-500 bg-primary-50' : 'border-gray-300 hover:border-primary-500'
+        }`}
+      >
+        <div className="text-4xl mb-2">📁</div>
+        <p className="text-gray-700 font-medium">Datei hierher ziehen oder klicken</p>
+        {catalogue && (
+          <p className="text-sm text-gray-500 mt-1">
+            {catalogue.formats.map((entry) => entry.label).join(', ')} • maximal {Math.round(catalogue.max_file_size / (1024 * 1024))} MB
+          </p>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          accept={accept}
+          className="hidden"
+          onChange={(event) => selectFile(event.target.files[0])}
+        />
+      </div>
+
+      {file && (
+        <div className="bg-gray-50 rounded-lg p-4 space-y-1">
+          <p className="text-gray-800 font-medium">🎵 {file.name}</p>
+          <p className="text-sm text-gray-600">
+            {fileDuration ? `${Math.round(fileDuration)} Sekunden` : 'Dauer unbekannt'} • {(file.size / (1024 * 1024)).toFixed(1)} MB
+          </p>
+          {tooLong && (
+            <p className="text-sm text-yellow-700">
+              ⚠️ Die Aufnahme ist länger als {format.duration} Sekunden. Schneide sie möglichst auf deinen Pitch zu – alles nach dem Zeitlimit zählt als Zeitüberschreitung.
+            </p>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <p className="text-center text-danger-600">{error}</p>
+      )}
+
+      <LanguageSelector value={language} onChange={setLanguage} disabled={false} />
+      <VocabularyForm vocabulary={vocabulary} onChange={setVocabulary} disabled={false} />
+
+      <div className="flex justify-center space-x-4">
+        <button onClick={onRecordInstead} className="btn btn-secondary">
+          🎙️ Stattdessen live aufnehmen
+        </button>
+        <button
+          onClick={handleTranscribe}
+          className="btn btn-primary text-lg px-8"
+          disabled={!file}
+        >
+          📝 Transkribieren
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default AudioUpload
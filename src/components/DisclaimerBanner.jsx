@@ -27,7 +27,7 @@ function DisclaimerBanner({ onAccept }) {
         
         <div className="mt-4 text-sm text-gray-600 space-y-2">
           <p>• Diese Anwendung verwendet experimentelle KI-Technologie</p>
-          <p>• Audiodaten werden temporär an Mistral AI übertragen</p>
+          <p>• Audiodaten werden temporär an den konfigurierten Transkriptionsdienst übertragen</p>
           <p>• Keine Garantie für Genauigkeit der Bewertungen</p>
           <p>• Nur anonyme Statistiken werden gespeichert</p>
         </div>
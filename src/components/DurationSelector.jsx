@@ -1,74 +1,102 @@
 /**
- * DurationSelector Component - Choose 45s or 60s pitch duration
+ * DurationSelector Component - Choose a pitch format from the BNI format catalogue
  * Author: andreas@siglochconsulting.com
  */
 
-import React from 'react'
-
-function DurationSelector({ onDurationSelect }) {
-  const durations = [
-    {
-      seconds: 45,
-      title: '45 Sekunden',
-      subtitle: 'BNI Standard',
-      description: 'Klassischer BNI-Pitch für wöchentliche Meetings',
-      icon: '🎯',
-      color: 'bg-primary-500 hover:bg-primary-600'
-    },
-    {
-      seconds: 60,
-      title: '60 Sekunden', 
-      subtitle: 'Elevator Pitch',
-      description: 'Erweiterte Präsentation mit mehr Details',
-      icon: '🚀',
-      color: 'bg-indigo-500 hover:bg-indigo-600'
-    }
-  ]
+import React, { useState, useEffect } from 'react'
+import apiService from '../services/ApiService'
+
+const CARD_COLORS = [
+  'bg-primary-500 hover:bg-primary-600',
+  'bg-indigo-500 hover:bg-indigo-600',
+  'bg-purple-500 hover:bg-purple-600',
+  'bg-teal-500 hover:bg-teal-600',
+  'bg-orange-500 hover:bg-orange-600'
+]
+
+function DurationSelector({ onDurationSelect, onShowHistory }) {
+  const [formats, setFormats] = useState([])
+  const [error, setError] = useState(null)
+
+  const language = 'de'
+
+  const loadFormats = () => {
+    setError(null)
+    apiService.getFormats()
+      .then(setFormats)
+      .catch((error) => {
+        console.error('Failed to load formats:', error)
+        setError('Formate konnten nicht geladen werden: ' + error.message)
+      })
+  }
+
+  useEffect(() => {
+    loadFormats()
+  }, [])
+
+  if (error) {
+    return (
+      <div className="text-center space-y-6">
+        <div className="text-6xl">❌</div>
+        <p className="text-gray-600 max-w-md mx-auto">{error}</p>
+        <button onClick={loadFormats} className="btn btn-primary mx-auto">
+          Erneut versuchen
+        </button>
+      </div>
+    )
+  }
 
   return (
     <div className="text-center space-y-8">
       <div>
         <h2 className="text-3xl font-bold text-gray-900 mb-4">
-          Wähle deine Pitch-Dauer
+          Wähle dein Format
         </h2>
         <p className="text-gray-600 text-lg max-w-2xl mx-auto">
-          Entscheide dich für die gewünschte Präsentationslänge. 
+          Entscheide dich für die gewünschte Präsentationsform. 
           Die KI wird deine Bewertung entsprechend anpassen.
         </p>
       </div>
 
+      {formats.length === 0 && (
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600 mx-auto"></div>
+      )}
+
       <div className="grid md:grid-cols-2 gap-6 max-w-3xl mx-auto">
-        {durations.map((duration) => (
+        {formats.map((format, index) => (
           <div
-            key={duration.seconds}
+            key={format.key}
             className="bg-white border-2 border-gray-200 hover:border-primary-300 rounded-2xl p-6 transition-all duration-200 hover:shadow-lg cursor-pointer group"
-            onClick={() => onDurationSelect(duration.seconds)}
+            onClick={() => onDurationSelect(format)}
           >
             <div className="text-center space-y-4">
               {/* Icon */}
               <div className="text-6xl group-hover:scale-110 transition-transform duration-200">
-                {duration.icon}
+                {format.icon}
               </div>
 
               {/* Title */}
               <div>
                 <h3 className="text-2xl font-bold text-gray-900 mb-1">
-                  {duration.title}
+                  {format.labels[language]}
                 </h3>
                 <p className="text-primary-600 font-medium text-lg">
-                  {duration.subtitle}
+                  {format.subtitles[language]}
                 </p>
               </div>
 
               {/* Description */}
               <p className="text-gray-600 text-sm leading-relaxed">
-                {duration.description}
+                {format.descriptions[language]}
+              </p>
+              <p className="text-gray-500 text-xs">
+                Ziel: {format.word_range.min}-{format.word_range.max} Wörter
               </p>
 
               {/* Select Button */}
-              <button className={`btn text-white w-full ${duration.color} group-hover:scale-105 transition-all duration-200`}>
+              <button className={`btn text-white w-full ${CARD_COLORS[index % CARD_COLORS.length]} group-hover:scale-105 transition-all duration-200`}>
                 <span className="text-lg font-semibold">
-                  {duration.title} wählen
+                  {format.labels[language]} wählen
                 </span>
               </button>
             </div>
@@ -76,6 +104,10 @@ function DurationSelector({ onDurationSelect }) {
         ))}
       </div>
 
+      <button onClick={onShowHistory} className="btn btn-secondary mx-auto">
+        📈 Mein Verlauf
+      </button>
+
       {/* Tips */}
       <div className="bg-gray-50 rounded-lg p-6 max-w-2xl mx-auto">
         <h3 className="font-semibold text-gray-900 mb-3 flex items-center">
@@ -94,4 +126,4 @@ function DurationSelector({ onDurationSelect }) {
   )
 }
 
-export default DurationSelector
\ No newline at end of file
+export default DurationSelector
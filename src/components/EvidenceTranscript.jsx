@@ -0,0 +1,76 @@
+/**
+ * EvidenceTranscript Component - Transcript with clickable evidence highlights per KPI
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React from 'react'
+
+// Split the transcript at every span boundary so overlapping evidence stays clickable
+const buildSegments = (transcript, evidence) => {
+  const spans = []
+  Object.entries(evidence || {}).forEach(([kpi, entry]) => {
+    (entry.spans || []).forEach((span) => {
+      if (span.start >= 0 && span.end <= transcript.length && span.start < span.end) {
+        spans.push({ ...span, kpi })
+      }
+    })
+  })
+
+  const boundaries = new Set([0, transcript.length])
+  spans.forEach((span) => {
+    boundaries.add(span.start)
+    boundaries.add(span.end)
+  })
+  const points = [...boundaries].sort((a, b) => a - b)
+
+  return points.slice(0, -1).map((start, index) => {
+    const end = points[index + 1]
+    return {
+      start,
+      text: transcript.slice(start, end),
+      spans: spans.filter((span) => span.start <= start && span.end >= end)
+    }
+  })
+}
+
+function EvidenceTranscript({ transcript, evidence, selectedKpi, onSelectKpi, formatKpi }) {
+  const segments = buildSegments(transcript || '', evidence)
+
+  const handleSegmentClick = (segment) => {
+    const kpis = [...new Set(segment.spans.map((span) => span.kpi))]
+    // Repeated clicks on overlapping evidence cycle through the linked KPIs
+    const currentIndex = kpis.indexOf(selectedKpi)
+    onSelectKpi(kpis[(currentIndex + 1) % kpis.length])
+  }
+
+  const getHighlightClass = (segment) => {
+    const selected = segment.spans.find((span) => span.kpi === selectedKpi)
+    if (selected) {
+      return selected.type === 'missing'
+        ? 'bg-red-200 text-red-900 ring-1 ring-red-400'
+        : 'bg-green-200 text-green-900 ring-1 ring-green-400'
+    }
+    return 'bg-yellow-100 hover:bg-yellow-200'
+  }
+
+  return (
+    <p className="text-gray-800 leading-relaxed text-sm">
+      {segments.map((segment) => (
+        segment.spans.length === 0 ? (
+          <span key={segment.start}>{segment.text}</span>
+        ) : (
+          <mark
+            key={segment.start}
+            onClick={() => handleSegmentClick(segment)}
+            title={[...new Set(segment.spans.map((span) => formatKpi(span.kpi)))].join(', ')}
+            className={`cursor-pointer rounded px-0.5 transition-colors ${getHighlightClass(segment)}`}
+          >
+            {segment.text}
+          </mark>
+        )
+      ))}
+    </p>
+  )
+}
+
+export default EvidenceTranscript
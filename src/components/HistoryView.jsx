@@ -0,0 +1,251 @@
+/**
+ * HistoryView Component - Past evaluations from this browser with trend charts
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState, useEffect } from 'react'
+import TrendChart from './TrendChart'
+import SyncPanel from './SyncPanel'
+import apiService from '../services/ApiService'
+import historyService from '../services/HistoryService'
+import syncService from '../services/SyncService'
+import { filterHistory, buildTrend, compareWeeks } from '../utils/history'
+
+const OVERALL = 'overall:overall_score'
+
+function HistoryView({ rubric, onBack }) {
+  const [entries, setEntries] = useState([])
+  const [formats, setFormats] = useState([])
+  const [formatFilter, setFormatFilter] = useState('')
+  const [metricValue, setMetricValue] = useState(OVERALL)
+  const [saveTranscripts, setSaveTranscripts] = useState(historyService.getSaveTranscripts())
+  const [expandedId, setExpandedId] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const language = 'de'
+
+  const loadEntries = () => {
+    setLoading(true)
+    setError(null)
+    historyService.getEntries()
+      .then(setEntries)
+      .catch((error) => {
+        console.error('Practice history could not be loaded:', error)
+        setError('Verlauf konnte nicht geladen werden: ' + error.message)
+      })
+      .finally(() => setLoading(false))
+  }
+
+  useEffect(() => {
+    loadEntries()
+    apiService.getFormats()
+      .then(setFormats)
+      .catch((error) => console.warn('Formats could not be loaded, filtering by key:', error.message))
+  }, [])
+
+  const categories = rubric?.categories || []
+  const formatLabels = Object.fromEntries(formats.map((format) => [format.key, format.labels[language]]))
+  const metricOptions = [
+    { value: OVERALL, label: 'Gesamtscore' },
+    ...categories.map((category) => ({
+      value: `category:${category.key}`,
+      label: category.labels?.[language] || category.key
+    })),
+    ...categories.flatMap((category) => category.kpis.map((kpi) => ({
+      value: `kpi:${kpi.key}`,
+      label: `${category.labels?.[language] || category.key} › ${kpi.labels?.[language] || kpi.key}`
+    })))
+  ]
+
+  const [metricType, metricKey] = metricValue.split(':')
+  const metricLabel = metricOptions.find((option) => option.value === metricValue)?.label || metricKey
+  const filtered = filterHistory(entries, { format: formatFilter })
+  const points = buildTrend(filtered, { type: metricType, key: metricKey })
+  const weeks = compareWeeks(points)
+  const usedFormats = [...new Set(entries.map((entry) => entry.format))]
+
+  const handleTranscriptToggle = (event) => {
+    setSaveTranscripts(event.target.checked)
+    historyService.setSaveTranscripts(event.target.checked)
+  }
+
+  // Deletions only reach the server copy when this device uploads its history
+  const pushDeletion = () => {
+    if (!syncService.isEnabled()) return
+    syncService.push()
+      .catch((error) => console.warn('Synced history could not be updated:', error.message))
+  }
+
+  const handleDelete = async (id) => {
+    try {
+      await historyService.deleteEntry(id)
+      setEntries(entries.filter((entry) => entry.id !== id))
+      pushDeletion()
+    } catch (error) {
+      console.error('History entry could not be deleted:', error)
+      setError('Eintrag konnte nicht gelöscht werden: ' + error.message)
+    }
+  }
+
+  const handleClear = async () => {
+    if (!window.confirm('Gesamten Verlauf auf diesem Gerät löschen?')) return
+    try {
+      await historyService.clear()
+      setEntries([])
+      pushDeletion()
+    } catch (error) {
+      console.error('History could not be cleared:', error)
+      setError('Verlauf konnte nicht gelöscht werden: ' + error.message)
+    }
+  }
+
+  const getChangeColor = (change) => {
+    if (change > 0) return 'text-green-600'
+    if (change < 0) return 'text-red-600'
+    return 'text-gray-600'
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-gray-900 mb-2">📈 Mein Verlauf</h2>
+        <p className="text-gray-600">
+          Deine Bewertungen werden in diesem Browser gespeichert – ohne Konto.
+        </p>
+      </div>
+
+      {error && (
+        <p className="text-sm text-danger-600 bg-red-50 rounded-lg p-3">{error}</p>
+      )}
+
+      {loading ? (
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600 mx-auto"></div>
+      ) : entries.length === 0 ? (
+        <p className="text-center text-gray-500">
+          Noch keine Bewertungen gespeichert. Nach deinem ersten Pitch erscheint er hier.
+        </p>
+      ) : (
+        <>
+          {/* Filters */}
+          <div className="grid md:grid-cols-2 gap-4">
+            <label className="flex flex-col text-sm text-gray-700">
+              <span className="font-medium mb-1">Format</span>
+              <select
+                value={formatFilter}
+                onChange={(event) => setFormatFilter(event.target.value)}
+                className="border border-gray-300 rounded-md px-3 py-2 bg-white"
+              >
+                <option value="">Alle Formate</option>
+                {usedFormats.map((key) => (
+                  <option key={key} value={key}>{formatLabels[key] || key}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col text-sm text-gray-700">
+              <span className="font-medium mb-1">Kennzahl</span>
+              <select
+                value={metricValue}
+                onChange={(event) => setMetricValue(event.target.value)}
+                className="border border-gray-300 rounded-md px-3 py-2 bg-white"
+              >
+                {metricOptions.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {/* Trend */}
+          <div className="space-y-3">
+            <h3 className="text-xl font-semibold text-gray-900">{metricLabel}</h3>
+            <TrendChart points={points} label={metricLabel} />
+            <div className="grid grid-cols-3 gap-3 text-center">
+              <div className="bg-gray-50 rounded-lg p-3">
+                <div className="text-2xl font-bold text-gray-900">{weeks.thisWeek ?? '–'}</div>
+                <div className="text-xs text-gray-500">Ø letzte 7 Tage</div>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <div className="text-2xl font-bold text-gray-900">{weeks.lastWeek ?? '–'}</div>
+                <div className="text-xs text-gray-500">Ø 7 Tage davor</div>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <div className={`text-2xl font-bold ${getChangeColor(weeks.change)}`}>
+                  {weeks.change === null ? '–' : weeks.change > 0 ? `+${weeks.change}` : weeks.change}
+                </div>
+                <div className="text-xs text-gray-500">Veränderung</div>
+              </div>
+            </div>
+          </div>
+
+          {/* Entries, newest first */}
+          <div className="space-y-2">
+            <h3 className="text-xl font-semibold text-gray-900">Bewertungen ({filtered.length})</h3>
+            {[...filtered].reverse().map((entry) => (
+              <div key={entry.id} className="bg-gray-50 rounded-lg p-3 text-sm">
+                <div className="flex items-center justify-between gap-3">
+                  <span className="text-gray-700">
+                    {new Date(entry.created_at).toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' })}
+                    {' • '}{formatLabels[entry.format] || entry.format}
+                    {entry.input_type === 'script' && ' • Skript'}
+                  </span>
+                  <span className="flex items-center gap-3">
+                    <strong className="text-gray-900">{entry.overall_score}/100</strong>
+                    {entry.transcript && (
+                      <button
+                        type="button"
+                        onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                        className="text-primary-600 hover:underline"
+                      >
+                        Transcript
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(entry.id)}
+                      className="text-gray-400 hover:text-danger-600"
+                      title="Eintrag löschen"
+                    >
+                      🗑️
+                    </button>
+                  </span>
+                </div>
+                {entry.proposals.length > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    💡 {entry.proposals.map((proposal) => proposal.title || proposal.type).join(' • ')}
+                  </p>
+                )}
+                {expandedId === entry.id && (
+                  <p className="mt-2 text-gray-700 whitespace-pre-wrap">{entry.transcript}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      <SyncPanel onSynced={loadEntries} />
+
+      {/* Settings */}
+      <div className="border border-gray-200 rounded-lg p-3 space-y-2 text-sm">
+        <label className="flex items-center space-x-2 text-gray-700">
+          <input type="checkbox" checked={saveTranscripts} onChange={handleTranscriptToggle} />
+          <span>Transcript mit speichern (nur auf diesem Gerät)</span>
+        </label>
+        {entries.length > 0 && (
+          <button type="button" onClick={handleClear} className="text-danger-600 hover:underline">
+            Gesamten Verlauf löschen
+          </button>
+        )}
+      </div>
+
+      <div className="flex justify-center">
+        <button onClick={onBack} className="btn btn-secondary min-w-[180px]">
+          ← Zurück
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default HistoryView
@@ -0,0 +1,65 @@
+/**
+ * LanguageSelector Component - Pitch language for recognition, transcription and evaluation
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState, useEffect } from 'react'
+import apiService from '../services/ApiService'
+import { loadSetting, saveSetting } from '../utils/storage'
+
+const STORAGE_KEY = 'pitchtrainer.language'
+
+export function loadLanguage() {
+  return loadSetting(STORAGE_KEY) || 'auto'
+}
+
+// recorded: audio is transcribed, so the pacing analysis depends on the choice
+function LanguageSelector({ value, onChange, disabled, recorded = true }) {
+  const [locales, setLocales] = useState([])
+  const [disablesPacing, setDisablesPacing] = useState(false)
+
+  const language = 'de'
+
+  useEffect(() => {
+    apiService.getLanguages()
+      .then((catalogue) => {
+        setLocales(catalogue.locales)
+        setDisablesPacing(catalogue.language_disables_pacing === true)
+      })
+      .catch((error) => console.warn('Languages could not be loaded, using auto detection:', error.message))
+  }, [])
+
+  const handleChange = (event) => {
+    saveSetting(STORAGE_KEY, event.target.value)
+    onChange(event.target.value)
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 text-gray-700 space-y-2">
+      <label className="flex items-center justify-between">
+        <span className="font-medium">🌐 Sprache</span>
+        <select
+          value={value}
+          onChange={handleChange}
+          disabled={disabled}
+          className="border border-gray-300 rounded-md px-3 py-1 text-gray-800 bg-white"
+        >
+          <option value="auto">Automatisch erkennen</option>
+          {locales.map((locale) => (
+            <option key={locale.code} value={locale.code}>
+              {locale.labels[language]}
+            </option>
+          ))}
+        </select>
+      </label>
+      {recorded && disablesPacing && value !== 'auto' && (
+        <p className="text-sm text-yellow-700">
+          ⚠️ Mit fest gewählter Sprache liefert die Transkription keine Zeitstempel, die Tempo-Analyse entfällt.
+          Für die Tempo-Analyse „Automatisch erkennen“ wählen.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default LanguageSelector
@@ -0,0 +1,98 @@
+/**
+ * MicrophoneSetup Component - Input device picker with live level meter before recording
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState, useEffect, useRef } from 'react'
+import { measureLevel, assessLevels } from '../utils/inputLevel'
+
+// About three seconds of measurements at the meter interval of 100ms
+const LEVEL_WINDOW = 30
+
+const WARNINGS = {
+  clipping: '⚠️ Das Signal übersteuert. Sprich etwas weiter weg vom Mikrofon oder reduziere die Eingangslautstärke.',
+  too_quiet: '⚠️ Kaum Signal. Prüfe, ob das richtige Mikrofon gewählt und nicht stummgeschaltet ist.'
+}
+
+function MicrophoneSetup({ speechService, disabled }) {
+  const [devices, setDevices] = useState([])
+  const [deviceId, setDeviceId] = useState('')
+  const [meter, setMeter] = useState(0)
+  const [assessment, setAssessment] = useState(null)
+  const [error, setError] = useState(null)
+
+  const levelsRef = useRef([])
+
+  const handleLevel = (samples) => {
+    const level = measureLevel(samples)
+    levelsRef.current = [...levelsRef.current.slice(-(LEVEL_WINDOW - 1)), level]
+    setMeter(level.meter)
+    setAssessment(assessLevels(levelsRef.current, LEVEL_WINDOW))
+  }
+
+  useEffect(() => {
+    speechService.getInputDevices()
+      .then((inputs) => {
+        setDevices(inputs)
+        setDeviceId(speechService.getActiveDeviceId() || '')
+      })
+      .catch((error) => console.warn('Audio inputs could not be listed:', error.message))
+
+    speechService.startLevelMeter(handleLevel)
+    return () => speechService.stopLevelMeter()
+  }, [speechService])
+
+  const handleDeviceChange = async (event) => {
+    setError(null)
+    setDeviceId(event.target.value)
+    levelsRef.current = []
+    setAssessment(null)
+
+    try {
+      await speechService.selectDevice(event.target.value)
+    } catch (error) {
+      console.error('Microphone switch failed:', error)
+      setError('Mikrofon konnte nicht gewechselt werden: ' + error.message)
+    }
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+      <label className="flex items-center justify-between text-gray-700">
+        <span className="font-medium">🎙️ Mikrofon</span>
+        <select
+          value={deviceId}
+          onChange={handleDeviceChange}
+          disabled={disabled || devices.length === 0}
+          className="border border-gray-300 rounded-md px-3 py-1 text-gray-800 bg-white max-w-[60%]"
+        >
+          {devices.length === 0 && <option value="">Standardmikrofon</option>}
+          {devices.map((device) => (
+            <option key={device.deviceId} value={device.deviceId}>
+              {device.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="h-3 bg-gray-200 rounded-full overflow-hidden" title="Eingangspegel">
+        <div
+          className={`h-full transition-all duration-100 ${assessment === 'clipping' ? 'bg-danger-500' : 'bg-success-500'}`}
+          style={{ width: `${Math.round(meter * 100)}%` }}
+        ></div>
+      </div>
+
+      {WARNINGS[assessment] && (
+        <p className="text-sm text-yellow-700">{WARNINGS[assessment]}</p>
+      )}
+      {assessment === null && !error && (
+        <p className="text-xs text-gray-500">Sag ein paar Worte, um den Pegel zu prüfen.</p>
+      )}
+      {error && (
+        <p className="text-sm text-danger-600">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default MicrophoneSetup
@@ -0,0 +1,61 @@
+/**
+ * PaceGauge Component - Live words, speaking rate and projection against the target word range
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React from 'react'
+import { getLivePace } from '../utils/livePace'
+
+const STATUS_LABELS = {
+  under: 'zu wenig – etwas mehr Tempo',
+  on_target: 'im Zielbereich',
+  over: 'zu viel – etwas ruhiger'
+}
+
+const STATUS_STYLES = {
+  under: 'text-yellow-700',
+  on_target: 'text-green-700',
+  over: 'text-danger-600'
+}
+
+function PaceGauge({ transcript, elapsed, duration, wordRange }) {
+  const pace = getLivePace(transcript, elapsed, duration, wordRange)
+  // Leave room above the target so overshooting stays visible
+  const scaleMax = Math.max(Math.round(wordRange.max * 1.3), pace.projectedWords || 0, pace.words)
+  const toPercent = (value) => `${Math.min((value / scaleMax) * 100, 100)}%`
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-3 space-y-2 text-sm">
+      <div className="flex justify-between text-gray-700">
+        <span><strong className="text-lg text-gray-900">{pace.words}</strong> Wörter</span>
+        <span>
+          {pace.wordsPerMinute !== null ? `${pace.wordsPerMinute} Wörter/Min` : '– Wörter/Min'}
+          <span className="text-gray-500"> (Ziel {pace.targetWpm.min}-{pace.targetWpm.max})</span>
+        </span>
+      </div>
+
+      <div className="relative h-3 bg-gray-200 rounded-full" title={`Ziel: ${wordRange.min}-${wordRange.max} Wörter`}>
+        <div
+          className="absolute h-full bg-green-200 rounded-full"
+          style={{ left: toPercent(wordRange.min), width: `calc(${toPercent(wordRange.max)} - ${toPercent(wordRange.min)})` }}
+        ></div>
+        <div className="absolute h-full bg-primary-500 rounded-full" style={{ width: toPercent(pace.words) }}></div>
+        {pace.projectedWords !== null && (
+          <div
+            className="absolute -top-1 h-5 w-1 bg-gray-900 rounded"
+            style={{ left: toPercent(pace.projectedWords) }}
+            title={`Prognose: ${pace.projectedWords} Wörter`}
+          ></div>
+        )}
+      </div>
+
+      <p className={pace.status ? STATUS_STYLES[pace.status] : 'text-gray-500'}>
+        {pace.status
+          ? `Prognose: ${pace.projectedWords} Wörter – ${STATUS_LABELS[pace.status]}`
+          : `Ziel: ${wordRange.min}-${wordRange.max} Wörter`}
+      </p>
+    </div>
+  )
+}
+
+export default PaceGauge
@@ -0,0 +1,83 @@
+/**
+ * PacingChart Component - Measured speaking pace over time from word timestamps
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React from 'react'
+
+function PacingChart({ pacing, duration }) {
+  const { timeline, target_wpm: targetWpm } = pacing
+  const maxWpm = Math.max(...timeline.map((window) => window.wpm), targetWpm?.max || 0, 1)
+
+  const getBarColor = (wpm) => {
+    if (!targetWpm || wpm === 0) return 'bg-gray-300'
+    if (wpm > targetWpm.max) return 'bg-red-500'
+    if (wpm < targetWpm.min) return 'bg-yellow-500'
+    return 'bg-green-500'
+  }
+
+  return (
+    <div className="space-y-3">
+      <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+        ⏱️ Sprechtempo
+      </h3>
+
+      <div className="grid grid-cols-3 gap-3 text-center">
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-2xl font-bold text-gray-900">{pacing.spoken_duration}s</div>
+          <div className="text-xs text-gray-500">gesprochen von {duration}s</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-2xl font-bold text-gray-900">{pacing.words_per_minute}</div>
+          <div className="text-xs text-gray-500">
+            Wörter/Min{targetWpm && ` (Ziel: ${targetWpm.min}-${targetWpm.max})`}
+          </div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-2xl font-bold text-gray-900">{pacing.speech_start}s</div>
+          <div className="text-xs text-gray-500">bis zum ersten Wort</div>
+        </div>
+      </div>
+
+      {/* Words per minute per time window */}
+      <div className="bg-gray-50 rounded-lg p-4">
+        <div className="flex items-end h-24 gap-1">
+          {timeline.map((window) => (
+            <div
+              key={window.start}
+              className="flex-1 flex flex-col justify-end h-full"
+              title={`${window.start}-${window.end}s: ${window.wpm} Wörter/Min`}
+            >
+              <div
+                className={`${getBarColor(window.wpm)} rounded-t`}
+                style={{ height: `${(window.wpm / maxWpm) * 100}%` }}
+              ></div>
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between text-xs text-gray-400 mt-1">
+          <span>0s</span>
+          <span>{timeline[timeline.length - 1].end}s</span>
+        </div>
+      </div>
+
+      {pacing.ran_out_of_time ? (
+        <p className="text-sm text-red-700 bg-red-50 rounded-lg p-3">
+          ⏰ Die Zeit war um, bevor du fertig warst – unterbrochen bei: „{pacing.cutoff_text}“
+        </p>
+      ) : pacing.unused_seconds >= 5 && (
+        <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3">
+          ⏳ {pacing.unused_seconds} Sekunden ungenutzt – Platz für ein Beispiel oder eine konkretere Anfrage.
+        </p>
+      )}
+
+      {pacing.estimated && (
+        <p className="text-xs text-gray-400">
+          Wortzeiten aus Satz-Zeitstempeln geschätzt.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default PacingChart
@@ -5,17 +5,37 @@
 
 import React, { useState, useEffect, useRef } from 'react'
 import SpeechService from '../services/SpeechService'
+import apiService from '../services/ApiService'
+import VocabularyForm, { loadVocabulary } from './VocabularyForm'
+import LanguageSelector, { loadLanguage } from './LanguageSelector'
+import Teleprompter from './Teleprompter'
+import PaceGauge from './PaceGauge'
+import MicrophoneSetup from './MicrophoneSetup'
+import { loadScript } from './ScriptEditor'
+import { loadSetting, saveSetting } from '../utils/storage'
 
-function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplete }) {
+const TELEPROMPTER_KEY = 'pitchtrainer.teleprompter'
+
+const loadTeleprompterEnabled = () => loadSetting(TELEPROMPTER_KEY) === 'true'
+
+function RecordingInterface({ duration, format, onRecordingComplete, onUploadInstead, onScriptInstead }) {
   const [timeLeft, setTimeLeft] = useState(duration)
   const [isRecording, setIsRecording] = useState(false)
+  const [isPaused, setIsPaused] = useState(false)
   const [liveTranscript, setLiveTranscript] = useState('')
   const [error, setError] = useState(null)
   const [status, setStatus] = useState('ready') // ready, recording, processing, error
+  const [micReady, setMicReady] = useState(false)
+  const [vocabulary, setVocabulary] = useState(loadVocabulary)
+  const [language, setLanguage] = useState(loadLanguage)
+  const [teleprompterEnabled, setTeleprompterEnabled] = useState(loadTeleprompterEnabled)
+  const [teleprompterScript, setTeleprompterScript] = useState(loadScript)
 
   const speechServiceRef = useRef(null)
   const timerRef = useRef(null)
   const audioRef = useRef(null)
+  // Refs, because the timer stops the recording from a closure of the first render
+  const liveTranscriptRef = useRef('')
 
   useEffect(() => {
     initializeSpeechService()
@@ -28,9 +48,11 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
   const initializeSpeechService = async () => {
     try {
       speechServiceRef.current = new SpeechService()
+      speechServiceRef.current.setLanguage(language)
       
       speechServiceRef.current.setCallbacks({
         onTranscriptUpdate: (transcript, isFinal) => {
+          liveTranscriptRef.current = transcript
           setLiveTranscript(transcript)
         },
         onError: (error) => {
@@ -44,7 +66,9 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
 
       const result = await speechServiceRef.current.initialize()
       
-      if (!result.success) {
+      if (result.success) {
+        setMicReady(true)
+      } else {
         if (result.permissions) {
           setError('Mikrofon-Berechtigung erforderlich. Bitte erlaube den Zugriff und lade die Seite neu.')
         } else {
@@ -70,6 +94,16 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
     }
   }
 
+  const handleTeleprompterToggle = (event) => {
+    setTeleprompterEnabled(event.target.checked)
+    saveSetting(TELEPROMPTER_KEY, event.target.checked)
+  }
+
+  const handleLanguageChange = (code) => {
+    setLanguage(code)
+    speechServiceRef.current?.setLanguage(code)
+  }
+
   const startRecording = async () => {
     try {
       setError(null)
@@ -77,24 +111,10 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
       setIsRecording(true)
       setTimeLeft(duration)
       setLiveTranscript('')
+      liveTranscriptRef.current = ''
 
       await speechServiceRef.current.startRecording()
-
-      // Start countdown timer
-      timerRef.current = setInterval(() => {
-        setTimeLeft((prev) => {
-          if (prev <= 1) {
-            stopRecording()
-            return 0
-          }
-          
-          // Audio cues
-          if (prev === 11) playBeep() // 10s warning
-          if (prev === 6) playBeep()  // 5s warning
-          
-          return prev - 1
-        })
-      }, 1000)
+      startTimer()
 
     } catch (error) {
       console.error('Failed to start recording:', error)
@@ -104,9 +124,55 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
     }
   }
 
+  // Countdown; restarted on resume so a paused take keeps its remaining time
+  const startTimer = () => {
+    clearInterval(timerRef.current)
+    timerRef.current = setInterval(() => {
+      setTimeLeft((prev) => {
+        if (prev <= 1) {
+          stopRecording()
+          return 0
+        }
+        
+        // Audio cues
+        if (prev === 61 && duration > 120) playBeep() // 1min warning for long formats
+        if (prev === 11) playBeep() // 10s warning
+        if (prev === 6) playBeep()  // 5s warning
+        
+        return prev - 1
+      })
+    }, 1000)
+  }
+
+  const pauseRecording = () => {
+    clearInterval(timerRef.current)
+    speechServiceRef.current.pauseRecording()
+    setIsPaused(true)
+  }
+
+  const resumeRecording = () => {
+    speechServiceRef.current.resumeRecording()
+    setIsPaused(false)
+    startTimer()
+  }
+
+  // Discard the take and get ready for a new one, without transcribing anything
+  const restartRecording = () => {
+    clearInterval(timerRef.current)
+    speechServiceRef.current.discardRecording()
+    audioRef.current = null
+    liveTranscriptRef.current = ''
+    setLiveTranscript('')
+    setIsRecording(false)
+    setIsPaused(false)
+    setTimeLeft(duration)
+    setStatus('ready')
+  }
+
   const stopRecording = async () => {
     try {
       setIsRecording(false)
+      setIsPaused(false)
       clearInterval(timerRef.current)
       
       await speechServiceRef.current.stopRecording()
@@ -131,40 +197,25 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
         throw new Error('Keine Audiodaten verfügbar')
       }
 
-      // Get final transcript from Voxtral
-      console.log('🎯 Processing audio with Voxtral...')
-      const transcriptionResult = await speechServiceRef.current.transcribeAudio(audioRef.current)
+      // Get final transcript from the configured transcription provider
+      console.log('🎯 Processing audio...')
+      const transcriptionResult = await apiService.transcribeAudio(audioRef.current, {
+        vocabulary,
+        language,
+        liveTranscript: liveTranscriptRef.current
+      })
+      if (transcriptionResult.corrections && transcriptionResult.corrections.length > 0) {
+        console.log('🔤 Vocabulary corrections:', transcriptionResult.corrections.map(c => `${c.from} → ${c.to}`).join(', '))
+      }
       
-      const finalTranscript = transcriptionResult.transcript || liveTranscript
+      const finalTranscript = transcriptionResult.transcript || liveTranscriptRef.current
       
       if (!finalTranscript.trim()) {
         throw new Error('Kein Text erkannt. Bitte spreche lauter oder deutlicher.')
       }
 
-      console.log('📝 Final transcript:', finalTranscript.length, 'characters')
-      onRecordingComplete(finalTranscript)
-
-      // Send for evaluation
-      console.log('🎯 Sending for evaluation...')
-      const response = await fetch('/api/evaluate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          transcript: finalTranscript,
-          duration: duration
-        }),
-      })
-
-      if (!response.ok) {
-        throw new Error(`Evaluation failed: ${response.statusText}`)
-      }
-
-      const evaluationResult = await response.json()
-      console.log('✅ Evaluation complete, overall score:', evaluationResult.overall_score)
-      
-      onEvaluationComplete(evaluationResult)
+      console.log('📝 Final transcript:', finalTranscript.length, 'characters, confidence', transcriptionResult.confidence)
+      onRecordingComplete({ ...transcriptionResult, transcript: finalTranscript, input_type: 'recording' })
 
     } catch (error) {
       console.error('❌ Processing failed:', error)
@@ -195,6 +246,9 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
     }
   }
 
+  // Browsers without Web Speech deliver no live transcript to follow
+  const trackingAvailable = Boolean(speechServiceRef.current?.isSupported.webSpeech)
+
   const getProgressWidth = () => {
     return ((duration - timeLeft) / duration) * 100
   }
@@ -206,7 +260,9 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
   }
 
   const formatTime = (seconds) => {
-    return `${seconds}s`
+    if (seconds < 60) return `${seconds}s`
+    const minutes = Math.floor(seconds / 60)
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')} min`
   }
 
   if (status === 'error') {
@@ -215,12 +271,20 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
         <div className="text-6xl">❌</div>
         <h2 className="text-2xl font-semibold text-danger-600">Fehler</h2>
         <p className="text-gray-600 max-w-md mx-auto">{error}</p>
-        <button
-          onClick={() => window.location.reload()}
-          className="btn btn-primary"
-        >
-          Seite neu laden
-        </button>
+        <div className="flex justify-center space-x-4">
+          <button
+            onClick={() => window.location.reload()}
+            className="btn btn-primary"
+          >
+            Seite neu laden
+          </button>
+          <button onClick={onUploadInstead} className="btn btn-secondary">
+            📁 Audiodatei hochladen
+          </button>
+          <button onClick={onScriptInstead} className="btn btn-secondary">
+            ✍️ Skript eingeben
+          </button>
+        </div>
       </div>
     )
   }
@@ -233,9 +297,8 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
           🎯 Verarbeitung läuft...
         </h2>
         <div className="space-y-2 text-gray-600">
-          <p>📝 Transkription mit Voxtral AI...</p>
-          <p>🤖 Pitch-Bewertung mit Mistral AI...</p>
-          <p className="text-sm">Das kann bis zu 10 Sekunden dauern</p>
+          <p>📝 Transkription läuft...</p>
+          <p className="text-sm">Danach kannst du das Transkript prüfen, bevor es bewertet wird</p>
         </div>
       </div>
     )
@@ -246,33 +309,107 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
       {/* Recording Status */}
       <div className="text-center">
         <div className="flex items-center justify-center space-x-4 mb-4">
-          {isRecording && (
+          {isRecording && !isPaused && (
             <div className="flex items-center space-x-2">
               <div className="w-4 h-4 bg-red-500 rounded-full animate-pulse"></div>
               <span className="text-red-600 font-semibold text-lg">AUFNAHME</span>
             </div>
           )}
+          {isPaused && (
+            <div className="flex items-center space-x-2">
+              <div className="w-4 h-4 bg-yellow-500 rounded-full"></div>
+              <span className="text-yellow-700 font-semibold text-lg">PAUSIERT</span>
+            </div>
+          )}
           <h2 className="text-2xl font-bold text-gray-900">
-            {duration}s Pitch {isRecording ? '- Läuft' : '- Bereit'}
+            {format.labels.de} {isRecording ? (isPaused ? '- Pausiert' : '- Läuft') : '- Bereit'}
           </h2>
         </div>
       </div>
 
-      {/* Progress Bar */}
-      <div className="space-y-2">
-        <div className="progress-bar">
-          <div 
-            className={`progress-fill ${getProgressColor()}`}
-            style={{ width: `${getProgressWidth()}%` }}
-          ></div>
-        </div>
-        <div className="text-center">
-          <span className="text-2xl font-bold text-gray-800">
-            {isRecording ? `${formatTime(timeLeft)} verbleibend` : `${duration} Sekunden bereit`}
-          </span>
+      {/* Progress Bar and live pace (needs the Web Speech live transcript) */}
+      <div className={`grid gap-4 items-center ${isRecording && trackingAvailable ? 'md:grid-cols-2' : ''}`}>
+        <div className="space-y-2">
+          <div className="progress-bar">
+            <div 
+              className={`progress-fill ${getProgressColor()}`}
+              style={{ width: `${getProgressWidth()}%` }}
+            ></div>
+          </div>
+          <div className="text-center">
+            <span className="text-2xl font-bold text-gray-800">
+              {isRecording ? `${formatTime(timeLeft)} verbleibend` : `${formatTime(duration)} bereit`}
+            </span>
+          </div>
         </div>
+        {isRecording && trackingAvailable && (
+          <PaceGauge
+            transcript={liveTranscript}
+            elapsed={duration - timeLeft}
+            duration={duration}
+            wordRange={format.word_range}
+          />
+        )}
       </div>
 
+      {/* Microphone choice and input level */}
+      {!isRecording && micReady && (
+        <MicrophoneSetup
+          speechService={speechServiceRef.current}
+          disabled={status !== 'ready'}
+        />
+      )}
+
+      {/* Language and vocabulary hints for the transcription */}
+      {!isRecording && (
+        <LanguageSelector
+          value={language}
+          onChange={handleLanguageChange}
+          disabled={status !== 'ready'}
+        />
+      )}
+      {!isRecording && (
+        <VocabularyForm
+          vocabulary={vocabulary}
+          onChange={setVocabulary}
+          disabled={status !== 'ready'}
+        />
+      )}
+
+      {/* Teleprompter */}
+      {!isRecording && (
+        <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+          <label className="flex items-center space-x-2 text-gray-700 font-medium">
+            <input
+              type="checkbox"
+              checked={teleprompterEnabled}
+              onChange={handleTeleprompterToggle}
+              disabled={status !== 'ready'}
+            />
+            <span>📜 Teleprompter – Skript beim Aufnehmen anzeigen</span>
+          </label>
+          {teleprompterEnabled && (
+            <textarea
+              value={teleprompterScript}
+              onChange={(event) => setTeleprompterScript(event.target.value)}
+              rows={4}
+              placeholder="Füge dein Skript ein oder schreibe es im Script-Modus"
+              className="w-full border border-gray-300 rounded-lg p-3 text-gray-800 text-sm leading-relaxed"
+            />
+          )}
+        </div>
+      )}
+      {teleprompterEnabled && teleprompterScript.trim() && (
+        <Teleprompter
+          script={teleprompterScript}
+          duration={duration}
+          elapsed={duration - timeLeft}
+          liveTranscript={liveTranscript}
+          isRecording={isRecording}
+          trackingAvailable={trackingAvailable}
+        />
+      )}
+
       {/* Live Transcript */}
       <div className="transcript-box">
         <div className="flex items-center justify-between mb-2">
@@ -309,7 +446,33 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
           >
             🎙️ START
           </button>
+        ) : null}
+        {!isRecording ? (
+          <button
+            onClick={onUploadInstead}
+            className="btn btn-secondary text-xl px-8 py-4"
+            disabled={status !== 'ready'}
+          >
+            📁 Datei hochladen
+          </button>
+        ) : null}
+        {!isRecording ? (
+          <button
+            onClick={onScriptInstead}
+            className="btn btn-secondary text-xl px-8 py-4"
+            disabled={status !== 'ready'}
+          >
+            ✍️ Skript
+          </button>
         ) : (
+          <button
+            onClick={isPaused ? resumeRecording : pauseRecording}
+            className="btn btn-secondary text-xl px-8 py-4"
+          >
+            {isPaused ? '▶️ WEITER' : '⏸️ PAUSE'}
+          </button>
+        )}
+        {isRecording && (
           <button
             onClick={stopRecording}
             className="btn btn-danger text-xl px-8 py-4 min-w-[200px]"
@@ -317,15 +480,26 @@ function RecordingInterface({ duration, onRecordingComplete, onEvaluationComplet
             🛑 STOPP
           </button>
         )}
+        {isRecording && (
+          <button
+            onClick={restartRecording}
+            className="btn btn-secondary text-xl px-8 py-4"
+            title="Aufnahme verwerfen und neu beginnen"
+          >
+            🔄 NEU STARTEN
+          </button>
+        )}
       </div>
 
       {/* Tips */}
       <div className="bg-blue-50 rounded-lg p-4 text-center">
         <p className="text-blue-800 text-sm">
-          💡 <strong>Tipp:</strong> Spreche deutlich und verwende die {duration}s optimal. 
-          {duration === 45 && ' Zielwörter: 90-120 Wörter.'} 
-          {duration === 60 && ' Zielwörter: 120-150 Wörter.'}
+          💡 <strong>Tipp:</strong> Spreche deutlich und verwende die {formatTime(duration)} optimal. 
+          {` Zielwörter: ${format.word_range.min}-${format.word_range.max} Wörter.`}
         </p>
+        {format.tips?.de && (
+          <p className="text-blue-700 text-xs mt-1">{format.tips.de}</p>
+        )}
       </div>
     </div>
   )
@@ -4,35 +4,62 @@
  */
 
 import React, { useState } from 'react'
+import EvidenceTranscript from './EvidenceTranscript'
+import RewriteComparison from './RewriteComparison'
+import ScriptComparison from './ScriptComparison'
+import PacingChart from './PacingChart'
+import AudioAnalysisPanel from './AudioAnalysisPanel'
 
-function ResultsDisplay({ result, transcript, duration, onStartOver }) {
+// Transcription providers as reported by /api/transcribe
+const TRANSCRIPTION_PROVIDERS = {
+  voxtral: 'Voxtral',
+  openai: 'OpenAI-kompatibel',
+  whisper_cpp: 'whisper.cpp'
+}
+
+function ResultsDisplay({ result, rubric, transcript, timestamps, transcriptionProvider, duration, format, takeNumber, isBestTake, onStartOver, onNewTake, onRecordScript }) {
   const [copied, setCopied] = useState(false)
+  const [selectedKpi, setSelectedKpi] = useState(null)
 
-  const categoryLabels = {
-    call_to_action: 'Call-to-Action',
-    structure_time: 'Struktur & Zeit', 
-    content_clarity: 'Klarheit',
-    memorability: 'Merkbarkeit'
-  }
+  const language = 'de'
+  const categories = rubric?.categories || Object.keys(result.kpis).map((key) => ({ key, weight: 0, kpis: [] }))
+  const totalWeight = categories.reduce((sum, category) => sum + category.weight, 0)
 
-  const categoryWeights = {
-    call_to_action: 40,
-    structure_time: 25,
-    content_clarity: 20,
-    memorability: 15
-  }
+  const categoryLabels = Object.fromEntries(categories.map((category) => [
+    category.key,
+    category.labels?.[language] || category.key.replace(/_/g, ' ')
+  ]))
+
+  const categoryWeights = Object.fromEntries(categories.map((category) => [
+    category.key,
+    totalWeight > 0 && !category.measured ? Math.round((category.weight / totalWeight) * 100) : null
+  ]))
+
+  const measuredCategories = new Set(categories.filter((category) => category.measured).map((category) => category.key))
 
-  const proposalTypeLabels = {
-    CTA_SPECIFICITY: 'Call-to-Action spezifischer machen',
-    CTA_CLARITY: 'Kontaktweg klarer kommunizieren',
-    STRUCTURE_BASICS: 'Grundstruktur verbessern',
-    SIMPLIFY_MESSAGE: 'Botschaft vereinfachen',
-    ADD_MEMORY_HOOK: 'Einprägsamen Hook hinzufügen',
-    TIME_OPTIMIZATION: 'Zeitmanagement optimieren'
+  const kpiLabels = Object.fromEntries(categories.flatMap((category) =>
+    category.kpis.map((kpi) => [kpi.key, kpi.labels?.[language]])
+  ))
+
+  const proposalTypeLabels = Object.fromEntries((rubric?.proposal_types || []).map((type) => [
+    type.key,
+    type.labels?.[language]
+  ]))
+
+  const isHeuristic = result.evaluation_mode === 'heuristic'
+  const evidence = result.evidence || {}
+
+  const formatKpi = (kpi) => kpiLabels[kpi] || kpi.replace(/_/g, ' ')
+
+  const findKpiCategory = (kpi) => Object.keys(result.kpis).find((category) => kpi in result.kpis[category])
+
+  const toggleKpi = (kpi) => {
+    setSelectedKpi(selectedKpi === kpi ? null : kpi)
   }
 
   const calculateCategoryScore = (category) => {
-    const scores = Object.values(result.kpis[category])
+    const scores = Object.values(result.kpis[category] || {})
+    if (scores.length === 0) return 0
     return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
   }
 
@@ -58,13 +85,13 @@ function ResultsDisplay({ result, transcript, duration, onStartOver }) {
       `${i + 1}. ${proposalTypeLabels[p.type] || p.title}: ${p.description}`
     ).join('\n')
 
-    const reportText = `🎯 PitchTrainer Bewertung (${duration}s)
+    const reportText = `🎯 PitchTrainer Bewertung (${format ? `${format.labels[language]}, ` : ''}${duration}s${takeNumber ? `, Take ${takeNumber}` : ''})${isHeuristic ? ` – heuristische Offline-Bewertung${result.language_supported === false ? ' (nur Deutsch, Werte nicht aussagekräftig)' : ''}` : ''}
 
 📊 BEWERTUNG:
 ${categoryScores}
 
 🎯 Gesamtscore: ${result.overall_score}/100
-
+${result.pacing ? `⏱️ Tempo: ${result.pacing.words_per_minute} Wörter/Min, ${result.pacing.spoken_duration}s gesprochen${result.pacing.ran_out_of_time ? ' (Zeit überschritten)' : ''}\n` : ''}${result.estimate ? `⏱️ Skript: ca. ${result.estimate.estimated_duration}s bei ${result.estimate.words_per_minute} Wörtern/Min${result.estimate.over_time ? ' (zu lang)' : ''}\n` : ''}
 💡 VERBESSERUNGSVORSCHLÄGE:
 ${proposals}
 
@@ -90,12 +117,35 @@ Erstellt mit PitchTrainer • https://pitrain.waffelwurst.de`
         <h2 className="text-3xl font-bold text-gray-900 mb-2">
           Pitch Analysis Complete
         </h2>
+        {takeNumber && (
+          <p className="text-primary-700 font-semibold">
+            Take {takeNumber}{isBestTake && ' ⭐ bester Take'}
+          </p>
+        )}
         <p className="text-gray-600">
-          {duration}s Pitch • {result.word_count} Wörter • 
+          {format ? format.labels[language] : `${duration}s Pitch`} • {result.word_count} Wörter
+          {format && ` (Ziel: ${format.word_range.min}-${format.word_range.max})`} • 
           Verarbeitung: {result.evaluation_time}ms
         </p>
       </div>
 
+      {/* Heuristic Fallback Notice */}
+      {isHeuristic && (
+        <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-4 text-sm text-yellow-900">
+          <p className="font-semibold mb-1">⚠️ Heuristische Offline-Bewertung</p>
+          <p>
+            Die KI-Bewertung war nicht erreichbar. Dein Pitch wurde stattdessen mit einer
+            Schlüsselwort-Analyse bewertet – die Werte sind nur eine grobe Orientierung.
+          </p>
+          {result.language_supported === false && (
+            <p className="mt-1 font-semibold">
+              Die Offline-Bewertung kennt nur deutsche Schlüsselwörter – für einen Pitch in einer
+              anderen Sprache sind die Werte nicht aussagekräftig.
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Overall Score */}
       <div className="text-center bg-gradient-to-r from-blue-50 to-indigo-50 rounded-2xl p-6">
         <h3 className="text-lg font-semibold text-gray-700 mb-2">
@@ -129,9 +179,16 @@ Erstellt mit PitchTrainer • https://pitrain.waffelwurst.de`
               <div className="flex justify-between items-center mb-2">
                 <span className="font-medium text-gray-800">
                   {categoryLabels[category]}
-                  <span className="text-sm text-gray-500 ml-1">
-                    ({weight}% Gewichtung)
-                  </span>
+                  {weight !== null && (
+                    <span className="text-sm text-gray-500 ml-1">
+                      ({weight}% Gewichtung)
+                    </span>
+                  )}
+                  {measuredCategories.has(category) && (
+                    <span className="text-sm text-gray-500 ml-1">
+                      (gemessen)
+                    </span>
+                  )}
                 </span>
                 <span className={`font-bold ${getScoreColor(score)}`}>
                   {score}/100
@@ -147,17 +204,69 @@ Erstellt mit PitchTrainer • https://pitrain.waffelwurst.de`
               
               {/* Individual KPI details */}
               <div className="mt-2 text-xs text-gray-600">
-                {Object.entries(result.kpis[category]).map(([kpi, value]) => (
-                  <span key={kpi} className="inline-block mr-3">
-                    {kpi.replace(/_/g, ' ')}: {value}
-                  </span>
+                {Object.entries(result.kpis[category] || {}).map(([kpi, value]) => (
+                  <button
+                    key={kpi}
+                    type="button"
+                    onClick={() => toggleKpi(kpi)}
+                    className={`inline-block mr-3 rounded px-1 ${
+                      selectedKpi === kpi ? 'bg-primary-50 text-primary-700 font-semibold' : 'hover:underline'
+                    }`}
+                  >
+                    {formatKpi(kpi)}: {value}
+                    {evidence[kpi]?.spans?.length > 0 && <span className="ml-0.5">🔎</span>}
+                  </button>
                 ))}
               </div>
+
+              {/* Disfluency counts for the measured delivery category */}
+              {measuredCategories.has(category) && result.disfluency && (
+                <p className="mt-1 text-xs text-gray-500">
+                  {result.disfluency.fillers.total} Füllwörter • {result.disfluency.repetitions.total} Wiederholungen •{' '}
+                  {result.disfluency.restarts.total} Satzabbrüche • {result.disfluency.per_minute} pro Minute
+                  <span className="block">Die Transkription glättet Füllwörter teilweise – die echten Werte können höher liegen.</span>
+                </p>
+              )}
+
+              {/* Rationale for the selected KPI */}
+              {selectedKpi && findKpiCategory(selectedKpi) === category && (
+                <div className="mt-2 bg-white border border-gray-200 rounded p-2 text-xs text-gray-700">
+                  <strong>{formatKpi(selectedKpi)}:</strong>{' '}
+                  {evidence[selectedKpi]?.rationale || 'Keine Begründung verfügbar.'}
+                  {evidence[selectedKpi]?.spans?.length > 0 && (
+                    <span className="block mt-1 text-gray-500">
+                      Belege sind im Transcript unten markiert (grün = belegt, rot = fehlt/zu vage).
+                    </span>
+                  )}
+                </div>
+              )}
             </div>
           )
         })}
       </div>
 
+      {/* Measured Pacing */}
+      {result.pacing && (
+        <PacingChart pacing={result.pacing} duration={duration} />
+      )}
+
+      {/* Estimated Speaking Time (Script-Modus) */}
+      {result.estimate && (
+        <div className={`rounded-lg p-4 text-sm ${result.estimate.over_time ? 'bg-yellow-50 text-yellow-900' : 'bg-gray-50 text-gray-700'}`}>
+          <p className="font-semibold mb-1">⏱️ Geschätzte Sprechzeit: ca. {result.estimate.estimated_duration}s von {duration}s</p>
+          <p>
+            Bei {result.estimate.words_per_minute} Wörtern pro Minute passen höchstens {result.estimate.max_words} Wörter.
+            {result.estimate.over_time && ` Dein Skript ist etwa ${result.estimate.overrun_seconds}s zu lang.`}
+            {' '}Stimme und Tempo lassen sich erst bewerten, wenn du den Pitch aufnimmst.
+          </p>
+        </div>
+      )}
+
+      {/* Silence, Pauses and Loudness */}
+      {result.audio_analysis && (
+        <AudioAnalysisPanel analysis={result.audio_analysis} />
+      )}
+
       {/* Improvement Proposals */}
       {result.proposals && result.proposals.length > 0 && (
         <div className="space-y-4">
@@ -204,13 +313,40 @@ Erstellt mit PitchTrainer • https://pitrain.waffelwurst.de`
         <h3 className="text-lg font-semibold text-gray-900">
           📝 Dein Pitch
         </h3>
-        <div className="bg-gray-50 rounded-lg p-4 max-h-32 overflow-y-auto">
-          <p className="text-gray-800 leading-relaxed text-sm">
-            "{transcript}"
+        {Object.keys(evidence).length > 0 && (
+          <p className="text-xs text-gray-500">
+            Markierte Stellen anklicken, um die zugehörige Bewertung zu sehen.
           </p>
+        )}
+        <div className="bg-gray-50 rounded-lg p-4 max-h-48 overflow-y-auto">
+          <EvidenceTranscript
+            transcript={transcript}
+            evidence={evidence}
+            selectedKpi={selectedKpi}
+            onSelectKpi={setSelectedKpi}
+            formatKpi={formatKpi}
+          />
         </div>
       </div>
 
+      {/* AI Rewrite */}
+      <RewriteComparison
+        transcript={transcript}
+        duration={duration}
+        format={format}
+        proposals={result.proposals || []}
+      />
+
+      {/* Script vs. Delivery */}
+      {result.input_type !== 'script' && (
+        <ScriptComparison
+          transcript={transcript}
+          timestamps={timestamps}
+          duration={duration}
+          format={format}
+        />
+      )}
+
       {/* Action Buttons */}
       <div className="flex flex-col sm:flex-row gap-4 justify-center">
         <button
@@ -220,17 +356,36 @@ Erstellt mit PitchTrainer • https://pitrain.waffelwurst.de`
           {copied ? '✅ Kopiert!' : '📋 KOPIEREN'}
         </button>
         
+        <button
+          onClick={onNewTake}
+          className="btn btn-secondary min-w-[180px]"
+        >
+          🎬 NÄCHSTER TAKE
+        </button>
+
         <button
           onClick={onStartOver}
           className="btn btn-secondary min-w-[180px]"
         >
           🔄 NOCHMAL
         </button>
+
+        {result.input_type === 'script' && (
+          <button
+            onClick={onRecordScript}
+            className="btn btn-secondary min-w-[180px]"
+          >
+            🎙️ SKRIPT AUFNEHMEN
+          </button>
+        )}
       </div>
 
       {/* Performance Info */}
       <div className="text-center text-xs text-gray-400 space-y-1">
-        <p>Powered by Mistral AI • Voxtral Transcription • {result.model_used}</p>
+        <p>
+          {isHeuristic ? 'Heuristische Bewertung' : 'KI-Bewertung'} • {result.model_used}
+          {transcriptionProvider && ` • Transkription: ${TRANSCRIPTION_PROVIDERS[transcriptionProvider] || transcriptionProvider}`}
+        </p>
         <p>Transkription + Bewertung: {result.processing_time + (result.evaluation_time || 0)}ms</p>
       </div>
     </div>
@@ -0,0 +1,130 @@
+/**
+ * RewriteComparison Component - AI rewrite of the pitch side by side with the original
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState } from 'react'
+import apiService from '../services/ApiService'
+import { diffWords } from '../utils/wordDiff'
+
+const WORD_STYLES = {
+  same: '',
+  removed: 'bg-red-100 text-red-800 line-through',
+  added: 'bg-green-100 text-green-800'
+}
+
+function DiffText({ words }) {
+  return (
+    <p className="text-gray-800 text-sm leading-relaxed">
+      {words.map((word, index) => (
+        <React.Fragment key={index}>
+          <span className={`rounded ${WORD_STYLES[word.type]}`}>{word.text}</span>{' '}
+        </React.Fragment>
+      ))}
+    </p>
+  )
+}
+
+function RewriteComparison({ transcript, duration, format, proposals }) {
+  const [rewrite, setRewrite] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [copied, setCopied] = useState(false)
+
+  const requestRewrite = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const result = await apiService.rewritePitch({
+        transcript,
+        duration,
+        format: format?.key,
+        proposals
+      })
+      setRewrite({ ...result, diff: diffWords(transcript, result.rewritten_pitch) })
+    } catch (error) {
+      console.error('Rewrite failed:', error)
+      setError(error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const copyRewrite = () => {
+    navigator.clipboard.writeText(rewrite.rewritten_pitch).then(() => {
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    }).catch(() => {
+      console.error('Clipboard copy failed')
+    })
+  }
+
+  if (!rewrite) {
+    return (
+      <div className="space-y-2 text-center">
+        <button
+          onClick={requestRewrite}
+          disabled={isLoading}
+          className="btn btn-secondary min-w-[180px]"
+        >
+          {isLoading ? '⏳ Wird umgeschrieben...' : '✨ VERBESSERTE VERSION'}
+        </button>
+        {error && (
+          <p className="text-sm text-red-600">
+            Umschreiben fehlgeschlagen: {error}
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+        ✨ Verbesserte Version
+      </h3>
+      <p className="text-xs text-gray-500">
+        Die KI hat deinen Pitch mit den Vorschlägen umgeschrieben. Deine Fakten bleiben erhalten –
+        Platzhalter in [Klammern] musst du selbst ergänzen.
+        <span className="ml-1 text-red-700">Rot = entfernt</span>,
+        <span className="ml-1 text-green-700">Grün = neu</span>.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-gray-50 rounded-lg p-4">
+          <h4 className="font-semibold text-gray-700 text-sm mb-2">
+            Original ({rewrite.diff.original.length} Wörter)
+          </h4>
+          <DiffText words={rewrite.diff.original} />
+        </div>
+        <div className="bg-green-50 rounded-lg p-4">
+          <h4 className="font-semibold text-gray-700 text-sm mb-2">
+            Neu ({rewrite.word_count} Wörter, Ziel: {rewrite.word_range.min}-{rewrite.word_range.max})
+            {!rewrite.within_budget && <span className="ml-1 text-yellow-700">⚠️</span>}
+          </h4>
+          <DiffText words={rewrite.diff.revised} />
+        </div>
+      </div>
+
+      {rewrite.changes.length > 0 && (
+        <ul className="text-sm text-gray-700 list-disc list-inside space-y-1">
+          {rewrite.changes.map((change, index) => (
+            <li key={index}>{change}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-center gap-4">
+        <button onClick={copyRewrite} className="btn btn-secondary min-w-[180px]">
+          {copied ? '✅ Kopiert!' : '📋 NEUE VERSION KOPIEREN'}
+        </button>
+        <button onClick={requestRewrite} disabled={isLoading} className="btn btn-secondary min-w-[180px]">
+          {isLoading ? '⏳ Wird umgeschrieben...' : '🔁 NEU GENERIEREN'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default RewriteComparison
@@ -0,0 +1,165 @@
+/**
+ * ScriptComparison Component - How the recorded delivery deviated from the written script
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState } from 'react'
+import apiService from '../services/ApiService'
+import { loadScript } from './ScriptEditor'
+
+const SENTENCE_STYLES = {
+  delivered: 'bg-green-50 text-gray-800',
+  partial: 'bg-yellow-100 text-yellow-900',
+  missed: 'bg-red-100 text-red-800 line-through'
+}
+
+const KEY_LABELS = {
+  call_to_action: 'Call-to-Action',
+  introduction: 'Vorstellung'
+}
+
+function ScriptComparison({ transcript, timestamps, duration, format }) {
+  const [script, setScript] = useState(loadScript)
+  const [comparison, setComparison] = useState(null)
+  const [isOpen, setIsOpen] = useState(false)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const requestComparison = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const result = await apiService.compareScript({
+        script,
+        transcript,
+        duration,
+        format: format?.key,
+        timestamps
+      })
+      setComparison(result)
+    } catch (error) {
+      console.error('Script comparison failed:', error)
+      setError(error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  if (!isOpen) {
+    return (
+      <div className="text-center">
+        <button onClick={() => setIsOpen(true)} className="btn btn-secondary min-w-[180px]">
+          📄 MIT SKRIPT VERGLEICHEN
+        </button>
+      </div>
+    )
+  }
+
+  if (!comparison) {
+    return (
+      <div className="space-y-3">
+        <h3 className="text-xl font-semibold text-gray-900">📄 Skript und Vortrag vergleichen</h3>
+        <p className="text-sm text-gray-600">
+          Dein Skript aus dem Script-Modus ist vorausgefüllt – du kannst auch ein anderes einfügen.
+        </p>
+        <textarea
+          value={script}
+          onChange={(event) => setScript(event.target.value)}
+          rows={6}
+          className="w-full border border-gray-300 rounded-lg p-3 text-gray-800 text-sm leading-relaxed"
+        />
+        {error && (
+          <p className="text-sm text-red-600">Vergleich fehlgeschlagen: {error}</p>
+        )}
+        <div className="text-center">
+          <button
+            onClick={requestComparison}
+            disabled={isLoading || !script.trim()}
+            className="btn btn-primary min-w-[180px]"
+          >
+            {isLoading ? '⏳ Wird verglichen...' : '🔍 VERGLEICHEN'}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-semibold text-gray-900">📄 Skript und Vortrag</h3>
+
+      <div className="grid grid-cols-3 gap-4 text-center">
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-2xl font-bold text-gray-900">{comparison.coverage_percent}%</div>
+          <div className="text-xs text-gray-600">vom Skript gesprochen</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-2xl font-bold text-gray-900">
+            {comparison.sentences.filter((sentence) => sentence.status === 'missed').length}
+          </div>
+          <div className="text-xs text-gray-600">Sätze ausgelassen</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-2xl font-bold text-gray-900">{comparison.improvised.length}</div>
+          <div className="text-xs text-gray-600">improvisierte Passagen</div>
+        </div>
+      </div>
+
+      {comparison.missed_key_sentences.length > 0 && (
+        <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 text-sm text-red-900 space-y-1">
+          <p className="font-semibold">⚠️ Wichtige Sätze fehlen oder sind unvollständig:</p>
+          {comparison.missed_key_sentences.map((sentence, index) => (
+            <p key={index}>
+              <strong>{KEY_LABELS[sentence.key]}:</strong> „{sentence.text}“ ({sentence.coverage_percent}% gesprochen)
+            </p>
+          ))}
+        </div>
+      )}
+
+      {comparison.over_limit && (
+        <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3">
+          ⏱️ Ab „{comparison.over_limit.first_sentence}“ lag dein Vortrag nach dem Zeitlimit von {comparison.over_limit.duration}s
+          ({comparison.over_limit.sentence_count} Satz{comparison.over_limit.sentence_count > 1 ? 'e' : ''}).
+        </p>
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-1">
+        <p className="text-xs text-gray-500 mb-2">
+          <span className="text-green-700">Grün = gesprochen</span>,
+          <span className="ml-1 text-yellow-700">Gelb = teilweise</span>,
+          <span className="ml-1 text-red-700">Rot = ausgelassen</span>
+        </p>
+        {comparison.sentences.map((sentence, index) => (
+          <p key={index} className={`text-sm rounded px-2 py-1 ${SENTENCE_STYLES[sentence.status]}`}>
+            {sentence.after_limit && <span title="Nach dem Zeitlimit gesprochen">⏱️ </span>}
+            {sentence.text}
+            {sentence.key && (
+              <span className="ml-2 text-xs font-medium text-primary-700">[{KEY_LABELS[sentence.key]}]</span>
+            )}
+          </p>
+        ))}
+      </div>
+
+      {comparison.improvised.length > 0 && (
+        <div className="space-y-1">
+          <h4 className="font-semibold text-gray-700 text-sm">Nicht im Skript:</h4>
+          {comparison.improvised.map((passage, index) => (
+            <p key={index} className="text-sm bg-blue-50 text-blue-900 rounded px-2 py-1">
+              {passage.spoken_at !== null && <span className="text-xs text-blue-600 mr-1">{Math.round(passage.spoken_at)}s</span>}
+              „{passage.text}“
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div className="text-center">
+        <button onClick={() => setComparison(null)} className="btn btn-secondary min-w-[180px]">
+          ✏️ SKRIPT ÄNDERN
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ScriptComparison
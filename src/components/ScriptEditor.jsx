@@ -0,0 +1,124 @@
+/**
+ * ScriptEditor Component - Script-Modus: evaluate a typed or pasted pitch without recording
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState, useEffect } from 'react'
+import apiService from '../services/ApiService'
+import { tokenize } from '../utils/words'
+import { loadSetting, saveSetting } from '../utils/storage'
+import LanguageSelector, { loadLanguage } from './LanguageSelector'
+
+const SCRIPT_KEY = 'pitchtrainer.script'
+const RATE_KEY = 'pitchtrainer.speakingRate'
+
+export function loadScript() {
+  return loadSetting(SCRIPT_KEY) || ''
+}
+
+function ScriptEditor({ format, error, onSubmit, onRecordInstead }) {
+  // The draft is kept across visits, members refine the same pitch week by week
+  const [script, setScript] = useState(loadScript)
+  const [rateRange, setRateRange] = useState(null)
+  const [speakingRate, setSpeakingRate] = useState(() => Number(loadSetting(RATE_KEY)) || null)
+  const [language, setLanguage] = useState(loadLanguage)
+
+  useEffect(() => {
+    apiService.getSpeakingRate()
+      .then((range) => {
+        setRateRange(range)
+        // A stored rate outside a changed server range falls back to the default
+        setSpeakingRate((current) => (current >= range.min && current <= range.max ? current : range.default))
+      })
+      .catch((error) => console.warn('Speaking rate could not be loaded, using server default:', error.message))
+  }, [])
+
+  const handleScriptChange = (event) => {
+    setScript(event.target.value)
+    saveSetting(SCRIPT_KEY, event.target.value)
+  }
+
+  const handleRateChange = (event) => {
+    setSpeakingRate(Number(event.target.value))
+    saveSetting(RATE_KEY, event.target.value)
+  }
+
+  const wordCount = tokenize(script).length
+  const estimatedSeconds = speakingRate ? Math.round((wordCount / speakingRate) * 60) : null
+  const overTime = estimatedSeconds !== null && estimatedSeconds > format.duration
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h2 className="text-2xl font-bold text-gray-900">
+          {format.labels.de} - ✍️ Script-Modus
+        </h2>
+        <p className="text-gray-600 mt-2">
+          Schreibe oder füge deinen Pitch ein und lass ihn bewerten, bevor du ihn übst.
+        </p>
+      </div>
+
+      <textarea
+        value={script}
+        onChange={handleScriptChange}
+        rows={10}
+        placeholder="Mein Name ist ... von ... Ich helfe ..."
+        className="w-full border border-gray-300 rounded-lg p-3 text-gray-800 leading-relaxed"
+      />
+
+      <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+        <div className="flex justify-between text-sm text-gray-700">
+          <span>
+            {wordCount} Wörter (Ziel: {format.word_range.min}-{format.word_range.max})
+          </span>
+          {estimatedSeconds !== null && (
+            <span className={overTime ? 'text-danger-600 font-medium' : ''}>
+              ⏱️ ca. {estimatedSeconds}s von {format.duration}s
+            </span>
+          )}
+        </div>
+        {rateRange && (
+          <label className="flex items-center space-x-3 text-sm text-gray-700">
+            <span className="whitespace-nowrap">Sprechtempo</span>
+            <input
+              type="range"
+              min={rateRange.min}
+              max={rateRange.max}
+              step={5}
+              value={speakingRate}
+              onChange={handleRateChange}
+              className="flex-1"
+            />
+            <span className="whitespace-nowrap">{speakingRate} Wörter/Min</span>
+          </label>
+        )}
+        {overTime && (
+          <p className="text-sm text-yellow-700">
+            ⚠️ Bei diesem Tempo passt dein Skript nicht in {format.duration} Sekunden. Kürze es auf etwa {Math.floor((format.duration / 60) * speakingRate)} Wörter.
+          </p>
+        )}
+      </div>
+
+      <LanguageSelector value={language} onChange={setLanguage} disabled={false} recorded={false} />
+
+      {error && (
+        <p className="text-center text-danger-600">{error}</p>
+      )}
+
+      <div className="flex justify-center space-x-4">
+        <button onClick={onRecordInstead} className="btn btn-secondary">
+          🎙️ Stattdessen live aufnehmen
+        </button>
+        <button
+          onClick={() => onSubmit(script.trim(), { speakingRate, language })}
+          className="btn btn-primary text-lg px-8"
+          disabled={wordCount === 0}
+        >
+          ✅ Pitch bewerten
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ScriptEditor
@@ -0,0 +1,121 @@
+/**
+ * SyncPanel Component - Opt-in history sync with a recovery code
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState } from 'react'
+import syncService from '../services/SyncService'
+
+function SyncPanel({ onSynced }) {
+  const [code, setCode] = useState(syncService.getCode())
+  const [restoreInput, setRestoreInput] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState(null)
+  const [error, setError] = useState(null)
+
+  // Runs one sync action, reporting its outcome below the panel
+  const run = async (action, describe) => {
+    setBusy(true)
+    setError(null)
+    setMessage(null)
+    try {
+      const result = await action()
+      setMessage(describe(result))
+      onSynced()
+    } catch (error) {
+      console.error('History sync failed:', error)
+      setError('Synchronisierung fehlgeschlagen: ' + error.message)
+    } finally {
+      setCode(syncService.getCode())
+      setBusy(false)
+    }
+  }
+
+  const describeAdded = (added) => (added > 0 ? `${added} Bewertungen hinzugefügt.` : 'Alles auf dem neuesten Stand.')
+
+  const handleEnable = () => run(() => syncService.enable(), () =>
+    'Sync aktiviert. Notiere dir den Code – ohne ihn lässt sich der Verlauf nicht wiederherstellen.')
+
+  const handleRestore = (event) => {
+    event.preventDefault()
+    run(() => syncService.restore(restoreInput), (added) => {
+      setRestoreInput('')
+      return `Verlauf wiederhergestellt. ${describeAdded(added)}`
+    })
+  }
+
+  const handleDisable = () => {
+    if (!window.confirm('Sync beenden und die verschlüsselte Kopie vom Server löschen? Der Verlauf auf diesem Gerät bleibt erhalten.')) return
+    run(() => syncService.disable(), () => 'Sync beendet.')
+  }
+
+  const copyCode = () => {
+    navigator.clipboard.writeText(code).then(() => {
+      setMessage('Code kopiert.')
+    }).catch(() => {
+      console.error('Clipboard copy failed')
+    })
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-3 text-sm">
+      <p className="font-medium text-gray-700">🔐 Geräte synchronisieren</p>
+      <p className="text-xs text-gray-500">
+        Dein Verlauf wird im Browser verschlüsselt. Der Server speichert ihn ohne Konto und kann ihn nicht lesen.
+      </p>
+
+      {code ? (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between gap-3 bg-gray-50 rounded-md p-2">
+            <code className="font-mono text-base tracking-wider text-gray-900">{code}</code>
+            <button type="button" onClick={copyCode} className="text-primary-600 hover:underline">
+              Kopieren
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Gib diesen Code auf deinem anderen Gerät unter „Verlauf wiederherstellen“ ein.
+          </p>
+          <div className="flex gap-4">
+            <button
+              type="button"
+              onClick={() => run(() => syncService.sync(), describeAdded)}
+              disabled={busy}
+              className="text-primary-600 hover:underline"
+            >
+              Jetzt synchronisieren
+            </button>
+            <button type="button" onClick={handleDisable} disabled={busy} className="text-danger-600 hover:underline">
+              Sync beenden
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <button type="button" onClick={handleEnable} disabled={busy} className="btn btn-secondary">
+            Sync aktivieren
+          </button>
+          <form onSubmit={handleRestore} className="flex gap-2">
+            <input
+              type="text"
+              value={restoreInput}
+              onChange={(event) => setRestoreInput(event.target.value)}
+              placeholder="Verlauf wiederherstellen: XXXX-XXXX-XXXX-XXXX-XXXX"
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2 font-mono"
+              autoComplete="off"
+              spellCheck={false}
+            />
+            <button type="submit" disabled={busy || !restoreInput.trim()} className="btn btn-secondary">
+              Wiederherstellen
+            </button>
+          </form>
+        </div>
+      )}
+
+      {busy && <p className="text-xs text-gray-500">Synchronisiere...</p>}
+      {message && <p className="text-xs text-green-700">{message}</p>}
+      {error && <p className="text-xs text-danger-600">{error}</p>}
+    </div>
+  )
+}
+
+export default SyncPanel
@@ -0,0 +1,102 @@
+/**
+ * TakeComparison Component - Takes of one session side by side with per-KPI deltas
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React from 'react'
+import { compareTakes, findBestTake } from '../utils/takes'
+
+const INPUT_TYPE_ICONS = {
+  recording: '🎙️',
+  upload: '📁',
+  script: '✍️'
+}
+
+function TakeComparison({ takes, rubric, selectedNumber, onSelect }) {
+  const language = 'de'
+  const rows = compareTakes(takes)
+  const best = findBestTake(takes)
+
+  const kpiLabels = Object.fromEntries((rubric?.categories || []).flatMap((category) =>
+    category.kpis.map((kpi) => [kpi.key, kpi.labels?.[language]])
+  ))
+  const formatKpi = (kpi) => kpiLabels[kpi] || kpi.replace(/_/g, ' ')
+
+  const getDeltaColor = (delta) => {
+    if (delta > 0) return 'text-green-600'
+    if (delta < 0) return 'text-red-600'
+    return 'text-gray-400'
+  }
+
+  return (
+    <div className="space-y-3">
+      <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+        🎬 Deine Takes
+      </h3>
+      <p className="text-sm text-gray-600">
+        Veränderungen gegenüber Take 1. Behalte den besten Take – er wird unten angezeigt und mit KOPIEREN exportiert.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-left py-2 pr-4 font-medium text-gray-600">KPI</th>
+              {takes.map((take) => (
+                <th
+                  key={take.number}
+                  className={`text-center py-2 px-2 font-semibold ${take.number === selectedNumber ? 'bg-primary-50 text-primary-700' : 'text-gray-800'}`}
+                >
+                  {INPUT_TYPE_ICONS[take.input_type]} Take {take.number}
+                  {take.number === best?.number && <span className="ml-1" title="Bester Take">⭐</span>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key} className={`border-b border-gray-100 ${row.category === null ? 'font-semibold' : ''}`}>
+                <td className="py-1 pr-4 text-gray-700">
+                  {row.category === null ? 'Gesamtscore' : formatKpi(row.key)}
+                </td>
+                {row.scores.map((score, index) => (
+                  <td
+                    key={takes[index].number}
+                    className={`text-center py-1 px-2 ${takes[index].number === selectedNumber ? 'bg-primary-50' : ''}`}
+                  >
+                    {score === null ? '–' : score}
+                    {row.deltas[index] !== null && (
+                      <span className={`ml-1 text-xs ${getDeltaColor(row.deltas[index])}`}>
+                        {row.deltas[index] > 0 ? `+${row.deltas[index]}` : row.deltas[index] === 0 ? '±0' : row.deltas[index]}
+                      </span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr>
+              <td></td>
+              {takes.map((take) => (
+                <td key={take.number} className="text-center pt-2 px-2">
+                  {take.number === selectedNumber ? (
+                    <span className="text-xs font-semibold text-primary-700">✅ Behalten</span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => onSelect(take.number)}
+                      className="text-xs text-primary-600 hover:underline"
+                    >
+                      Behalten
+                    </button>
+                  )}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default TakeComparison
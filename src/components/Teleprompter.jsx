@@ -0,0 +1,99 @@
+/**
+ * Teleprompter Component - Scrolls the pitch script while recording
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import { tokenize } from '../utils/words'
+import { trackPosition, getPace } from '../utils/teleprompter'
+
+const PACE_LABELS = {
+  ahead: (seconds) => `⏩ ${seconds}s vor dem Takt – etwas langsamer`,
+  behind: (seconds) => `⏪ ${seconds}s hinter dem Takt – etwas schneller`,
+  on_pace: () => '✅ Im Takt'
+}
+
+const PACE_STYLES = {
+  ahead: 'text-yellow-700',
+  behind: 'text-danger-600',
+  on_pace: 'text-green-700'
+}
+
+function Teleprompter({ script, duration, elapsed, liveTranscript, isRecording, trackingAvailable }) {
+  const words = useMemo(() => tokenize(script), [script])
+  const [position, setPosition] = useState(-1)
+
+  const containerRef = useRef(null)
+  const wordRefs = useRef([])
+
+  useEffect(() => {
+    if (!isRecording) {
+      setPosition(-1)
+      return
+    }
+    setPosition((previous) => trackPosition(words, liveTranscript, previous))
+  }, [liveTranscript, isRecording, words])
+
+  const pace = isRecording && words.length > 0 ? getPace(position, words.length, elapsed, duration) : null
+  // Follow the reader once recognized, until then scroll at the required pace
+  const anchorIndex = position >= 0 ? position : pace ? pace.expectedIndex : 0
+
+  useEffect(() => {
+    const container = containerRef.current
+    const word = wordRefs.current[anchorIndex]
+    if (container && word) {
+      container.scrollTo({ top: Math.max(word.offsetTop - container.clientHeight / 3, 0), behavior: 'smooth' })
+    }
+  }, [anchorIndex])
+
+  const parts = []
+  words.forEach((word, index) => {
+    const gapStart = index === 0 ? 0 : words[index - 1].end
+    parts.push(<React.Fragment key={`gap-${index}`}>{script.slice(gapStart, word.start)}</React.Fragment>)
+
+    const spoken = index <= position
+    const atPace = pace && index === pace.expectedIndex
+    parts.push(
+      <span
+        key={index}
+        ref={(element) => { wordRefs.current[index] = element }}
+        className={`rounded ${spoken ? 'text-gray-400' : 'text-gray-900'} ${atPace ? 'bg-primary-50 ring-2 ring-primary-500' : ''}`}
+      >
+        {word.text}
+      </span>
+    )
+  })
+  if (words.length > 0) {
+    parts.push(<React.Fragment key="tail">{script.slice(words[words.length - 1].end)}</React.Fragment>)
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <h3 className="font-semibold text-gray-700">📜 Teleprompter</h3>
+        {pace && (
+          <span className={`font-medium ${PACE_STYLES[pace.status]}`}>
+            {trackingAvailable && position >= 0
+              ? PACE_LABELS[pace.status](Math.abs(pace.offsetSeconds))
+              : 'Scrollt im Zieltempo'}
+          </span>
+        )}
+      </div>
+      <div
+        ref={containerRef}
+        className="relative h-64 overflow-y-auto bg-gray-50 border border-gray-200 rounded-lg p-6 text-2xl leading-relaxed whitespace-pre-wrap"
+      >
+        {parts}
+        {/* Room to scroll the last lines up to the reading line */}
+        <div className="h-40" />
+      </div>
+      {!trackingAvailable && (
+        <p className="text-xs text-gray-500">
+          Dein Browser liefert kein Live-Transkript – der Teleprompter folgt nur dem Zieltempo.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default Teleprompter
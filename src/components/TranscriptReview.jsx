@@ -0,0 +1,112 @@
+/**
+ * TranscriptReview Component - Check and correct the transcript before the evaluation
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState } from 'react'
+import { splitBySpans, applyReplacements } from '../utils/transcriptSpans'
+
+const SOURCE_LABELS = {
+  word_probability: 'laut Transkriptionsmodell',
+  segment_logprob: 'laut Transkriptionsmodell',
+  agreement: 'Live- und finales Transkript weichen ab'
+}
+
+function TranscriptReview({ transcription, draft, error, onConfirm, onRetry }) {
+  const spans = transcription.low_confidence || []
+  const [replacements, setReplacements] = useState(() => spans.map((span) => span.text))
+  // null while editing only the marked words inline, the full text once switched to free editing;
+  // a draft from a failed evaluation is kept as free text
+  const [fullText, setFullText] = useState(() => (draft && draft !== transcription.transcript ? draft : null))
+
+  const inlineText = applyReplacements(transcription.transcript, spans, replacements)
+  const currentText = fullText !== null ? fullText : inlineText
+  const parts = splitBySpans(transcription.transcript, spans)
+
+  const updateReplacement = (index, value) => {
+    setReplacements(replacements.map((replacement, current) => (current === index ? value : replacement)))
+  }
+
+  const handleConfirm = () => {
+    onConfirm(currentText.trim())
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h2 className="text-2xl font-semibold text-gray-800">🔍 Transkript prüfen</h2>
+        <p className="text-gray-600 mt-2">
+          Korrigiere Erkennungsfehler, bevor dein Pitch bewertet wird – bewertet wird, was du gesagt hast.
+        </p>
+        {transcription.confidence !== null && transcription.confidence !== undefined && (
+          <p className="text-sm text-gray-500 mt-1">
+            Erkennungssicherheit: {Math.round(transcription.confidence * 100)}%
+          </p>
+        )}
+      </div>
+
+      {fullText === null ? (
+        <div className="transcript-box space-y-3">
+          {spans.length > 0 && (
+            <p className="text-sm text-orange-700">
+              {spans.length} unsichere Stelle{spans.length > 1 ? 'n' : ''} markiert
+              {SOURCE_LABELS[transcription.confidence_source] ? ` (${SOURCE_LABELS[transcription.confidence_source]})` : ''}.
+            </p>
+          )}
+          <p className="text-gray-800 leading-loose">
+            {parts.map((part, index) => {
+              if (!part.span) {
+                return <span key={index}>{part.text}</span>
+              }
+              const spanIndex = spans.indexOf(part.span)
+              const value = replacements[spanIndex]
+              return (
+                <input
+                  key={index}
+                  type="text"
+                  value={value}
+                  onChange={(event) => updateReplacement(spanIndex, event.target.value)}
+                  title={`Unsicher erkannt: „${part.span.text}“ (${Math.round(part.span.confidence * 100)}%)`}
+                  size={Math.max(value.length, 3)}
+                  className="bg-orange-100 text-orange-900 border-b-2 border-orange-400 rounded px-1 mx-0.5"
+                />
+              )
+            })}
+          </p>
+          <button
+            onClick={() => setFullText(inlineText)}
+            className="text-sm text-primary-600 hover:underline"
+          >
+            ✏️ Ganzen Text bearbeiten
+          </button>
+        </div>
+      ) : (
+        <textarea
+          value={fullText}
+          onChange={(event) => setFullText(event.target.value)}
+          rows={8}
+          className="w-full border border-gray-300 rounded-lg p-3 text-gray-800 leading-relaxed"
+        />
+      )}
+
+      {error && (
+        <p className="text-center text-danger-600">{error}</p>
+      )}
+
+      <div className="flex justify-center space-x-4">
+        <button onClick={onRetry} className="btn btn-secondary">
+          🎙️ Neu aufnehmen
+        </button>
+        <button
+          onClick={handleConfirm}
+          className="btn btn-primary text-lg px-8"
+          disabled={!currentText.trim()}
+        >
+          ✅ Pitch bewerten
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default TranscriptReview
@@ -0,0 +1,58 @@
+/**
+ * TrendChart Component - Scores of past evaluations as a line, oldest left
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React from 'react'
+
+const WIDTH = 600
+const HEIGHT = 160
+const PADDING = 8
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit' })
+
+function TrendChart({ points, label }) {
+  if (points.length === 0) {
+    return (
+      <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-500 text-center">
+        Noch keine Bewertungen für {label}.
+      </div>
+    )
+  }
+
+  // Evenly spaced: practice happens in bursts, a time axis would squeeze them together
+  const step = points.length > 1 ? (WIDTH - 2 * PADDING) / (points.length - 1) : 0
+  const toX = (index) => (points.length > 1 ? PADDING + index * step : WIDTH / 2)
+  const toY = (value) => PADDING + (1 - value / 100) * (HEIGHT - 2 * PADDING)
+  const line = points.map((point, index) => `${toX(index)},${toY(point.value)}`).join(' ')
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={`Verlauf ${label}`}>
+        {[60, 80].map((threshold) => (
+          <line
+            key={threshold}
+            x1={0}
+            x2={WIDTH}
+            y1={toY(threshold)}
+            y2={toY(threshold)}
+            className="stroke-gray-200"
+            strokeDasharray="4 4"
+          />
+        ))}
+        <polyline points={line} fill="none" className="stroke-primary-500" strokeWidth="3" />
+        {points.map((point, index) => (
+          <circle key={index} cx={toX(index)} cy={toY(point.value)} r="4" className="fill-primary-600">
+            <title>{`${formatDate(point.created_at)}: ${point.value}/100`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-400 mt-1">
+        <span>{formatDate(points[0].created_at)}</span>
+        <span>{formatDate(points[points.length - 1].created_at)}</span>
+      </div>
+    </div>
+  )
+}
+
+export default TrendChart
@@ -0,0 +1,72 @@
+/**
+ * VocabularyForm Component - Optional spellings of name, company and trade terms
+ * Author: andreas@siglochconsulting.com
+ */
+
+import React, { useState } from 'react'
+import { loadJsonSetting, saveJsonSetting } from '../utils/storage'
+
+// Kept on this device only, so members do not retype it before every pitch
+const STORAGE_KEY = 'pitchtrainer.vocabulary'
+
+export function loadVocabulary() {
+  const stored = loadJsonSetting(STORAGE_KEY)
+  return stored && typeof stored === 'object' ? stored : { name: '', company: '', terms: '' }
+}
+
+function VocabularyForm({ vocabulary, onChange, disabled }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const filled = [vocabulary.name, vocabulary.company, vocabulary.terms].filter(value => value && value.trim()).length
+
+  const update = (field, value) => {
+    const next = { ...vocabulary, [field]: value }
+    saveJsonSetting(STORAGE_KEY, next)
+    onChange(next)
+  }
+
+  const fields = [
+    { key: 'name', label: 'Dein Name', placeholder: 'z.B. Andreas Sigloch' },
+    { key: 'company', label: 'Unternehmen', placeholder: 'z.B. Sigloch Consulting' },
+    { key: 'terms', label: 'Fachbegriffe (mit Komma getrennt)', placeholder: 'z.B. Wärmepumpe, Photovoltaik' }
+  ]
+
+  return (
+    <div className="border border-gray-200 rounded-lg">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-3 text-left text-gray-700"
+        disabled={disabled}
+      >
+        <span className="font-medium">
+          🔤 Namen & Fachbegriffe {filled > 0 && <span className="text-sm text-gray-500">({filled} angegeben)</span>}
+        </span>
+        <span className="text-gray-400">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3 space-y-3">
+          <p className="text-sm text-gray-500">
+            Optional: Damit die Transkription deinen Namen, dein Unternehmen und deine Fachbegriffe richtig schreibt.
+          </p>
+          {fields.map((field) => (
+            <label key={field.key} className="block">
+              <span className="text-sm text-gray-700">{field.label}</span>
+              <input
+                type="text"
+                value={vocabulary[field.key] || ''}
+                onChange={(event) => update(field.key, event.target.value)}
+                placeholder={field.placeholder}
+                maxLength={field.key === 'terms' ? 400 : 60}
+                disabled={disabled}
+                className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2 text-gray-800"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VocabularyForm
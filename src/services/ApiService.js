@@ -0,0 +1,139 @@
+/**
+ * ApiService - Client access to the server API
+ * Author: andreas@siglochconsulting.com
+ */
+
+class ApiService {
+  constructor() {
+    this.cache = {}
+  }
+
+  async getJson(url) {
+    const response = await fetch(url)
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    }
+
+    return response.json()
+  }
+
+  async postJson(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+
+    return this.readResponse(response)
+  }
+
+  async putJson(url, body) {
+    const response = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+
+    return this.readResponse(response)
+  }
+
+  async postForm(url, formData) {
+    const response = await fetch(url, { method: 'POST', body: formData })
+    return this.readResponse(response)
+  }
+
+  async readResponse(response) {
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.message || errorData.error || `HTTP ${response.status}: ${response.statusText}`)
+    }
+
+    return response.json()
+  }
+
+  // Configuration only changes on server restart, so one request per page load is enough
+  getCached(url) {
+    if (!this.cache[url]) {
+      this.cache[url] = this.getJson(url).catch((error) => {
+        delete this.cache[url]
+        throw error
+      })
+    }
+    return this.cache[url]
+  }
+
+  getRubric() {
+    return this.getCached('/api/rubric')
+  }
+
+  async getFormats() {
+    const catalogue = await this.getCached('/api/formats')
+    return catalogue.formats
+  }
+
+  // { default, min, max } words per minute for the Script-Modus estimate
+  async getSpeakingRate() {
+    const catalogue = await this.getCached('/api/formats')
+    return catalogue.speaking_rate
+  }
+
+  getLanguages() {
+    return this.getCached('/api/languages')
+  }
+
+  getAudioFormats() {
+    return this.getCached('/api/audio-formats')
+  }
+
+  /**
+   * @param {Blob|File} audio - Recording or uploaded file; files keep their name
+   * @param {object} [options] - { vocabulary, language, liveTranscript }; the live
+   *   transcript lets the server mark words both recognizers disagree on
+   */
+  async transcribeAudio(audio, { vocabulary = null, language = 'auto', liveTranscript = '' } = {}) {
+    console.log('📤 Sending audio for transcription:', audio.size, 'bytes')
+
+    const formData = new FormData()
+    formData.append('audio', audio, audio.name || 'recording.webm')
+    formData.append('language', language)
+    formData.append('live_transcript', liveTranscript)
+    if (vocabulary) {
+      formData.append('vocabulary', JSON.stringify(vocabulary))
+    }
+
+    const result = await this.postForm('/api/transcribe', formData)
+    console.log('✅ Transcription received:', result.transcript.length, 'characters')
+    return result
+  }
+
+  evaluatePitch(request) {
+    return this.postJson('/api/evaluate', request)
+  }
+
+  compareScript({ script, transcript, duration, format, timestamps }) {
+    return this.postJson('/api/compare', { script, transcript, duration, format, timestamps })
+  }
+
+  rewritePitch({ transcript, duration, format, proposals }) {
+    return this.postJson('/api/rewrite', { transcript, duration, format, proposals })
+  }
+
+  // { blob, updated_at }, or null when nothing is stored for the sync id yet
+  async getSyncBlob(syncId) {
+    const response = await fetch(`/api/sync/${syncId}`)
+    if (response.status === 404) return null
+    return this.readResponse(response)
+  }
+
+  putSyncBlob(syncId, blob) {
+    return this.putJson(`/api/sync/${syncId}`, { blob })
+  }
+
+  async deleteSyncBlob(syncId) {
+    const response = await fetch(`/api/sync/${syncId}`, { method: 'DELETE' })
+    return this.readResponse(response)
+  }
+}
+
+export default new ApiService()
@@ -0,0 +1,361 @@
+/**
+ * AudioAnalysisService - Silence, pauses and loudness from the recorded audio
+ * Author: andreas@siglochconsulting.com
+ *
+ * Decodes WAV/PCM directly. Compressed formats (WebM/Opus, MP3, M4A) are
+ * decoded through ffmpeg when FFMPEG_PATH is set; otherwise the analysis is
+ * reported as unsupported and the transcription continues without it.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const FRAME_SECONDS = 0.05;
+// Quietest level treated as speech; raised above the noise floor of noisy rooms
+const SILENCE_THRESHOLD_DB = -40;
+const NOISE_MARGIN_DB = 10;
+const SPEECH_HEADROOM_DB = 15;
+const MIN_PAUSE_SECONDS = 1;
+// Pauses from this length on interrupt the flow rather than set emphasis
+const LONG_PAUSE_SECONDS = 2;
+const FFMPEG_SAMPLE_RATE = 16000;
+const FFMPEG_BYTES_PER_SAMPLE = 2;
+const MAX_AUDIO_DURATION_SECONDS = 900;
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_EXTENSIBLE = 0xfffe;
+
+class AudioAnalysisService {
+  constructor({
+    ffmpegPath = process.env.FFMPEG_PATH,
+    silenceThresholdDb = parseFloat(process.env.SILENCE_THRESHOLD_DB) || SILENCE_THRESHOLD_DB,
+    minPauseSeconds = MIN_PAUSE_SECONDS,
+    timeout = parseInt(process.env.REQUEST_TIMEOUT) || 30000,
+    maxDuration = parseInt(process.env.MAX_AUDIO_DURATION) || MAX_AUDIO_DURATION_SECONDS
+  } = {}) {
+    this.ffmpegPath = ffmpegPath;
+    this.maxDuration = maxDuration;
+    this.silenceThresholdDb = silenceThresholdDb;
+    this.minPauseSeconds = minPauseSeconds;
+    this.timeout = timeout;
+  }
+
+  /**
+   * @returns {Promise<object>} Measurements, or { supported: false, reason } when
+   *   the format cannot be decoded here
+   */
+  async analyze(buffer, mimeType) {
+    const startTime = Date.now();
+    const audio = await this.decode(buffer, mimeType);
+
+    if (!audio) {
+      return {
+        supported: false,
+        reason: `Audio analysis for ${mimeType} requires ffmpeg (set FFMPEG_PATH)`
+      };
+    }
+
+    const result = this.analyzeSamples(audio.samples, audio.sampleRate);
+    console.log(`🔊 Audio analysis: ${Date.now() - startTime}ms, ${result.duration}s, speech ratio ${result.speech_ratio}`);
+    return result;
+  }
+
+  /**
+   * Decode to mono float samples in [-1, 1]; null when no decoder is available.
+   */
+  async decode(buffer, mimeType) {
+    if (this.isWav(buffer)) {
+      return this.decodeWav(buffer);
+    }
+    if (this.ffmpegPath) {
+      return this.decodeWithFfmpeg(buffer);
+    }
+    console.warn(`⚠️  No decoder for ${mimeType}, skipping audio analysis`);
+    return null;
+  }
+
+  // ISO media (MP4/M4A) starts with an ftyp box
+  isMp4(buffer) {
+    return buffer.length >= 8 && buffer.toString('ascii', 4, 8) === 'ftyp';
+  }
+
+  isWav(buffer) {
+    return buffer.length >= 12 &&
+      buffer.toString('ascii', 0, 4) === 'RIFF' &&
+      buffer.toString('ascii', 8, 12) === 'WAVE';
+  }
+
+  decodeWav(buffer) {
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const chunkId = buffer.toString('ascii', offset, offset + 4);
+      const chunkSize = buffer.readUInt32LE(offset + 4);
+      const body = offset + 8;
+
+      if (chunkId === 'fmt ') {
+        let audioFormat = buffer.readUInt16LE(body);
+        if (audioFormat === WAV_FORMAT_EXTENSIBLE && chunkSize >= 26) {
+          audioFormat = buffer.readUInt16LE(body + 24);
+        }
+        format = {
+          audioFormat,
+          channels: buffer.readUInt16LE(body + 2),
+          sampleRate: buffer.readUInt32LE(body + 4),
+          bitsPerSample: buffer.readUInt16LE(body + 14)
+        };
+      } else if (chunkId === 'data') {
+        if (!format) {
+          throw new Error('Invalid WAV file: data chunk before fmt chunk');
+        }
+        const dataEnd = Math.min(body + chunkSize, buffer.length);
+        return {
+          samples: this.readPcm(buffer.subarray(body, dataEnd), format),
+          sampleRate: format.sampleRate
+        };
+      }
+
+      // Chunks are padded to an even size
+      offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('Invalid WAV file: no data chunk');
+  }
+
+  readPcm(data, { audioFormat, channels, bitsPerSample }) {
+    const bytesPerSample = bitsPerSample / 8;
+    const readers = {
+      [`${WAV_FORMAT_PCM}:8`]: position => (data.readUInt8(position) - 128) / 128,
+      [`${WAV_FORMAT_PCM}:16`]: position => data.readInt16LE(position) / 32768,
+      [`${WAV_FORMAT_PCM}:24`]: position => data.readIntLE(position, 3) / 8388608,
+      [`${WAV_FORMAT_PCM}:32`]: position => data.readInt32LE(position) / 2147483648,
+      [`${WAV_FORMAT_FLOAT}:32`]: position => data.readFloatLE(position)
+    };
+    const read = readers[`${audioFormat}:${bitsPerSample}`];
+
+    if (!read || channels < 1) {
+      throw new Error(`Unsupported WAV encoding: format ${audioFormat}, ${bitsPerSample} bit`);
+    }
+
+    const frameBytes = bytesPerSample * channels;
+    const frameCount = Math.floor(data.length / frameBytes);
+    const samples = new Float32Array(frameCount);
+
+    // Mix all channels down to mono
+    for (let frame = 0; frame < frameCount; frame++) {
+      let sum = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        sum += read(frame * frameBytes + channel * bytesPerSample);
+      }
+      samples[frame] = sum / channels;
+    }
+
+    return samples;
+  }
+
+  /**
+   * Decode through ffmpeg, at most maxDuration seconds. Phones write M4A with
+   * the moov index at the end, which ffmpeg can only reach by seeking, so
+   * MP4 containers go through a temporary file instead of stdin.
+   */
+  async decodeWithFfmpeg(buffer) {
+    if (!this.isMp4(buffer)) {
+      return this.runFfmpeg('pipe:0', buffer);
+    }
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'pitchtrainer-audio-'));
+    const file = path.join(directory, 'upload.m4a');
+    try {
+      await fs.writeFile(file, buffer);
+      return await this.runFfmpeg(file, null);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  runFfmpeg(input, stdinBuffer) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(this.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', input,
+        '-t', String(this.maxDuration),
+        '-f', 's16le', '-acodec', 'pcm_s16le', '-ac', '1', '-ar', String(FFMPEG_SAMPLE_RATE),
+        'pipe:1'
+      ]);
+      const maxBytes = this.maxDuration * FFMPEG_SAMPLE_RATE * FFMPEG_BYTES_PER_SAMPLE;
+      const chunks = [];
+      let received = 0;
+      let truncated = false;
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        ffmpeg.kill();
+        reject(new Error('Audio decoding timeout'));
+      }, this.timeout);
+
+      ffmpeg.stdout.on('data', chunk => {
+        if (truncated) return;
+        chunks.push(chunk);
+        received += chunk.length;
+        // -t already stops ffmpeg at the limit; this bounds memory should it not
+        if (received >= maxBytes) {
+          truncated = true;
+          ffmpeg.kill();
+        }
+      });
+      ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+      ffmpeg.on('error', error => {
+        clearTimeout(timer);
+        reject(new Error(`ffmpeg failed to start: ${error.message}`));
+      });
+      ffmpeg.on('close', code => {
+        clearTimeout(timer);
+        if (code !== 0 && !truncated) {
+          return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        }
+        const pcm = Buffer.concat(chunks).subarray(0, maxBytes);
+        resolve({
+          samples: this.readPcm(pcm, { audioFormat: WAV_FORMAT_PCM, channels: 1, bitsPerSample: 16 }),
+          sampleRate: FFMPEG_SAMPLE_RATE
+        });
+      });
+
+      // ffmpeg may close stdin early on invalid input
+      ffmpeg.stdin.on('error', () => {});
+      ffmpeg.stdin.end(stdinBuffer || undefined);
+    });
+  }
+
+  /**
+   * Frame-level loudness in dBFS, classified into speech and silence.
+   */
+  analyzeSamples(samples, sampleRate) {
+    const frameSize = Math.max(Math.round(sampleRate * FRAME_SECONDS), 1);
+    const frameDuration = frameSize / sampleRate;
+    const levels = [];
+
+    for (let start = 0; start < samples.length; start += frameSize) {
+      const end = Math.min(start + frameSize, samples.length);
+      let sumSquares = 0;
+      for (let index = start; index < end; index++) {
+        sumSquares += samples[index] * samples[index];
+      }
+      const rms = Math.sqrt(sumSquares / (end - start));
+      levels.push(rms > 0 ? Math.max(20 * Math.log10(rms), -100) : -100);
+    }
+
+    const duration = samples.length / sampleRate;
+    // Without any silence the quietest frames are speech too, so stay well below the loud ones
+    const noiseFloor = levels.length > 0 ? this.percentile(levels, 0.1) : -100;
+    const speechLevel = levels.length > 0 ? this.percentile(levels, 0.9) : -100;
+    const threshold = Math.max(
+      this.silenceThresholdDb,
+      Math.min(noiseFloor + NOISE_MARGIN_DB, speechLevel - SPEECH_HEADROOM_DB)
+    );
+    const isSpeech = levels.map(level => level > threshold);
+    const firstSpeech = isSpeech.indexOf(true);
+
+    if (firstSpeech === -1) {
+      return {
+        supported: true,
+        duration: this.round(duration),
+        leading_silence: this.round(duration),
+        trailing_silence: 0,
+        speech_ratio: 0,
+        pauses: [],
+        long_pause_count: 0,
+        loudness: null,
+        threshold_db: this.round(threshold)
+      };
+    }
+
+    const lastSpeech = isSpeech.lastIndexOf(true);
+    const speechFrames = isSpeech.filter(Boolean).length;
+    const pauses = this.findPauses(isSpeech, firstSpeech, lastSpeech, frameDuration);
+
+    return {
+      supported: true,
+      duration: this.round(duration),
+      leading_silence: this.round(firstSpeech * frameDuration),
+      trailing_silence: this.round(Math.max(duration - (lastSpeech + 1) * frameDuration, 0)),
+      speech_ratio: Math.round((speechFrames / levels.length) * 100) / 100,
+      pauses,
+      long_pause_count: pauses.filter(pause => pause.duration >= LONG_PAUSE_SECONDS).length,
+      loudness: this.measureLoudness(levels, isSpeech, frameDuration),
+      threshold_db: this.round(threshold)
+    };
+  }
+
+  /**
+   * Silent stretches between the first and last speech frame.
+   */
+  findPauses(isSpeech, firstSpeech, lastSpeech, frameDuration) {
+    const pauses = [];
+    let pauseStart = null;
+
+    for (let frame = firstSpeech; frame <= lastSpeech; frame++) {
+      if (!isSpeech[frame] && pauseStart === null) {
+        pauseStart = frame;
+      } else if (isSpeech[frame] && pauseStart !== null) {
+        const length = (frame - pauseStart) * frameDuration;
+        if (length >= this.minPauseSeconds) {
+          pauses.push({
+            start: this.round(pauseStart * frameDuration),
+            end: this.round(frame * frameDuration),
+            duration: this.round(length)
+          });
+        }
+        pauseStart = null;
+      }
+    }
+
+    return pauses;
+  }
+
+  /**
+   * Loudness of speech per second: spread in dB and the drop towards the end,
+   * which shows members trailing off.
+   */
+  measureLoudness(levels, isSpeech, frameDuration) {
+    const framesPerSecond = Math.max(Math.round(1 / frameDuration), 1);
+    const seconds = [];
+
+    for (let start = 0; start < levels.length; start += framesPerSecond) {
+      const speechLevels = levels.slice(start, start + framesPerSecond).filter((level, index) => isSpeech[start + index]);
+      if (speechLevels.length > 0) {
+        seconds.push(this.mean(speechLevels));
+      }
+    }
+
+    const meanDb = this.mean(seconds);
+    const stdDb = Math.sqrt(this.mean(seconds.map(level => (level - meanDb) ** 2)));
+    const tail = seconds.slice(-Math.max(Math.ceil(seconds.length * 0.2), 1));
+
+    return {
+      mean_db: this.round(meanDb),
+      std_db: this.round(stdDb),
+      end_drop_db: this.round(meanDb - this.mean(tail)),
+      // 0 dB spread = 100, every dB of spread costs 8 points
+      consistency: Math.max(0, Math.round(100 - stdDb * 8))
+    };
+  }
+
+  percentile(values, fraction) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(Math.floor(sorted.length * fraction), sorted.length - 1)];
+  }
+
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = AudioAnalysisService;
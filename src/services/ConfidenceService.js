@@ -0,0 +1,116 @@
+/**
+ * ConfidenceService - Transcription confidence and uncertain words
+ * Author: andreas@siglochconsulting.com
+ *
+ * Prefers what the provider measured: word probabilities, then segment
+ * log-probabilities (Whisper-style verbose_json). Without either, the final
+ * transcript is compared with the browser's live transcript: words both
+ * recognizers agree on are trusted, the others are marked for review.
+ */
+
+// Below this a word is shown to the member for correction
+const LOW_CONFIDENCE = 0.5;
+// The live transcript must cover this share of the words to be a fair comparison
+const MIN_LIVE_COVERAGE = 0.3;
+
+const { toKey, tokenize, alignWords } = require('./wordAlignment');
+
+class ConfidenceService {
+  /**
+   * @param {string} transcript - Final (vocabulary-corrected) transcript
+   * @param {object} [timestamps] - { segments, words } from TranscriptionService.normalizeTimestamps
+   * @param {string} [liveTranscript] - Web Speech transcript recorded in the browser
+   * @returns {{confidence: number|null, source: string|null, low_confidence: Array<{start, end, text, confidence}>}}
+   */
+  analyze(transcript, timestamps = null, liveTranscript = '') {
+    const tokens = tokenize(transcript || '');
+    const scored = this.scoreFromWords(tokens, timestamps) ||
+      this.scoreFromSegments(tokens, timestamps) ||
+      this.scoreFromAgreement(tokens, liveTranscript);
+
+    if (!scored) {
+      return { confidence: null, source: null, low_confidence: [] };
+    }
+
+    const scores = scored.scores.filter(score => score !== null);
+    const mean = scores.reduce((sum, score) => sum + score, 0) / Math.max(scores.length, 1);
+
+    return {
+      confidence: this.round(mean),
+      source: scored.source,
+      low_confidence: this.findLowConfidence(transcript, tokens, scored.scores)
+    };
+  }
+
+  // Per-word probabilities (faster-whisper, whisper.cpp)
+  scoreFromWords(tokens, timestamps) {
+    const words = (timestamps && !timestamps.estimated ? timestamps.words : [])
+      .filter(word => Number.isFinite(word.probability));
+    if (words.length === 0) return null;
+
+    const entries = words.map(word => ({ key: toKey(word.word), confidence: word.probability }));
+    return { source: 'word_probability', scores: this.alignScores(tokens, entries, null) };
+  }
+
+  // Average log-probability per segment, shared by all its words
+  scoreFromSegments(tokens, timestamps) {
+    const segments = (timestamps ? timestamps.segments : [])
+      .filter(segment => Number.isFinite(segment.avg_logprob));
+    if (segments.length === 0) return null;
+
+    const entries = segments.flatMap(segment => {
+      const confidence = Math.exp(Math.min(segment.avg_logprob, 0));
+      return tokenize(segment.text).map(token => ({ key: token.key, confidence }));
+    });
+    return { source: 'segment_logprob', scores: this.alignScores(tokens, entries, null) };
+  }
+
+  // Words only the final transcript contains are uncertain
+  scoreFromAgreement(tokens, liveTranscript) {
+    const entries = tokenize(liveTranscript || '').map(token => ({ key: token.key, confidence: 1 }));
+    if (tokens.length === 0 || entries.length < tokens.length * MIN_LIVE_COVERAGE) return null;
+
+    return { source: 'agreement', scores: this.alignScores(tokens, entries, 0) };
+  }
+
+  // Matched transcript words take the entry's confidence, unmatched ones get `unmatched` (null = unknown)
+  alignScores(tokens, entries, unmatched) {
+    return alignWords(tokens, entries).map(match => (match === -1 ? unmatched : entries[match].confidence));
+  }
+
+  /**
+   * Runs of low-confidence words as character spans of the transcript.
+   */
+  findLowConfidence(transcript, tokens, scores) {
+    const spans = [];
+    let current = null;
+
+    tokens.forEach((token, index) => {
+      const score = scores[index];
+      if (score !== null && score < LOW_CONFIDENCE) {
+        if (current) {
+          current.end = token.end;
+          current.confidence = Math.min(current.confidence, score);
+        } else {
+          current = { start: token.start, end: token.end, confidence: score };
+          spans.push(current);
+        }
+      } else {
+        current = null;
+      }
+    });
+
+    return spans.map(span => ({
+      start: span.start,
+      end: span.end,
+      text: transcript.slice(span.start, span.end),
+      confidence: this.round(span.confidence)
+    }));
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = ConfidenceService;
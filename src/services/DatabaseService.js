@@ -45,9 +45,16 @@ class DatabaseService {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         timestamp TEXT NOT NULL,
         duration INTEGER NOT NULL,
+        format TEXT,
         kpi_scores TEXT NOT NULL,
         word_count INTEGER,
         overall_score REAL,
+        rubric_version TEXT,
+        prompt_version TEXT,
+        model_used TEXT,
+        language TEXT,
+        transcript_edited INTEGER,
+        input_type TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
       
@@ -66,6 +73,13 @@ class DatabaseService {
         avg_scores TEXT NOT NULL,
         total_count INTEGER NOT NULL,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      
+      // Encrypted practice histories; the key is a hash of the member's recovery code
+      `CREATE TABLE IF NOT EXISTS sync_blobs (
+        sync_id TEXT PRIMARY KEY,
+        blob TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`
     ];
 
@@ -73,9 +87,38 @@ class DatabaseService {
       await this.runQuery(query);
     }
     
+    await this.migrateTables();
+    
     console.log('✅ Database tables created/verified');
   }
 
+  // Add columns introduced after the initial schema to existing databases
+  async migrateTables() {
+    const migrations = {
+      evaluations: {
+        format: 'TEXT',
+        rubric_version: 'TEXT',
+        prompt_version: 'TEXT',
+        model_used: 'TEXT',
+        language: 'TEXT',
+        transcript_edited: 'INTEGER',
+        input_type: 'TEXT'
+      }
+    };
+
+    for (const [table, columns] of Object.entries(migrations)) {
+      const existing = await this.allQuery(`PRAGMA table_info(${table})`);
+      const existingNames = existing.map(column => column.name);
+
+      for (const [column, type] of Object.entries(columns)) {
+        if (!existingNames.includes(column)) {
+          await this.runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+          console.log(`🔧 Added column ${table}.${column}`);
+        }
+      }
+    }
+  }
+
   runQuery(query, params = []) {
     return new Promise((resolve, reject) => {
       this.db.run(query, params, function(err) {
@@ -115,18 +158,21 @@ class DatabaseService {
   async storeEvaluation(data) {
     try {
       const { duration, kpi_scores, proposals, word_count, timestamp } = data;
+      const { format = null, rubric_version = null, prompt_version = null, model_used = null, language = null, input_type = null } = data;
+      // Whether the member corrected the transcript before the evaluation (null = unknown)
+      const transcriptEdited = typeof data.transcript_edited === 'boolean' ? Number(data.transcript_edited) : null;
       
-      // Calculate overall score from KPIs
+      // Prefer the rubric-weighted score; fall back to the plain category mean
       const kpiValues = Object.values(kpi_scores);
-      const overallScore = kpiValues.reduce((sum, kpi) => {
+      const overallScore = typeof data.overall_score === 'number' ? data.overall_score : kpiValues.reduce((sum, kpi) => {
         const kpiTotal = Object.values(kpi).reduce((s, v) => s + v, 0);
         return sum + (kpiTotal / Object.keys(kpi).length);
       }, 0) / kpiValues.length;
 
       const result = await this.runQuery(
-        `INSERT INTO evaluations (timestamp, duration, kpi_scores, word_count, overall_score) 
-         VALUES (?, ?, ?, ?, ?)`,
-        [timestamp, duration, JSON.stringify(kpi_scores), word_count, overallScore]
+        `INSERT INTO evaluations (timestamp, duration, format, kpi_scores, word_count, overall_score, rubric_version, prompt_version, model_used, language, transcript_edited, input_type) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [timestamp, duration, format, JSON.stringify(kpi_scores), word_count, overallScore, rubric_version, prompt_version, model_used, language, transcriptEdited, input_type]
       );
 
       // Store proposal counts
@@ -150,10 +196,42 @@ class DatabaseService {
     }
   }
 
-  async getStatistics() {
+  /**
+   * Build a WHERE clause for the evaluations table from statistics filters.
+   * Only whitelisted columns are accepted, values are always bound as parameters.
+   */
+  buildEvaluationFilter(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    for (const column of DatabaseService.FILTER_COLUMNS) {
+      if (filters[column] !== undefined && filters[column] !== null && filters[column] !== '') {
+        conditions.push(`${column} = ?`);
+        params.push(filters[column]);
+      }
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  async getStatistics(filters = {}, groupBy = DatabaseService.VERSION_COLUMNS) {
     try {
+      const groupColumns = Array.isArray(groupBy) ? groupBy : [groupBy];
+      if (groupColumns.length === 0 || !groupColumns.every(column => DatabaseService.GROUP_COLUMNS.includes(column))) {
+        throw new Error(`Invalid group_by. Allowed: ${DatabaseService.GROUP_COLUMNS.join(', ')}`);
+      }
+
+      const { where, params } = this.buildEvaluationFilter(filters);
+      const proposalFilter = where
+        ? `WHERE evaluation_id IN (SELECT id FROM evaluations ${where})`
+        : '';
+
       const totalEvaluations = await this.getQuery(
-        'SELECT COUNT(*) as count FROM evaluations'
+        `SELECT COUNT(*) as count, SUM(transcript_edited) as edited FROM evaluations ${where}`,
+        params
       );
 
       const avgScores = await this.getQuery(`
@@ -162,28 +240,53 @@ class DatabaseService {
           AVG(word_count) as avg_words,
           duration
         FROM evaluations 
+        ${where}
         GROUP BY duration
-      `);
+      `, params);
 
       const recentEvaluations = await this.allQuery(`
-        SELECT duration, overall_score, word_count, timestamp 
+        SELECT duration, format, language, input_type, transcript_edited, overall_score, word_count, timestamp, rubric_version, prompt_version, model_used 
         FROM evaluations 
+        ${where}
         ORDER BY created_at DESC 
         LIMIT 10
-      `);
+      `, params);
 
       const proposalStats = await this.allQuery(`
         SELECT type, SUM(count) as total_count 
         FROM proposals 
+        ${proposalFilter}
         GROUP BY type 
         ORDER BY total_count DESC
-      `);
+      `, params);
+
+      const versionStats = await this.allQuery(`
+        SELECT 
+          ${groupColumns.join(', ')},
+          COUNT(*) as count,
+          AVG(overall_score) as avg_overall,
+          AVG(word_count) as avg_words,
+          MIN(timestamp) as first_seen,
+          MAX(timestamp) as last_seen
+        FROM evaluations 
+        ${where}
+        GROUP BY ${groupColumns.join(', ')}
+        ORDER BY last_seen DESC
+      `, params);
 
       return {
         totalEvaluations: totalEvaluations?.count || 0,
+        editedTranscripts: totalEvaluations?.edited || 0,
         avgScores: avgScores || null,
         recentEvaluations,
         proposalStats,
+        versionStats,
+        filters: Object.fromEntries(
+          DatabaseService.FILTER_COLUMNS
+            .filter(column => filters[column] !== undefined && filters[column] !== '')
+            .map(column => [column, filters[column]])
+        ),
+        groupBy: groupColumns,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
@@ -192,6 +295,35 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Store the encrypted history of a sync id, replacing an earlier version.
+   * The blob is opaque here: it is encrypted in the browser with the recovery code.
+   */
+  async storeSyncBlob(syncId, blob) {
+    try {
+      await this.runQuery(
+        `INSERT INTO sync_blobs (sync_id, blob, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(sync_id) DO UPDATE SET blob = excluded.blob, updated_at = CURRENT_TIMESTAMP`,
+        [syncId, blob]
+      );
+      console.log(`🔐 Stored sync blob (${blob.length} characters)`);
+    } catch (error) {
+      console.error('❌ Failed to store sync blob:', error);
+      throw error;
+    }
+  }
+
+  // { blob, updated_at } or null when nothing was stored for the id
+  async getSyncBlob(syncId) {
+    const row = await this.getQuery('SELECT blob, updated_at FROM sync_blobs WHERE sync_id = ?', [syncId]);
+    return row || null;
+  }
+
+  async deleteSyncBlob(syncId) {
+    const result = await this.runQuery('DELETE FROM sync_blobs WHERE sync_id = ?', [syncId]);
+    return result.changes > 0;
+  }
+
   async close() {
     return new Promise((resolve) => {
       if (this.db) {
@@ -210,4 +342,13 @@ class DatabaseService {
   }
 }
 
+// Columns that identify which rubric, prompt and model produced an evaluation
+DatabaseService.VERSION_COLUMNS = ['rubric_version', 'prompt_version', 'model_used'];
+// How the pitch reached the evaluation: recorded live, uploaded audio file or typed script
+DatabaseService.INPUT_TYPES = ['recording', 'upload', 'script'];
+DatabaseService.GROUP_COLUMNS = [...DatabaseService.VERSION_COLUMNS, 'input_type'];
+DatabaseService.FILTER_COLUMNS = ['duration', 'format', 'language', 'input_type', ...DatabaseService.VERSION_COLUMNS];
+// SHA-256 hex digest of the recovery code, computed in the browser
+DatabaseService.SYNC_ID_PATTERN = /^[a-f0-9]{64}$/;
+
 module.exports = DatabaseService;
\ No newline at end of file
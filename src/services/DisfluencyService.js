@@ -0,0 +1,241 @@
+/**
+ * DisfluencyService - Filler-word and hesitation analysis for German and English speech
+ * Author: andreas@siglochconsulting.com
+ *
+ * Counts fillers ("äh", "ähm", "sozusagen", "um", ...), repeated words and restarts
+ * in a transcript, reports them per minute and turns them into the measured
+ * delivery KPIs of the rubric. Speech-to-text tends to smooth out fillers,
+ * so the counts are a lower bound.
+ */
+
+// Average German speaking rate used when no measured speaking time is available
+const WORDS_PER_MINUTE = 130;
+
+const DEFAULT_LANGUAGE = 'de';
+
+const LANGUAGE_RULES = {
+  de: {
+    fillerPatterns: [
+      /^(äh+|ähm+|öh+|öhm+|hm+|mhm|ehm+)$/,
+      /^(sozusagen|quasi|gewissermaßen|irgendwie)$/
+    ],
+    // "also" is only a filler at the start of a sentence or clause ("Also, ich ...")
+    clauseFillers: ['also'],
+    // Correct German doubles these: relative pronoun + article ("Firmen, die die Zeit ...",
+    // "das Angebot, das das Team ...") and "Sie sie" ("rufen Sie sie an")
+    legitimateDoublings: ['der', 'die', 'das', 'den', 'dem', 'des', 'sie'],
+    // Words that legitimately follow a hyphenated word ("Kunden- und Lieferanten...")
+    hyphenContinuations: ['und', 'oder', 'bzw', 'sowie', 'als'],
+    messages: {
+      noFillers: 'Keine Füllwörter erkannt.',
+      fillers: (total, perMinute, list) => `${total} Füllwörter (${perMinute} pro Minute): ${list}.`,
+      noHesitations: 'Keine Wortwiederholungen oder Satzabbrüche erkannt.',
+      hesitations: (repetitions, restarts, perMinute) =>
+        `${repetitions} Wortwiederholungen und ${restarts} Satzabbrüche (${perMinute} pro Minute).`
+    }
+  },
+  en: {
+    fillerPatterns: [
+      /^(uh+|uhm+|um+|erm+|hm+|mhm)$/,
+      /^(basically|literally|kinda)$/
+    ],
+    // "so" and "well" only open a clause as fillers ("So, I help ..."), not in "so that"
+    clauseFillers: ['so', 'well'],
+    // "that that" and "had had" are correct English
+    legitimateDoublings: ['that', 'had'],
+    hyphenContinuations: ['and', 'or', 'to'],
+    messages: {
+      noFillers: 'No filler words detected.',
+      fillers: (total, perMinute, list) => `${total} filler words (${perMinute} per minute): ${list}.`,
+      noHesitations: 'No repeated words or broken-off sentences detected.',
+      hesitations: (repetitions, restarts, perMinute) =>
+        `${repetitions} repeated words and ${restarts} broken-off sentences (${perMinute} per minute).`
+    }
+  }
+};
+
+// Words may contain single joiners (E-Mail, z.B, info@firma.de); a trailing "-" marks a broken-off word
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:[@.'’-][\p{L}\p{N}]+)*-?/gu;
+
+class DisfluencyService {
+  /**
+   * @param {string} transcript
+   * @param {number} [spokenSeconds] - Measured speaking time (see PacingService)
+   * @param {string} [language] - 'de' or 'en'; selects fillers, doublings and messages
+   * @returns {object} Counts, per-minute rates and transcript spans
+   */
+  analyze(transcript, spokenSeconds = null, language = DEFAULT_LANGUAGE) {
+    const rules = this.getRules(language);
+    const text = transcript || '';
+    const tokens = this.tokenize(text);
+    const minutes = spokenSeconds > 0
+      ? spokenSeconds / 60
+      : Math.max(tokens.length / WORDS_PER_MINUTE, 0.1);
+
+    const fillers = this.findFillers(tokens, rules);
+    const repetitions = this.findRepetitions(tokens, rules);
+    const restarts = this.findRestarts(tokens, rules);
+
+    const byWord = {};
+    fillers.forEach(entry => {
+      const word = text.slice(entry.start, entry.end).toLowerCase();
+      byWord[word] = (byWord[word] || 0) + 1;
+    });
+
+    const rate = count => Math.round((count / minutes) * 10) / 10;
+    const span = (entry, kind) => ({
+      start: entry.start,
+      end: entry.end,
+      text: text.slice(entry.start, entry.end),
+      type: 'missing',
+      kind
+    });
+
+    return {
+      language: LANGUAGE_RULES[language] ? language : DEFAULT_LANGUAGE,
+      fillers: { total: fillers.length, per_minute: rate(fillers.length), by_word: byWord },
+      repetitions: { total: repetitions.length, per_minute: rate(repetitions.length) },
+      restarts: { total: restarts.length, per_minute: rate(restarts.length) },
+      per_minute: rate(fillers.length + repetitions.length + restarts.length),
+      spoken_minutes: Math.round(minutes * 100) / 100,
+      spans: [
+        ...fillers.map(entry => span(entry, 'filler')),
+        ...repetitions.map(entry => span(entry, 'repetition')),
+        ...restarts.map(entry => span(entry, 'restart'))
+      ].sort((a, b) => a.start - b.start)
+    };
+  }
+
+  getRules(language) {
+    return LANGUAGE_RULES[language] || LANGUAGE_RULES[DEFAULT_LANGUAGE];
+  }
+
+  /**
+   * Words with offsets; `clauseStart` marks words after . , ; : ! ? or the text start.
+   */
+  tokenize(text) {
+    const tokens = [];
+    let previousEnd = 0;
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      const gap = text.slice(previousEnd, match.index);
+      tokens.push({
+        word: match[0],
+        lower: match[0].toLowerCase().replace(/-$/, ''),
+        start: match.index,
+        end: match.index + match[0].length,
+        gap,
+        clauseStart: tokens.length === 0 || /[.,;:!?…–]/.test(gap)
+      });
+      previousEnd = match.index + match[0].length;
+    }
+
+    return tokens;
+  }
+
+  isFiller(token, rules = this.getRules()) {
+    if (rules.fillerPatterns.some(pattern => pattern.test(token.lower))) return true;
+    return rules.clauseFillers.includes(token.lower) && token.clauseStart;
+  }
+
+  findFillers(tokens, rules = this.getRules()) {
+    return tokens
+      .filter(token => this.isFiller(token, rules))
+      .map(token => ({ start: token.start, end: token.end }));
+  }
+
+  /**
+   * The same word twice in a row without punctuation in between ("ich ich"),
+   * except for doublings that are correct in the language ("die die", "that that").
+   */
+  findRepetitions(tokens, rules = this.getRules()) {
+    const repetitions = [];
+
+    for (let index = 1; index < tokens.length; index++) {
+      const previous = tokens[index - 1];
+      const token = tokens[index];
+      if (token.lower === previous.lower && /^\s+$/.test(token.gap) &&
+          !this.isFiller(token, rules) && !this.isLegitimateDoubling(tokens, index, rules)) {
+        repetitions.push({ start: previous.start, end: token.end });
+      }
+    }
+
+    return repetitions;
+  }
+
+  // A third "die" in a row is a stutter again
+  isLegitimateDoubling(tokens, index, rules = this.getRules()) {
+    if (!rules.legitimateDoublings.includes(tokens[index].lower)) return false;
+    const beforePrevious = tokens[index - 2];
+    return !(beforePrevious && beforePrevious.lower === tokens[index].lower && /^\s+$/.test(tokens[index - 1].gap));
+  }
+
+  /**
+   * Broken-off words ("wir ha- wir haben"), trailing off ("ich wollte ... also")
+   * and restarted two-word phrases ("ich bin, ich bin").
+   */
+  findRestarts(tokens, rules = this.getRules()) {
+    const restarts = [];
+
+    for (let index = 0; index < tokens.length - 1; index++) {
+      const token = tokens[index];
+      const next = tokens[index + 1];
+
+      if (token.word.endsWith('-') && !rules.hyphenContinuations.includes(next.lower)) {
+        restarts.push({ start: token.start, end: next.end });
+      } else if (/(\.\.\.|…)/.test(next.gap)) {
+        restarts.push({ start: token.start, end: next.end });
+      } else if (index + 3 < tokens.length &&
+          token.lower === tokens[index + 2].lower &&
+          next.lower === tokens[index + 3].lower &&
+          token.lower !== next.lower) {
+        restarts.push({ start: token.start, end: tokens[index + 3].end });
+        index += 3;
+      }
+    }
+
+    return restarts;
+  }
+
+  /**
+   * Scores and evidence for the measured delivery KPIs of the rubric.
+   */
+  toMeasuredKpis(analysis) {
+    const { messages } = this.getRules(analysis.language);
+    const hesitations = analysis.repetitions.total + analysis.restarts.total;
+    const hesitationRate = Math.round((analysis.repetitions.per_minute + analysis.restarts.per_minute) * 10) / 10;
+    const fillerList = Object.entries(analysis.fillers.by_word)
+      .sort((a, b) => b[1] - a[1])
+      .map(([word, count]) => `${word} ×${count}`)
+      .join(', ');
+
+    return {
+      kpis: {
+        filler_words: this.scoreRate(analysis.fillers.per_minute, 1, 15),
+        repetitions_restarts: this.scoreRate(hesitationRate, 0.5, 25)
+      },
+      evidence: {
+        filler_words: {
+          rationale: analysis.fillers.total === 0
+            ? messages.noFillers
+            : messages.fillers(analysis.fillers.total, analysis.fillers.per_minute, fillerList),
+          spans: analysis.spans.filter(span => span.kind === 'filler')
+        },
+        repetitions_restarts: {
+          rationale: hesitations === 0
+            ? messages.noHesitations
+            : messages.hesitations(analysis.repetitions.total, analysis.restarts.total, hesitationRate),
+          spans: analysis.spans.filter(span => span.kind !== 'filler')
+        }
+      }
+    };
+  }
+
+  // Full marks up to `allowed` per minute, then `penalty` points per extra occurrence per minute
+  scoreRate(perMinute, allowed, penalty) {
+    if (perMinute <= allowed) return 100;
+    return Math.max(0, Math.round(100 - (perMinute - allowed) * penalty));
+  }
+}
+
+module.exports = DisfluencyService;
@@ -1,201 +1,437 @@
 /**
- * EvaluationService - Mistral AI integration for pitch evaluation
+ * EvaluationService - LLM-based pitch evaluation (Mistral, OpenAI-compatible or local)
  * Author: andreas@siglochconsulting.com
  */
 
-const axios = require('axios');
+const { createLLMProvider } = require('./llm');
+const RubricService = require('./RubricService');
+const FormatService = require('./FormatService');
 
-class EvaluationService {
-  constructor() {
-    this.apiKey = process.env.MISTRAL_API_KEY;
-    this.baseUrl = process.env.MISTRAL_BASE_URL || 'https://api.mistral.ai/v1';
-    this.model = process.env.MISTRAL_EVALUATION_MODEL || 'mistral-small-latest';
-    this.timeout = parseInt(process.env.REQUEST_TIMEOUT) || 30000;
-
-    if (!this.apiKey) {
-      throw new Error('MISTRAL_API_KEY environment variable is required');
+const DEFAULT_LANGUAGE = 'de';
+
+// Prompt wording per pitch language. Bump a version whenever its prompt changes
+// in a way that can move scores, so stored evaluations stay comparable
+// (see /api/statistics?group_by=prompt_version)
+const PROMPT_TEXT = {
+  de: {
+    language: 'de',
+    version: 'de-audio-2',
+    system: 'Du bist ein Experte für BNI-Präsentationen und bewertest Pitches objektiv nach den vorgegebenen KPI-Kategorien.',
+    intro: duration => `Bewerte diesen ${duration}-Sekunden BNI-Pitch nach den folgenden KPI-Kategorien. \nGib deine Antwort als JSON-Objekt zurück.`,
+    format: (label, duration, wordRange) => `FORMAT: ${label} (${duration} Sekunden, Ziel: ${wordRange} Wörter)`,
+    formatCriteria: 'FORMAT-SPEZIFISCHE KRITERIEN (bei allen KPIs berücksichtigen):',
+    criteria: 'BEWERTUNGSKRITERIEN:\nBewerte jeden Aspekt von 0-100 Punkten:',
+    weight: 'Gewichtung',
+    answerFormat: 'ANTWORT-FORMAT:',
+    example: {
+      title: 'Kurzer Titel',
+      description: 'Konkrete Verbesserungsempfehlung',
+      rationale: '1 Satz Begründung für den Score',
+      quote: 'wörtliches Zitat aus dem Transcript',
+      summary: '2-3 Sätze Gesamteinschätzung'
+    },
+    evidence: kpiCount => `BELEGE (evidence):
+- Gib für JEDEN der ${kpiCount} KPI-Keys einen Eintrag mit kurzer Begründung an.
+- "quotes" enthält 0-3 WÖRTLICHE Zitate aus dem Transcript (exakt kopiert, keine Umformulierung).
+- type "support" = Zitat belegt den Score, type "missing" = Zitat zeigt, wo etwas fehlt oder zu vage ist.
+- Fehlt ein Element komplett, lasse "quotes" leer und erkläre in "rationale", was fehlt.`,
+    closing: maxProposals => `Bewerte streng aber fair. Fehlende Elemente = niedrige Scores. Maximal ${maxProposals} Verbesserungsvorschläge.`,
+    measured: {
+      heading: 'GEMESSENES TIMING (aus Audio-Zeitstempeln – für time_management und word_count_optimization verwenden):',
+      spokenTime: (pacing, duration) => `- Gesprochene Zeit: ${pacing.spoken_duration} von ${duration} Sekunden (Start nach ${pacing.speech_start}s)`,
+      tempo: pacing => `- Sprechtempo: ${pacing.words_per_minute} Wörter/Minute${pacing.target_wpm ? ` (Ziel: ${pacing.target_wpm.min}-${pacing.target_wpm.max})` : ''}`,
+      timeline: pacing => `- Tempo-Verlauf (je ${pacing.timeline[0].end - pacing.timeline[0].start}s): ${pacing.timeline.map(window => window.wpm).join(', ')} Wörter/Minute`,
+      cutOff: pacing => `- ZEIT ÜBERSCHRITTEN: Der Sprecher wurde beim Zeitlimit unterbrochen bei "${pacing.cutoff_text}"`,
+      unused: pacing => `- Ungenutzte Zeit am Ende: ${pacing.unused_seconds} Sekunden`,
+      silence: audio => `- Stille vor dem ersten Wort: ${audio.leading_silence}s, Stille am Ende: ${audio.trailing_silence}s`,
+      speechRatio: audio => `- Sprechanteil: ${Math.round(audio.speech_ratio * 100)}%, lange Pausen (ab 2s): ${audio.long_pause_count}`,
+      endDrop: audio => `- Die Stimme wird zum Ende um ${audio.loudness.end_drop_db} dB leiser`
+    },
+    estimated: {
+      heading: 'GESCHÄTZTES TIMING (geschriebenes Skript ohne Aufnahme – für time_management und word_count_optimization verwenden):',
+      speakingTime: (estimate, duration) => `- Geschätzte Sprechzeit: ${estimate.estimated_duration} von ${duration} Sekunden bei ${estimate.words_per_minute} Wörtern/Minute (höchstens ${estimate.max_words} Wörter)`,
+      overTime: estimate => `- ZU LANG: Das Skript überschreitet das Zeitlimit um ca. ${estimate.overrun_seconds} Sekunden`,
+      unused: estimate => `- Ungenutzte Zeit am Ende: ca. ${estimate.unused_seconds} Sekunden`,
+      delivery: '- Stimme, Tempo und Pausen sind aus einem Skript nicht messbar; bewerte den Text so, wie er vorgetragen würde.'
+    }
+  },
+  en: {
+    language: 'en',
+    version: 'en-audio-2',
+    system: 'You are an expert in BNI presentations and evaluate pitches objectively against the given KPI categories.',
+    intro: duration => `Evaluate this ${duration}-second BNI pitch against the following KPI categories. \nReturn your answer as a JSON object. Write all texts in English.`,
+    format: (label, duration, wordRange) => `FORMAT: ${label} (${duration} seconds, target: ${wordRange} words)`,
+    formatCriteria: 'FORMAT-SPECIFIC CRITERIA (consider for all KPIs):',
+    criteria: 'EVALUATION CRITERIA:\nScore every aspect from 0-100 points:',
+    weight: 'weight',
+    answerFormat: 'RESPONSE FORMAT:',
+    example: {
+      title: 'Short title',
+      description: 'Specific recommendation for improvement',
+      rationale: 'One sentence explaining the score',
+      quote: 'verbatim quote from the transcript',
+      summary: '2-3 sentences overall assessment'
+    },
+    evidence: kpiCount => `EVIDENCE:
+- Provide an entry with a short rationale for EACH of the ${kpiCount} KPI keys.
+- "quotes" contains 0-3 VERBATIM quotes from the transcript (copied exactly, no rephrasing).
+- type "support" = the quote supports the score, type "missing" = the quote shows where something is missing or too vague.
+- If an element is missing entirely, leave "quotes" empty and explain in "rationale" what is missing.`,
+    closing: maxProposals => `Be strict but fair. Missing elements = low scores. At most ${maxProposals} improvement proposals.`,
+    measured: {
+      heading: 'MEASURED TIMING (from audio timestamps – use for time_management and word_count_optimization):',
+      spokenTime: (pacing, duration) => `- Spoken time: ${pacing.spoken_duration} of ${duration} seconds (started after ${pacing.speech_start}s)`,
+      tempo: pacing => `- Speaking rate: ${pacing.words_per_minute} words/minute${pacing.target_wpm ? ` (target: ${pacing.target_wpm.min}-${pacing.target_wpm.max})` : ''}`,
+      timeline: pacing => `- Rate over time (every ${pacing.timeline[0].end - pacing.timeline[0].start}s): ${pacing.timeline.map(window => window.wpm).join(', ')} words/minute`,
+      cutOff: pacing => `- TIME EXCEEDED: The speaker was cut off at the time limit at "${pacing.cutoff_text}"`,
+      unused: pacing => `- Unused time at the end: ${pacing.unused_seconds} seconds`,
+      silence: audio => `- Silence before the first word: ${audio.leading_silence}s, silence at the end: ${audio.trailing_silence}s`,
+      speechRatio: audio => `- Speech ratio: ${Math.round(audio.speech_ratio * 100)}%, long pauses (2s and more): ${audio.long_pause_count}`,
+      endDrop: audio => `- The voice gets ${audio.loudness.end_drop_db} dB quieter towards the end`
+    },
+    estimated: {
+      heading: 'ESTIMATED TIMING (written script without a recording – use for time_management and word_count_optimization):',
+      speakingTime: (estimate, duration) => `- Estimated speaking time: ${estimate.estimated_duration} of ${duration} seconds at ${estimate.words_per_minute} words/minute (at most ${estimate.max_words} words)`,
+      overTime: estimate => `- TOO LONG: The script exceeds the time limit by about ${estimate.overrun_seconds} seconds`,
+      unused: estimate => `- Unused time at the end: about ${estimate.unused_seconds} seconds`,
+      delivery: '- Voice, pace and pauses cannot be measured from a script; evaluate the text as it would be delivered.'
     }
   }
+};
 
-  async evaluate(transcript, duration) {
+class EvaluationService {
+  constructor(provider = createLLMProvider(), rubric = new RubricService(), formats = new FormatService()) {
+    this.provider = provider;
+    this.rubric = rubric;
+    this.formats = formats;
+    this.promptVersion = PROMPT_TEXT[DEFAULT_LANGUAGE].version;
+    this.apiKey = provider.apiKey;
+    this.baseUrl = provider.baseUrl;
+    this.model = provider.model;
+    this.timeout = provider.timeout;
+  }
+
+  /**
+   * @param {object} [measurements] - { pacing, measured, audio } from PacingService,
+   *   DisfluencyService and AudioAnalysisService; measured KPI scores replace the LLM defaults.
+   *   `estimate` (PacingService.estimate) stands in for pacing when a written script is evaluated.
+   *   `language` ("de", "en") selects the prompt wording.
+   */
+  async evaluate(transcript, duration, format = this.formats.getByDuration(duration), { pacing = null, measured = null, audio = null, estimate = null, language = DEFAULT_LANGUAGE } = {}) {
     const startTime = Date.now();
     
     try {
-      console.log(`🎯 Evaluating pitch with ${this.model}: ${duration}s duration`);
+      console.log(`🎯 Evaluating pitch with ${this.provider.name}/${this.model}: ${duration}s duration, language ${language}`);
 
-      const prompt = this.buildEvaluationPrompt(transcript, duration);
+      const prompt = this.buildEvaluationPrompt(transcript, duration, format, { pacing, audio, estimate, language });
       
-      const response = await axios.post(
-        `${this.baseUrl}/chat/completions`,
-        {
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: 'Du bist ein Experte für BNI-Präsentationen und bewertest Pitches objektiv nach den vorgegebenen KPI-Kategorien.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: 2000,
-          temperature: 0.3,
-          response_format: { type: "json_object" }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: this.timeout
-        }
-      );
+      const content = await this.provider.complete({
+        system: this.getPromptText(language).system,
+        prompt,
+        maxTokens: 2000,
+        temperature: 0.3,
+        json: true
+      });
 
       const evalTime = Date.now() - startTime;
       
-      const result = JSON.parse(response.data.choices[0].message.content);
+      const result = this.parseJsonContent(content);
       
       // Validate and normalize the response
-      const evaluation = this.validateEvaluationResult(result);
+      const evaluation = this.validateEvaluationResult(result, transcript, measured);
       
       console.log(`✅ Evaluation completed: ${evalTime}ms, overall score: ${evaluation.overall_score}`);
       
       return {
         ...evaluation,
         processing_time: evalTime,
-        model_used: this.model
+        model_used: this.model,
+        provider: this.provider.name,
+        rubric_version: this.rubric.version,
+        prompt_version: this.getPromptVersion(language)
       };
 
     } catch (error) {
       const evalTime = Date.now() - startTime;
       console.error(`❌ Evaluation failed after ${evalTime}ms:`, error.message);
-      
-      if (error.response) {
-        console.error('API Response:', error.response.data);
-        throw new Error(`Mistral API error: ${error.response.data.message || error.response.statusText}`);
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Evaluation timeout - please try again');
-      } else {
-        throw new Error(`Network error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite the member's pitch applying the proposals, keeping their facts
+   * and fitting the word budget of the format.
+   */
+  async rewrite(transcript, duration, proposals = [], format = this.formats.getByDuration(duration)) {
+    const startTime = Date.now();
+
+    try {
+      console.log(`✍️  Rewriting pitch with ${this.provider.name}/${this.model}: ${duration}s duration`);
+
+      const wordRange = this.getWordRange(duration, format);
+      const content = await this.provider.complete({
+        system: 'Du bist ein erfahrener BNI-Coach und formulierst Pitches von Mitgliedern wirkungsvoller, ohne Fakten zu erfinden.',
+        prompt: this.buildRewritePrompt(transcript, duration, proposals, format),
+        maxTokens: Math.max(1000, wordRange.max * 3),
+        temperature: 0.5,
+        json: true
+      });
+
+      const result = this.parseJsonContent(content);
+      const rewrittenPitch = typeof result.rewritten_pitch === 'string' ? result.rewritten_pitch.trim() : '';
+
+      if (!rewrittenPitch) {
+        throw new Error('Invalid rewrite response: rewritten_pitch is missing');
       }
+
+      const wordCount = rewrittenPitch.split(/\s+/).filter(word => word.length > 0).length;
+      const rewriteTime = Date.now() - startTime;
+
+      console.log(`✅ Rewrite completed: ${rewriteTime}ms, ${wordCount} words`);
+
+      return {
+        rewritten_pitch: rewrittenPitch,
+        changes: Array.isArray(result.changes) ? result.changes.filter(change => typeof change === 'string').slice(0, 5) : [],
+        word_count: wordCount,
+        word_range: wordRange,
+        within_budget: wordCount >= wordRange.min && wordCount <= wordRange.max,
+        processing_time: rewriteTime,
+        model_used: this.model
+      };
+
+    } catch (error) {
+      const rewriteTime = Date.now() - startTime;
+      console.error(`❌ Rewrite failed after ${rewriteTime}ms:`, error.message);
+      throw error;
     }
   }
 
-  buildEvaluationPrompt(transcript, duration) {
+  buildRewritePrompt(transcript, duration, proposals = [], format = this.formats.getByDuration(duration)) {
+    const wordRange = this.getWordRange(duration, format);
+    const proposalLines = proposals.length > 0
+      ? proposals.map(proposal => `- ${proposal.title || proposal.type}: ${proposal.description || ''}`).join('\n')
+      : '- Keine konkreten Vorschläge, verbessere allgemein nach BNI-Kriterien.';
+
     return `
-Bewerte diesen ${duration}-Sekunden BNI-Pitch nach den folgenden KPI-Kategorien. 
+Schreibe diesen ${duration}-Sekunden BNI-Pitch${format ? ` (${format.labels.de})` : ''} so um, dass er die Verbesserungsvorschläge umsetzt.
 Gib deine Antwort als JSON-Objekt zurück.
 
-PITCH TRANSCRIPT:
+ORIGINAL-PITCH:
 "${transcript}"
 
-BEWERTUNGSKRITERIEN:
-Bewerte jeden Aspekt von 0-100 Punkten:
+VERBESSERUNGSVORSCHLÄGE:
+${proposalLines}
 
-1. CALL-TO-ACTION QUALITY (40% Gewichtung - WICHTIGSTE KATEGORIE):
-   - specific_referral_ask: Konkrete Empfehlungsanfrage vorhanden
-   - contact_method_clarity: Kontaktmethode klar kommuniziert
-   - target_client_definition: Zielklient definiert
-   - actionable_request: Handlungsaufforderung ist umsetzbar
+REGELN:
+- Behalte ALLE Fakten des Mitglieds bei: Name, Unternehmen, Angebot, Zahlen, Kontaktdaten.
+- Erfinde KEINE neuen Fakten, Zahlen, Kundennamen oder Kontaktdaten. Fehlt etwas, nutze einen Platzhalter in eckigen Klammern, z.B. [Telefonnummer].
+- Behalte die Ich-Form und den persönlichen Ton des Mitglieds bei.
+- Länge: ${wordRange.min}-${wordRange.max} Wörter, damit der Pitch in ${duration} Sekunden gesprochen werden kann.
+- Schreibe gesprochene Sprache, keine Aufzählungen oder Überschriften.
+- Schreibe in der Sprache des Original-Pitches.
 
-2. STRUCTURE_TIME (25% Gewichtung):
-   - introduction_completeness: Vollständige Vorstellung (Name, Unternehmen)
-   - word_count_optimization: Wortanzahl für ${duration}s optimal (${duration === 45 ? '90-120' : '120-150'} Wörter)
-   - clear_flow_organization: Klarer Aufbau und Struktur
-   - time_management: Zeitmanagement passend zu ${duration}s
+ANTWORT-FORMAT:
+{
+  "rewritten_pitch": "Der vollständige neue Pitch-Text",
+  "changes": ["Kurze Beschreibung jeder wesentlichen Änderung (max. 5)"]
+}`;
+  }
 
-3. CONTENT_CLARITY (20% Gewichtung):
-   - jargon_free_language: Verständliche Sprache ohne Fachjargon
-   - single_focus_maintenance: Fokus auf eine Dienstleistung/Produkt
-   - benefit_articulation: Nutzen klar artikuliert
-   - credibility_markers: Glaubwürdigkeitsmarker vorhanden
+  parseJsonContent(content) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      // Local models without a JSON mode tend to wrap the object in prose or code fences
+      const match = typeof content === 'string' && content.match(/\{[\s\S]*\}/);
+      if (match) {
+        try {
+          return JSON.parse(match[0]);
+        } catch (innerError) {
+          // fall through
+        }
+      }
+      throw new Error('Invalid evaluation response: model did not return valid JSON');
+    }
+  }
 
-4. MEMORABILITY (15% Gewichtung):
-   - hook_tagline_presence: Einprägsamer Hook oder Slogan
-   - unique_element: Einzigartiges Element oder USP
-   - concrete_examples: Konkrete Beispiele oder Geschichten
+  getWordRange(duration, format = this.formats.getByDuration(duration)) {
+    if (format) return format.word_range;
+    // Formats outside the catalogue: roughly 2-2.5 spoken words per second
+    return { min: Math.round(duration * 2), max: Math.round(duration * 2.5) };
+  }
 
-ANTWORT-FORMAT:
+  buildEvaluationPrompt(transcript, duration, format = this.formats.getByDuration(duration), { pacing = null, audio = null, estimate = null, language = DEFAULT_LANGUAGE } = {}) {
+    const text = this.getPromptText(language);
+    const lang = text.language;
+    const categories = this.rubric.getPromptCategories();
+    const weights = this.rubric.getWeights();
+    const wordRange = this.getWordRange(duration, format);
+    const placeholders = {
+      duration,
+      word_range: `${wordRange.min}-${wordRange.max}`
+    };
+    const fill = (value) => value.replace(/\{(\w+)\}/g, (match, key) => (key in placeholders ? placeholders[key] : match));
+
+    const criteria = categories.map((category, index) => {
+      const weight = Math.round(weights[category.key] * 100);
+      const categoryEmphasis = typeof category.emphasis === 'object' && category.emphasis !== null
+        ? category.emphasis[lang] || category.emphasis.de
+        : category.emphasis;
+      const emphasis = categoryEmphasis ? ` - ${categoryEmphasis}` : '';
+      const kpiLines = category.kpis
+        .map(kpi => `   - ${kpi.key}: ${fill(kpi.descriptions[lang] || kpi.descriptions.de)}`)
+        .join('\n');
+      return `${index + 1}. ${category.prompt_title || category.key.toUpperCase()} (${weight}% ${text.weight}${emphasis}):\n${kpiLines}`;
+    }).join('\n\n');
+
+    const kpiFormat = JSON.stringify(
+      this.rubric.getDefaultKpis(categories),
+      null,
+      2
+    ).replace(/: 0/g, ': SCORE').replace(/\n/g, '\n  ');
+
+    const proposalTypes = this.rubric.getProposalTypes().join('|') || 'GENERAL_IMPROVEMENT';
+    const maxProposals = this.rubric.getMaxProposals();
+
+    const formatLabel = format ? format.labels[lang] || format.labels.de : null;
+    const formatCriteriaList = format && format.criteria ? format.criteria[lang] || format.criteria.de || [] : [];
+    const formatCriteria = formatCriteriaList.length > 0
+      ? `\n${text.formatCriteria}\n${formatCriteriaList.map(criterion => `- ${criterion}`).join('\n')}\n`
+      : '';
+
+    return `
+${text.intro(duration)}
+${format ? `\n${text.format(formatLabel, duration, placeholders.word_range)}\n` : ''}${formatCriteria}
+PITCH TRANSCRIPT:
+"${transcript}"
+${this.buildPacingSection(pacing, duration, audio, language)}${this.buildEstimateSection(estimate, duration, language)}
+${text.criteria}
+
+${criteria}
+
+${text.answerFormat}
 {
-  "kpis": {
-    "call_to_action": {
-      "specific_referral_ask": SCORE,
-      "contact_method_clarity": SCORE,
-      "target_client_definition": SCORE,
-      "actionable_request": SCORE
-    },
-    "structure_time": {
-      "introduction_completeness": SCORE,
-      "word_count_optimization": SCORE,
-      "clear_flow_organization": SCORE,
-      "time_management": SCORE
-    },
-    "content_clarity": {
-      "jargon_free_language": SCORE,
-      "single_focus_maintenance": SCORE,
-      "benefit_articulation": SCORE,
-      "credibility_markers": SCORE
-    },
-    "memorability": {
-      "hook_tagline_presence": SCORE,
-      "unique_element": SCORE,
-      "concrete_examples": SCORE
-    }
-  },
+  "kpis": ${kpiFormat},
   "proposals": [
     {
-      "type": "CTA_SPECIFICITY|CTA_CLARITY|STRUCTURE_BASICS|SIMPLIFY_MESSAGE|ADD_MEMORY_HOOK|TIME_OPTIMIZATION",
-      "title": "Kurzer Titel",
-      "description": "Konkrete Verbesserungsempfehlung",
+      "type": "${proposalTypes}",
+      "title": "${text.example.title}",
+      "description": "${text.example.description}",
       "priority": "HIGH|MEDIUM|LOW"
     }
   ],
+  "evidence": {
+    "KPI_KEY": {
+      "rationale": "${text.example.rationale}",
+      "quotes": [
+        { "text": "${text.example.quote}", "type": "support|missing" }
+      ]
+    }
+  },
   "overall_score": CALCULATED_WEIGHTED_AVERAGE,
   "word_count": ACTUAL_WORD_COUNT,
-  "summary": "2-3 Sätze Gesamteinschätzung"
+  "summary": "${text.example.summary}"
 }
 
-Bewerte streng aber fair. Fehlende Elemente = niedrige Scores. Maximal 3 Verbesserungsvorschläge.`;
+${text.evidence(this.rubric.getKpiKeys(categories).length)}
+
+${text.closing(maxProposals)}`;
+  }
+
+  /**
+   * Prompt wording for a base language; unsupported languages get the German prompt.
+   */
+  getPromptText(language = DEFAULT_LANGUAGE) {
+    return PROMPT_TEXT[language] || PROMPT_TEXT[DEFAULT_LANGUAGE];
   }
 
-  validateEvaluationResult(result) {
-    // Ensure all required KPI categories exist
-    const defaultKpis = {
-      call_to_action: {
-        specific_referral_ask: 0,
-        contact_method_clarity: 0,
-        target_client_definition: 0,
-        actionable_request: 0
-      },
-      structure_time: {
-        introduction_completeness: 0,
-        word_count_optimization: 0,
-        clear_flow_organization: 0,
-        time_management: 0
-      },
-      content_clarity: {
-        jargon_free_language: 0,
-        single_focus_maintenance: 0,
-        benefit_articulation: 0,
-        credibility_markers: 0
-      },
-      memorability: {
-        hook_tagline_presence: 0,
-        unique_element: 0,
-        concrete_examples: 0
+  getPromptVersion(language = DEFAULT_LANGUAGE) {
+    return this.getPromptText(language).version;
+  }
+
+  /**
+   * Measured timing from the audio timestamps, so time_management is scored
+   * on facts instead of being guessed from the text.
+   */
+  buildPacingSection(pacing, duration, audio = null, language = DEFAULT_LANGUAGE) {
+    if (!pacing && !audio) {
+      return '';
+    }
+
+    const text = this.getPromptText(language).measured;
+    const lines = [];
+
+    if (pacing) {
+      lines.push(
+        text.spokenTime(pacing, duration),
+        text.tempo(pacing),
+        text.timeline(pacing)
+      );
+
+      if (pacing.ran_out_of_time) {
+        lines.push(text.cutOff(pacing));
+      } else if (pacing.unused_seconds > 0) {
+        lines.push(text.unused(pacing));
       }
-    };
+    }
+
+    if (audio) {
+      lines.push(text.silence(audio), text.speechRatio(audio));
+
+      if (audio.loudness && audio.loudness.end_drop_db >= 3) {
+        lines.push(text.endDrop(audio));
+      }
+    }
+
+    return `
+${text.heading}
+${lines.join('\n')}
+`;
+  }
+
+  /**
+   * Estimated timing of a written script (no audio, so nothing was measured).
+   */
+  buildEstimateSection(estimate, duration, language = DEFAULT_LANGUAGE) {
+    if (!estimate) {
+      return '';
+    }
+
+    const text = this.getPromptText(language).estimated;
+    const lines = [text.speakingTime(estimate, duration)];
+
+    if (estimate.over_time) {
+      lines.push(text.overTime(estimate));
+    } else if (estimate.unused_seconds > 0) {
+      lines.push(text.unused(estimate));
+    }
+    lines.push(text.delivery);
+
+    return `
+${text.heading}
+${lines.join('\n')}
+`;
+  }
+
+  validateEvaluationResult(result, transcript = '', measured = null) {
+    // Ensure all rubric KPI categories exist
+    const defaultKpis = this.rubric.getDefaultKpis();
 
     const kpis = { ...defaultKpis, ...(result.kpis || {}) };
+
+    // Measured KPIs (delivery) come from code, never from the LLM
+    if (measured && measured.kpis) {
+      for (const [category, items] of Object.entries(defaultKpis)) {
+        for (const kpi of Object.keys(items)) {
+          if (kpi in measured.kpis) {
+            kpis[category] = { ...kpis[category], [kpi]: measured.kpis[kpi] };
+          }
+        }
+      }
+    }
     
     // Calculate weighted overall score
-    const weights = {
-      call_to_action: 0.4,
-      structure_time: 0.25,
-      content_clarity: 0.2,
-      memorability: 0.15
-    };
+    const weights = this.rubric.getWeights();
 
     let overallScore = 0;
     for (const [category, weight] of Object.entries(weights)) {
@@ -205,22 +441,93 @@ Bewerte streng aber fair. Fehlende Elemente = niedrige Scores. Maximal 3 Verbess
     }
 
     // Validate proposals
-    const proposals = (result.proposals || []).slice(0, 3).map(proposal => ({
+    const proposals = (result.proposals || []).slice(0, this.rubric.getMaxProposals()).map(proposal => ({
       type: proposal.type || 'GENERAL_IMPROVEMENT',
       title: proposal.title || 'Verbesserung',
       description: proposal.description || 'Siehe Bewertungsdetails',
       priority: ['HIGH', 'MEDIUM', 'LOW'].includes(proposal.priority) ? proposal.priority : 'MEDIUM'
     }));
 
+    const evidence = this.validateEvidence(result.evidence, transcript, kpis);
+    if (measured && measured.evidence) {
+      const kpiKeys = this.rubric.getKpiKeys();
+      for (const [kpi, entry] of Object.entries(measured.evidence)) {
+        if (kpiKeys.includes(kpi)) evidence[kpi] = entry;
+      }
+    }
+
     return {
       kpis,
       proposals,
+      evidence,
       overall_score: Math.round(overallScore * 10) / 10, // Round to 1 decimal
       word_count: result.word_count || 0,
       summary: result.summary || 'Bewertung abgeschlossen'
     };
   }
 
+  /**
+   * Normalize per-KPI rationale and resolve quotes to character offsets in the transcript.
+   * Quotes that cannot be found in the transcript are dropped rather than guessed.
+   */
+  validateEvidence(evidence, transcript, kpis) {
+    const validated = {};
+    if (!evidence || typeof evidence !== 'object') return validated;
+
+    const kpiKeys = new Set(Object.values(kpis).flatMap(category => Object.keys(category)));
+
+    for (const [kpi, entry] of Object.entries(evidence)) {
+      if (!kpiKeys.has(kpi) || !entry || typeof entry !== 'object') continue;
+
+      const quotes = Array.isArray(entry.quotes) ? entry.quotes : (Array.isArray(entry.spans) ? entry.spans : []);
+      const spans = quotes
+        .map(quote => this.locateQuote(quote, transcript))
+        .filter(Boolean)
+        .slice(0, 3);
+
+      validated[kpi] = {
+        rationale: typeof entry.rationale === 'string' ? entry.rationale.trim() : '',
+        spans
+      };
+    }
+
+    return validated;
+  }
+
+  locateQuote(quote, transcript) {
+    if (!quote || !transcript) return null;
+
+    const text = (typeof quote === 'string' ? quote : (quote.text || quote.quote || '')).trim();
+    const type = quote.type === 'missing' ? 'missing' : 'support';
+    const span = (start, end) => ({ start, end, text: transcript.slice(start, end), type });
+
+    // Trust explicit offsets only when they point at the quoted text
+    const { start, end } = quote;
+    if (Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end <= transcript.length && start < end) {
+      if (!text || transcript.slice(start, end).toLowerCase() === text.toLowerCase()) {
+        return span(start, end);
+      }
+    }
+
+    if (!text) return null;
+
+    const exactIndex = transcript.toLowerCase().indexOf(text.toLowerCase());
+    if (exactIndex !== -1) {
+      return span(exactIndex, exactIndex + text.length);
+    }
+
+    // Tolerate differing punctuation and whitespace between quote and transcript
+    const words = text.match(/[\p{L}\p{N}@]+/gu);
+    if (!words) return null;
+
+    const pattern = new RegExp(
+      words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^\\p{L}\\p{N}@]+'),
+      'iu'
+    );
+    const match = pattern.exec(transcript);
+    return match ? span(match.index, match.index + match[0].length) : null;
+  }
+
   calculateKPIScores(kpis) {
     const scores = {};
     
@@ -233,39 +540,7 @@ Bewerte streng aber fair. Fehlende Elemente = niedrige Scores. Maximal 3 Verbess
   }
 
   async testConnection() {
-    try {
-      console.log('🔍 Testing Mistral Chat API connection...');
-      
-      const response = await axios.post(
-        `${this.baseUrl}/chat/completions`,
-        {
-          model: this.model,
-          messages: [{ role: 'user', content: 'Test' }],
-          max_tokens: 5
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 5000
-        }
-      );
-
-      console.log(`✅ Chat API connection successful with ${this.model}`);
-      return {
-        connected: true,
-        model: this.model,
-        test_response: response.data.choices[0].message.content
-      };
-      
-    } catch (error) {
-      console.error('❌ Chat API connection test failed:', error.message);
-      return {
-        connected: false,
-        error: error.message
-      };
-    }
+    return this.provider.testConnection();
   }
 }
 
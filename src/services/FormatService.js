@@ -0,0 +1,124 @@
+/**
+ * FormatService - Loads the catalogue of BNI meeting formats
+ * Author: andreas@siglochconsulting.com
+ *
+ * Each format defines a duration, the target word range and format-specific
+ * criteria for the evaluation prompt. The catalogue lives in
+ * config/formats.json; point FORMATS_PATH at a custom file to override it.
+ * `speaking_rate` sets the words per minute used to estimate the speaking
+ * time of written pitch scripts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FORMATS_PATH = path.join(__dirname, '..', '..', 'config', 'formats.json');
+// Average German speaking rate, as used by DisfluencyService and the heuristic evaluation
+const DEFAULT_SPEAKING_RATE = { default: 130, min: 90, max: 180 };
+
+class FormatService {
+  constructor(catalogue = FormatService.loadFromFile(process.env.FORMATS_PATH || DEFAULT_FORMATS_PATH)) {
+    FormatService.validate(catalogue);
+    this.catalogue = catalogue;
+    this.version = catalogue.version;
+  }
+
+  static loadFromFile(formatsPath) {
+    try {
+      return JSON.parse(fs.readFileSync(formatsPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load formats from ${formatsPath}: ${error.message}`);
+    }
+  }
+
+  static validate(catalogue) {
+    if (!catalogue || !Array.isArray(catalogue.formats) || catalogue.formats.length === 0) {
+      throw new Error('Invalid formats: at least one format is required');
+    }
+
+    const seenKeys = new Set();
+    for (const format of catalogue.formats) {
+      if (!format.key || seenKeys.has(format.key)) {
+        throw new Error(`Invalid formats: key "${format.key}" is missing or duplicated`);
+      }
+      if (!Number.isInteger(format.duration) || format.duration <= 0) {
+        throw new Error(`Invalid formats: "${format.key}" needs a positive integer duration`);
+      }
+      const range = format.word_range;
+      if (!range || !(range.min > 0) || !(range.max >= range.min)) {
+        throw new Error(`Invalid formats: "${format.key}" needs a word_range with min <= max`);
+      }
+      seenKeys.add(format.key);
+    }
+
+    const rate = catalogue.speaking_rate;
+    if (rate !== undefined && (!rate || !(rate.min > 0) || !(rate.min <= rate.default && rate.default <= rate.max))) {
+      throw new Error('Invalid formats: speaking_rate needs min <= default <= max');
+    }
+  }
+
+  getFormats() {
+    return this.catalogue.formats;
+  }
+
+  getFormat(key) {
+    return this.catalogue.formats.find(format => format.key === key) || null;
+  }
+
+  getByDuration(duration) {
+    return this.catalogue.formats.find(format => format.duration === duration) || null;
+  }
+
+  getDurations() {
+    return [...new Set(this.catalogue.formats.map(format => format.duration))].sort((a, b) => a - b);
+  }
+
+  getSpeakingRate() {
+    return this.catalogue.speaking_rate || DEFAULT_SPEAKING_RATE;
+  }
+
+  /**
+   * Words per minute for a script estimate; without a value the catalogue default applies.
+   */
+  resolveSpeakingRate(value) {
+    const rate = this.getSpeakingRate();
+    if (value === undefined || value === null || value === '') {
+      return rate.default;
+    }
+
+    const wordsPerMinute = Number(value);
+    if (!Number.isFinite(wordsPerMinute) || wordsPerMinute < rate.min || wordsPerMinute > rate.max) {
+      throw new Error(`Speaking rate must be between ${rate.min} and ${rate.max} words per minute`);
+    }
+    return Math.round(wordsPerMinute);
+  }
+
+  /**
+   * Resolve the format for an evaluation request. A given key must exist and
+   * match the duration; without a key the first format with that duration wins.
+   */
+  resolve(duration, key) {
+    if (key) {
+      const format = this.getFormat(key);
+      if (!format) {
+        throw new Error(`Unknown format "${key}"`);
+      }
+      if (format.duration !== duration) {
+        throw new Error(`Format "${key}" requires a duration of ${format.duration} seconds`);
+      }
+      return format;
+    }
+
+    const format = this.getByDuration(duration);
+    if (!format) {
+      throw new Error(`Duration must be one of: ${this.getDurations().join(', ')} seconds`);
+    }
+    return format;
+  }
+
+  toJSON() {
+    return this.catalogue;
+  }
+}
+
+module.exports = FormatService;
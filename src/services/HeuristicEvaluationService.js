@@ -0,0 +1,486 @@
+/**
+ * HeuristicEvaluationService - Deterministic offline pitch evaluation
+ * Author: andreas@siglochconsulting.com
+ *
+ * Scores the same 15 KPIs as the LLM evaluation using German keyword and
+ * pattern detection. Used as a fallback when the LLM provider is unavailable,
+ * so a recorded pitch never gets lost. Results are labeled as heuristic.
+ * KPIs that a custom rubric adds on top of the default 15 are scored 0.
+ * Pitches in other languages are still scored, but flagged as unsupported.
+ */
+
+const HEURISTIC_MODEL = 'heuristic-de-v1';
+// The only language the keyword patterns are written for
+const HEURISTIC_LANGUAGE = 'de';
+
+// Average German speaking rate used to estimate spoken time from text
+const WORDS_PER_MINUTE = 130;
+
+const PATTERNS = {
+  name: [
+    /\b(ich bin|mein name ist|ich heiße|ich heisse|hier ist)\s+[A-ZÄÖÜ][\wäöüß-]+/i
+  ],
+  company: [
+    /\b[\wäöüß&.-]+\s+(gmbh|ag|kg|ug|gbr|e\.\s?k\.|ohg|mbh)\b/i,
+    /\b(firma|unternehmen|agentur|kanzlei|praxis|büro|studio|betrieb)\s+[A-ZÄÖÜ][\wäöüß&.-]+/,
+    /\b(von|bei)\s+(der\s+|dem\s+)?[A-ZÄÖÜ][\wäöüß&.-]+\s*(consulting|beratung|solutions|service|design|media|immobilien|versicherung)/i,
+    /\b(inhaber|inhaberin|geschäftsführer|geschäftsführerin|gründer|gründerin)\b/i
+  ],
+  referralAsk: [
+    /\bempfehlung(en)?\b/i,
+    /\bsuche\s+(einen\s+|eine\s+)?kontakt(e)?\s+zu\b/i,
+    /\bsuche\s+(ich\s+)?(einen|eine|kontakt|kontakte|menschen|unternehmen|firmen|personen)\b/i,
+    /\b(wer|kennen sie|kennt ihr|kennst du)\s+(jemanden|jemand|einen|eine)\b/i,
+    /\bkontakt\s+zu\b/i
+  ],
+  contactConcrete: [
+    /[\w.+-]+@[\w-]+\.[a-z]{2,}/i,
+    /\b[\w-]+\s+(at|ät)\s+[\w-]+\s+(punkt|dot)\s+(de|com|at|ch|net|org)\b/i,
+    /(\+49|\b0)[\d\s/-]{6,}\d/,
+    /\b(www\.[\w-]+\.[a-z]{2,}|https?:\/\/\S+|[\w-]+\.(de|com|at|ch))\b/i,
+    /\b[\w-]+\s+(punkt|dot)\s+(de|com|at|ch|net|org)\b/i
+  ],
+  contactVerbal: [
+    /\b(rufen sie mich an|ruft mich an|ruf mich an|melden sie sich|meldet euch|schreiben sie mir|schreibt mir)\b/i,
+    /\b(telefon|telefonnummer|e-mail|email|mail|linkedin|visitenkarte|website|webseite)\b/i
+  ],
+  targetClient: [
+    /\b(zielkunde|zielkunden|zielgruppe|idealer kunde|idealen kunden|ideale kunde)\b/i,
+    /\b(jemanden|jemand|unternehmen|firmen|menschen|personen|kunden|betriebe|inhaber|unternehmer|familien|selbstständige|selbständige)\b,?\s+(die|der|das|welche|welcher)\b/i,
+    // \b is ASCII-only and never sits before "ä", so ärzte needs a letter lookbehind
+    /\b(geschäftsführer|mittelstand|mittelständische|handwerker|arztpraxen|steuerberater|immobilienbesitzer|hausbesitzer|start-?ups)\b|(?<!\p{L})ärzten?\b/iu
+  ],
+  actionable: [
+    /\b(bitte|sprechen sie|sprecht|stellen sie mich|stellt mich|verbinden sie|verbindet|geben sie|gebt|empfehlen sie|empfehlt)\b/i,
+    /\bwenn\s+(sie|ihr|du)\b[^.?!]{0,80}\b(kennen|kennt|kennst)\b/i
+  ],
+  benefit: [
+    /\b(damit|sodass|so dass|spart|sparen|spare|vorteil|nutzen|profitieren|profitiert|steigern|steigert|mehr umsatz|weniger|sicherheit|entlasten|entlastet|hilft|helfe|helfen)\b/i
+  ],
+  credibility: [
+    /\b\d+\s*(jahre|jahren|kunden|projekte|projekten|mitarbeiter|%|prozent)\b/i,
+    /\bseit\s+(über\s+)?\d{2,4}\b/i,
+    /\b(zertifiziert|zertifizierung|ausgezeichnet|erfahrung|referenz|referenzen|meister|studiert|experte|expertin)\b/i
+  ],
+  unique: [
+    /\b(einzig|einzige|einzigen|als einzige|im gegensatz|anders als|besonders|besonderheit|spezialisiert|spezialität|nur wir|exklusiv|patentiert)\b/i
+  ],
+  examples: [
+    /\b(zum beispiel|z\.\s?b\.|beispielsweise|letzte woche|letzten monat|neulich|kürzlich|ein kunde|eine kundin|geschichte|erfolgsgeschichte)\b/i
+  ],
+  hookVerbal: [
+    /\b(denken sie an|merken sie sich|denkt an|mein motto|unser motto|mein slogan)\b/i
+  ],
+  topicShift: [
+    /\b(außerdem|ausserdem|darüber hinaus|zusätzlich|und auch|sowie|des weiteren|weiterhin bieten)\b/gi
+  ],
+  closing: [
+    /\b(danke|vielen dank|dankeschön)\b/i
+  ]
+};
+
+class HeuristicEvaluationService {
+  /**
+   * @param {object} scorer - Anything exposing validateEvaluationResult(),
+   *   so weights and defaults stay identical to the LLM path.
+   */
+  constructor(scorer) {
+    this.scorer = scorer;
+    this.model = HEURISTIC_MODEL;
+  }
+
+  evaluate(transcript, duration, { format = null, pacing = null, measured = null, speakingRate = WORDS_PER_MINUTE, fallbackReason = null, language = HEURISTIC_LANGUAGE } = {}) {
+    const startTime = Date.now();
+    const text = (transcript || '').trim();
+    const wordCount = this.countWords(text);
+    const wordTarget = this.getWordTarget(duration, format);
+
+    const kpis = {
+      call_to_action: {
+        specific_referral_ask: this.scoreReferralAsk(text),
+        contact_method_clarity: this.scoreContactMethod(text),
+        target_client_definition: this.scoreMatches(text, PATTERNS.targetClient, [0, 60, 85, 100]),
+        actionable_request: this.scoreMatches(text, PATTERNS.actionable, [10, 70, 100])
+      },
+      structure_time: {
+        introduction_completeness: this.scoreIntroduction(text),
+        word_count_optimization: this.scoreWordCount(wordCount, duration, wordTarget),
+        clear_flow_organization: this.scoreFlow(text),
+        time_management: this.scoreTimeManagement(wordCount, duration, pacing, speakingRate)
+      },
+      content_clarity: {
+        jargon_free_language: this.scoreJargon(text),
+        single_focus_maintenance: this.scoreFocus(text),
+        benefit_articulation: this.scoreMatchCount(text, PATTERNS.benefit[0], [20, 60, 80, 100]),
+        credibility_markers: this.scoreMatches(text, PATTERNS.credibility, [20, 70, 90, 100])
+      },
+      memorability: {
+        hook_tagline_presence: this.scoreHook(text),
+        unique_element: this.scoreMatchCount(text, PATTERNS.unique[0], [20, 70, 90]),
+        concrete_examples: this.scoreMatchCount(text, PATTERNS.examples[0], [20, 75, 95])
+      }
+    };
+
+    const evaluation = this.scorer.validateEvaluationResult({
+      kpis: this.alignToRubric(kpis),
+      proposals: this.buildProposals(kpis, duration, wordTarget),
+      evidence: this.buildEvidence(text, kpis, wordCount, duration, wordTarget, pacing, speakingRate),
+      word_count: wordCount,
+      summary: this.buildSummary(language)
+    }, text, measured);
+
+    return {
+      ...evaluation,
+      processing_time: Date.now() - startTime,
+      model_used: this.model,
+      provider: 'heuristic',
+      rubric_version: this.scorer.rubric ? this.scorer.rubric.version : null,
+      // The keyword rules play the role of the prompt, so they share its version column
+      prompt_version: this.model,
+      evaluation_mode: 'heuristic',
+      fallback_reason: fallbackReason,
+      language,
+      // false: German keywords were applied to a pitch in another language
+      language_supported: language === HEURISTIC_LANGUAGE
+    };
+  }
+
+  buildSummary(language) {
+    if (language !== HEURISTIC_LANGUAGE) {
+      return 'Heuristic offline evaluation, because the AI evaluation was unavailable. ' +
+        'It only knows German keywords, so the scores for this pitch are not meaningful.';
+    }
+    return 'Heuristische Offline-Bewertung (Schlüsselwort-Analyse), da die KI-Bewertung nicht verfügbar war. ' +
+      'Die Werte sind eine grobe Orientierung und weniger genau als die KI-Bewertung.';
+  }
+
+  // Reshape the fixed heuristic KPIs to the categories and keys of the active rubric
+  alignToRubric(kpis) {
+    if (!this.scorer.rubric) return kpis;
+
+    const defaults = this.scorer.rubric.getDefaultKpis();
+    const aligned = {};
+    for (const [category, items] of Object.entries(defaults)) {
+      aligned[category] = {};
+      for (const kpi of Object.keys(items)) {
+        const scoredCategory = Object.values(kpis).find(scored => kpi in scored);
+        aligned[category][kpi] = scoredCategory ? scoredCategory[kpi] : 0;
+      }
+    }
+    return aligned;
+  }
+
+  countWords(text) {
+    return text ? text.split(/\s+/).filter(word => word.length > 0).length : 0;
+  }
+
+  countMatches(text, patterns) {
+    return patterns.filter(pattern => pattern.test(text)).length;
+  }
+
+  // Map the number of distinct patterns found to a score ladder
+  scoreMatches(text, patterns, ladder) {
+    const matches = this.countMatches(text, patterns);
+    return ladder[Math.min(matches, ladder.length - 1)];
+  }
+
+  // Map the number of occurrences of a single pattern to a score ladder
+  scoreMatchCount(text, pattern, ladder) {
+    const globalPattern = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+    const occurrences = (text.match(globalPattern) || []).length;
+    return ladder[Math.min(occurrences, ladder.length - 1)];
+  }
+
+  scoreReferralAsk(text) {
+    const matches = this.countMatches(text, PATTERNS.referralAsk);
+    if (matches === 0) return 0;
+    // A generic "Empfehlung" is weaker than a concrete "suche Kontakt zu ..."
+    const concrete = /\bkontakt(e)?\s+zu\b/i.test(text) || /\b(wer|kennen sie|kennt ihr|kennst du)\s+(jemanden|jemand)\b/i.test(text);
+    return Math.min(100, (concrete ? 70 : 50) + (matches - 1) * 15);
+  }
+
+  scoreContactMethod(text) {
+    const concrete = this.countMatches(text, PATTERNS.contactConcrete);
+    const verbal = this.countMatches(text, PATTERNS.contactVerbal);
+    if (concrete > 0) return Math.min(100, 80 + concrete * 10);
+    if (verbal > 0) return 45;
+    return 10;
+  }
+
+  scoreIntroduction(text) {
+    const hasName = this.countMatches(text, PATTERNS.name) > 0;
+    const hasCompany = this.countMatches(text, PATTERNS.company) > 0;
+    return (hasName ? 50 : 0) + (hasCompany ? 50 : 0);
+  }
+
+  getWordTarget(duration, format = null) {
+    if (format) return format.word_range;
+    if (this.scorer.getWordRange) return this.scorer.getWordRange(duration);
+    return { min: Math.round(duration * 2), max: Math.round(duration * 2.5) };
+  }
+
+  scoreWordCount(wordCount, duration, wordTarget = this.getWordTarget(duration)) {
+    const { min, max } = wordTarget;
+    if (wordCount >= min && wordCount <= max) return 100;
+
+    const distance = wordCount < min ? min - wordCount : wordCount - max;
+    return Math.max(0, Math.round(100 - (distance / min) * 200));
+  }
+
+  scoreTimeManagement(wordCount, duration, pacing = null, speakingRate = WORDS_PER_MINUTE) {
+    // Cut off mid-sentence means the ending (usually the ask) was lost
+    if (pacing && pacing.ran_out_of_time) {
+      return Math.max(0, Math.round(40 - pacing.overrun_seconds * 5));
+    }
+
+    const spokenSeconds = pacing ? pacing.speech_end : (wordCount / speakingRate) * 60;
+    const ratio = spokenSeconds / duration;
+
+    // Running over is worse than finishing slightly early
+    if (ratio > 1) return Math.max(0, Math.round(100 - (ratio - 1) * 250));
+    if (ratio >= 0.75) return 100;
+    return Math.max(0, Math.round(100 - (0.75 - ratio) * 150));
+  }
+
+  scoreFlow(text) {
+    if (!text) return 0;
+
+    const introIndex = this.firstMatchIndex(text, [...PATTERNS.name, ...PATTERNS.company]);
+    const askIndex = this.firstMatchIndex(text, PATTERNS.referralAsk);
+    const closingIndex = this.firstMatchIndex(text, PATTERNS.closing);
+    const length = text.length;
+
+    let score = 20;
+    if (introIndex !== -1 && introIndex < length * 0.25) score += 30;
+    if (askIndex !== -1 && (introIndex === -1 || askIndex > introIndex)) score += 25;
+    if (closingIndex !== -1 && closingIndex > length * 0.7) score += 15;
+    if ((text.match(/[.!?]/g) || []).length >= 3) score += 10;
+
+    return Math.min(100, score);
+  }
+
+  scoreJargon(text) {
+    const words = text.split(/\s+/).filter(word => word.length > 0);
+    if (words.length === 0) return 0;
+
+    const longWords = words.filter(word => word.replace(/[^\wäöüß]/gi, '').length >= 16).length;
+    const acronyms = (text.match(/\b[A-ZÄÖÜ]{2,}\b/g) || []).length;
+    const penalty = (longWords / words.length) * 400 + acronyms * 5;
+
+    return Math.max(20, Math.round(100 - penalty));
+  }
+
+  scoreFocus(text) {
+    const shifts = (text.match(PATTERNS.topicShift[0]) || []).length;
+    return Math.max(20, 100 - shifts * 20);
+  }
+
+  scoreHook(text) {
+    if (this.findRepeatedPhrase(text)) return 95;
+    if (this.countMatches(text, PATTERNS.hookVerbal) > 0) return 65;
+    return 20;
+  }
+
+  /**
+   * Find a phrase of 3-6 words that occurs at least twice (tagline repetition).
+   */
+  findRepeatedPhrase(text) {
+    const words = text.toLowerCase().replace(/[^\wäöüß\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+    for (let size = 6; size >= 3; size--) {
+      const seen = new Set();
+      for (let i = 0; i + size <= words.length; i++) {
+        const phrase = words.slice(i, i + size).join(' ');
+        if (seen.has(phrase)) return phrase;
+        seen.add(phrase);
+      }
+    }
+    return null;
+  }
+
+  firstMatchIndex(text, patterns) {
+    const indices = patterns
+      .map(pattern => text.search(pattern))
+      .filter(index => index !== -1);
+    return indices.length > 0 ? Math.min(...indices) : -1;
+  }
+
+  /**
+   * Collect up to 3 matches of the given patterns as transcript spans.
+   */
+  findSpans(text, patterns, type = 'support') {
+    const spans = [];
+
+    for (const pattern of patterns) {
+      const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+      for (const match of text.matchAll(new RegExp(pattern.source, flags))) {
+        const start = match.index;
+        const end = start + match[0].trim().length;
+        if (end > start && !spans.some(span => start < span.end && end > span.start)) {
+          spans.push({ start, end, type });
+        }
+      }
+    }
+
+    return spans.sort((a, b) => a.start - b.start).slice(0, 3);
+  }
+
+  buildEvidence(text, kpis, wordCount, duration, wordTarget = this.getWordTarget(duration), pacing = null, speakingRate = WORDS_PER_MINUTE) {
+    const { min, max } = wordTarget;
+    const estimatedSeconds = Math.round((wordCount / speakingRate) * 60);
+    const tagline = this.findRepeatedPhrase(text);
+    const longWordPattern = /[\wäöüßÄÖÜ-]{16,}/;
+
+    const entry = (spans, foundRationale, missingRationale) => ({
+      rationale: spans.length > 0 ? foundRationale : missingRationale,
+      spans
+    });
+
+    return {
+      specific_referral_ask: entry(
+        this.findSpans(text, PATTERNS.referralAsk),
+        'Empfehlungsanfrage erkannt.',
+        'Keine Empfehlungsanfrage gefunden (z.B. "Ich suche Kontakt zu ...").'
+      ),
+      contact_method_clarity: entry(
+        this.findSpans(text, [...PATTERNS.contactConcrete, ...PATTERNS.contactVerbal]),
+        kpis.call_to_action.contact_method_clarity >= 80
+          ? 'Konkrete Kontaktdaten genannt.'
+          : 'Kontaktweg nur allgemein erwähnt, keine konkreten Kontaktdaten.',
+        'Weder Telefonnummer, E-Mail noch Website genannt.'
+      ),
+      target_client_definition: entry(
+        this.findSpans(text, PATTERNS.targetClient),
+        'Zielkunden werden beschrieben.',
+        'Keine Beschreibung des idealen Kunden gefunden.'
+      ),
+      actionable_request: entry(
+        this.findSpans(text, PATTERNS.actionable),
+        'Konkrete Handlungsaufforderung erkannt.',
+        'Keine Bitte oder Handlungsaufforderung an die Zuhörer gefunden.'
+      ),
+      introduction_completeness: entry(
+        this.findSpans(text, [...PATTERNS.name, ...PATTERNS.company]),
+        kpis.structure_time.introduction_completeness === 100
+          ? 'Name und Unternehmen genannt.'
+          : 'Vorstellung unvollständig: Name oder Unternehmen fehlt.',
+        'Weder Name noch Unternehmen erkannt.'
+      ),
+      word_count_optimization: {
+        rationale: `${wordCount} Wörter, Ziel für ${duration}s: ${min}-${max} Wörter.`,
+        spans: []
+      },
+      clear_flow_organization: entry(
+        this.findSpans(text, PATTERNS.closing),
+        'Reihenfolge aus Vorstellung, Anfrage und Abschluss geprüft.',
+        'Kein klarer Abschluss erkannt.'
+      ),
+      time_management: {
+        rationale: !pacing
+          ? `Geschätzte Sprechzeit ca. ${estimatedSeconds}s bei ${speakingRate} Wörtern pro Minute.`
+          : pacing.ran_out_of_time
+            ? `Beim Zeitlimit von ${duration}s unterbrochen bei "${pacing.cutoff_text}".`
+            : `Gemessene Sprechzeit ${pacing.spoken_duration}s von ${duration}s bei ${pacing.words_per_minute} Wörtern pro Minute.`,
+        spans: []
+      },
+      jargon_free_language: {
+        rationale: kpis.content_clarity.jargon_free_language >= 80
+          ? 'Überwiegend kurze, verständliche Wörter.'
+          : 'Viele lange Wörter oder Abkürzungen erschweren das Verständnis.',
+        spans: this.findSpans(text, [longWordPattern, /\b[A-ZÄÖÜ]{2,}\b/], 'missing')
+      },
+      single_focus_maintenance: {
+        rationale: kpis.content_clarity.single_focus_maintenance >= 80
+          ? 'Fokus auf ein Angebot.'
+          : 'Mehrere Themen werden aneinandergereiht.',
+        spans: this.findSpans(text, PATTERNS.topicShift, 'missing')
+      },
+      benefit_articulation: entry(
+        this.findSpans(text, PATTERNS.benefit),
+        'Nutzen für den Kunden wird formuliert.',
+        'Kein Kundennutzen erkannt.'
+      ),
+      credibility_markers: entry(
+        this.findSpans(text, PATTERNS.credibility),
+        'Glaubwürdigkeitsmarker wie Zahlen oder Erfahrung gefunden.',
+        'Keine Zahlen, Erfahrung oder Referenzen genannt.'
+      ),
+      hook_tagline_presence: entry(
+        tagline
+          ? this.findSpans(text, [new RegExp(tagline.split(' ').join('[^\\wäöüß]+'), 'i')])
+          : this.findSpans(text, PATTERNS.hookVerbal),
+        tagline ? 'Slogan wird wiederholt.' : 'Merksatz angekündigt, aber nicht wiederholt.',
+        'Kein Slogan oder wiederholter Merksatz gefunden.'
+      ),
+      unique_element: entry(
+        this.findSpans(text, PATTERNS.unique),
+        'Alleinstellungsmerkmal angesprochen.',
+        'Kein Alleinstellungsmerkmal erkannt.'
+      ),
+      concrete_examples: entry(
+        this.findSpans(text, PATTERNS.examples),
+        'Konkretes Beispiel genannt.',
+        'Kein konkretes Beispiel oder keine Geschichte erkannt.'
+      )
+    };
+  }
+
+  buildProposals(kpis, duration, wordTarget = this.getWordTarget(duration)) {
+    const { min, max } = wordTarget;
+    const candidates = [
+      {
+        score: kpis.call_to_action.specific_referral_ask,
+        type: 'CTA_SPECIFICITY',
+        title: 'Konkrete Empfehlung erfragen',
+        description: 'Formuliere eine konkrete Bitte, z.B. "Ich suche Kontakt zu Geschäftsführern von Handwerksbetrieben in der Region."',
+        priority: 'HIGH'
+      },
+      {
+        score: kpis.call_to_action.contact_method_clarity,
+        type: 'CTA_CLARITY',
+        title: 'Kontaktweg nennen',
+        description: 'Nenne Telefonnummer, E-Mail-Adresse oder Website, damit man dich direkt erreichen kann.',
+        priority: 'HIGH'
+      },
+      {
+        score: kpis.structure_time.introduction_completeness,
+        type: 'STRUCTURE_BASICS',
+        title: 'Vollständige Vorstellung',
+        description: 'Beginne mit deinem Namen und deinem Unternehmen, bevor du zum Angebot kommst.',
+        priority: 'MEDIUM'
+      },
+      {
+        score: Math.min(kpis.structure_time.word_count_optimization, kpis.structure_time.time_management),
+        type: 'TIME_OPTIMIZATION',
+        title: 'Wortanzahl anpassen',
+        description: `Für ${duration} Sekunden sind ${min}-${max} Wörter ideal.`,
+        priority: 'MEDIUM'
+      },
+      {
+        score: Math.min(kpis.content_clarity.jargon_free_language, kpis.content_clarity.single_focus_maintenance),
+        type: 'SIMPLIFY_MESSAGE',
+        title: 'Botschaft vereinfachen',
+        description: 'Konzentriere dich auf eine Dienstleistung und vermeide lange Fachbegriffe.',
+        priority: 'LOW'
+      },
+      {
+        score: kpis.memorability.hook_tagline_presence,
+        type: 'ADD_MEMORY_HOOK',
+        title: 'Slogan wiederholen',
+        description: 'Verwende einen kurzen Slogan am Anfang und wiederhole ihn am Ende.',
+        priority: 'LOW'
+      }
+    ];
+
+    return candidates
+      .filter(candidate => candidate.score < 70)
+      .sort((a, b) => a.score - b.score)
+      .slice(0, 3)
+      .map(({ score, ...proposal }) => proposal);
+  }
+}
+
+// Shared with ScriptComparisonService to find key sentences in a script
+HeuristicEvaluationService.PATTERNS = PATTERNS;
+
+module.exports = HeuristicEvaluationService;
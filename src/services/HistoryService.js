@@ -0,0 +1,87 @@
+/**
+ * HistoryService - Practice history in the browser's IndexedDB
+ * Author: andreas@siglochconsulting.com
+ *
+ * Nothing leaves the device: there are no accounts, and the server only keeps
+ * its anonymous statistics. Transcripts are stored only when the member opts in.
+ */
+
+import { loadSetting, saveSetting } from '../utils/storage'
+
+const DB_NAME = 'pitchtrainer'
+const DB_VERSION = 1
+const STORE = 'evaluations'
+const TRANSCRIPT_KEY = 'pitchtrainer.historyTranscripts'
+
+class HistoryService {
+  constructor() {
+    this.db = null
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined'
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        if (!this.isSupported()) {
+          reject(new Error('IndexedDB is not available in this browser'))
+          return
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+          store.createIndex('created_at', 'created_at')
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      }).catch((error) => {
+        this.db = null
+        throw error
+      })
+    }
+    return this.db
+  }
+
+  // Runs one request in its own transaction and resolves with its result
+  async run(mode, operation) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode)
+      const request = operation(transaction.objectStore(STORE))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  async addEntry(entry) {
+    const id = await this.run('readwrite', (store) => store.add(entry))
+    console.log(`📚 Practice history entry ${id} saved`)
+    return id
+  }
+
+  // Oldest first
+  getEntries() {
+    return this.run('readonly', (store) => store.index('created_at').getAll())
+  }
+
+  deleteEntry(id) {
+    return this.run('readwrite', (store) => store.delete(id))
+  }
+
+  clear() {
+    return this.run('readwrite', (store) => store.clear())
+  }
+
+  getSaveTranscripts() {
+    return loadSetting(TRANSCRIPT_KEY) === 'true'
+  }
+
+  setSaveTranscripts(enabled) {
+    saveSetting(TRANSCRIPT_KEY, enabled)
+  }
+}
+
+export default new HistoryService()
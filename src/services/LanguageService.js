@@ -0,0 +1,83 @@
+/**
+ * LanguageService - Pitch languages, detection and language-specific word lists
+ * Author: andreas@siglochconsulting.com
+ *
+ * Members choose a locale (de-DE, de-CH, de-AT, en-US) or "auto". The locale
+ * drives the browser's live recognition; transcription, evaluation prompt and
+ * statistics work with the base language (de, en).
+ */
+
+const AUTO = 'auto';
+const DEFAULT_LANGUAGE = 'de';
+
+const LOCALES = [
+  { code: 'de-DE', language: 'de', labels: { de: 'Deutsch', en: 'German' } },
+  { code: 'de-CH', language: 'de', labels: { de: 'Deutsch (Schweiz)', en: 'German (Switzerland)' } },
+  { code: 'de-AT', language: 'de', labels: { de: 'Deutsch (Österreich)', en: 'German (Austria)' } },
+  { code: 'en-US', language: 'en', labels: { de: 'Englisch', en: 'English' } }
+];
+
+// Frequent words that only occur in one of the languages (no "am", "an", "in")
+const COMMON_WORDS = {
+  de: ['ich', 'bin', 'das', 'ist', 'und', 'mit', 'der', 'die', 'für', 'wir', 'nicht', 'ein', 'eine', 'sie', 'zu', 'auf', 'mein', 'meine'],
+  en: ['i', 'the', 'is', 'and', 'with', 'for', 'we', 'not', 'a', 'you', 'to', 'on', 'my', 'our', 'of', 'are', 'help', 'who']
+};
+
+// Full language names as returned by Whisper-style verbose_json responses
+const LANGUAGE_NAMES = { german: 'de', deutsch: 'de', english: 'en' };
+
+class LanguageService {
+  getLocales() {
+    return LOCALES;
+  }
+
+  getLanguages() {
+    return Object.keys(COMMON_WORDS);
+  }
+
+  /**
+   * Resolve a member's choice: a locale entry, null for "auto"/empty, or an error for unknown codes.
+   */
+  resolveLocale(code) {
+    if (!code || code === AUTO) return null;
+    const locale = LOCALES.find(entry => entry.code.toLowerCase() === String(code).toLowerCase());
+    if (!locale) {
+      throw new Error(`Unknown language "${code}". Expected one of: ${[AUTO, ...LOCALES.map(entry => entry.code)].join(', ')}`);
+    }
+    return locale;
+  }
+
+  /**
+   * Map provider output ("de", "de-CH", "german") to a supported base language, or null.
+   */
+  normalize(language) {
+    if (!language || typeof language !== 'string') return null;
+    const value = language.trim().toLowerCase();
+    const code = LANGUAGE_NAMES[value] || value.split(/[-_]/)[0];
+    return this.getLanguages().includes(code) ? code : null;
+  }
+
+  /**
+   * Guess the language of a transcript from its function words; null when undecided.
+   */
+  detect(text) {
+    const words = (text || '').toLowerCase().match(/[\p{L}]+/gu) || [];
+    const counts = Object.fromEntries(this.getLanguages().map(language => [
+      language,
+      words.filter(word => COMMON_WORDS[language].includes(word)).length
+    ]));
+    const [best, second] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+
+    if (!best || best[1] === 0 || best[1] === second[1]) return null;
+    return best[0];
+  }
+
+  toJSON() {
+    return { default: AUTO, locales: LOCALES };
+  }
+}
+
+LanguageService.AUTO = AUTO;
+LanguageService.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+
+module.exports = LanguageService;
@@ -0,0 +1,164 @@
+/**
+ * PacingService - Measures speaking pace from transcription word timestamps
+ * Author: andreas@siglochconsulting.com
+ *
+ * Turns the normalized word timestamps of TranscriptionService into measured
+ * timing: spoken duration, words per minute over time and whether the member
+ * ran out of time before finishing. Written scripts have no timestamps, so
+ * their speaking time is estimated from the word count instead.
+ */
+
+const WINDOW_SECONDS = 10;
+// Speech ending this close to the limit counts as still talking at the cutoff
+const CUTOFF_TOLERANCE_SECONDS = 1.5;
+const SENTENCE_END = /[.!?…]["'»“]?$/;
+// Uploads may run over the selected duration, but by no more than the duration itself
+const MAX_OVERRUN_FACTOR = 1;
+// 10 minutes of 10 second windows, far beyond any pitch format
+const MAX_TIMELINE_WINDOWS = 60;
+
+class PacingService {
+  constructor({ windowSeconds = WINDOW_SECONDS, cutoffTolerance = CUTOFF_TOLERANCE_SECONDS } = {}) {
+    this.windowSeconds = windowSeconds;
+    this.cutoffTolerance = cutoffTolerance;
+  }
+
+  /**
+   * Reject timestamps sent by the client that the analysis cannot bound;
+   * throws with a client-facing message.
+   * @param {number} maxWords - e.g. ScriptComparisonService.getWordLimit for the format
+   */
+  assertValidTimestamps(timestamps, duration, maxWords) {
+    if (!timestamps || timestamps.words === undefined) {
+      return;
+    }
+    if (!Array.isArray(timestamps.words)) {
+      throw new Error('timestamps.words must be an array');
+    }
+
+    const { words } = timestamps;
+    if (words.length > maxWords) {
+      throw new Error(`Too many words in timestamps: ${words.length}, at most ${maxWords} can be analyzed`);
+    }
+
+    const latestEnd = duration * (1 + MAX_OVERRUN_FACTOR);
+    const isValid = word => word &&
+      Number.isFinite(word.start) && Number.isFinite(word.end) &&
+      word.start >= 0 && word.start <= word.end && word.end <= latestEnd;
+    if (!words.every(isValid)) {
+      throw new Error(`Invalid word timestamps: start and end must lie between 0 and ${latestEnd} seconds, start not after end`);
+    }
+  }
+
+  /**
+   * @param {{words: Array<{word, start, end}>, estimated?: boolean}} timestamps
+   * @param {number} duration - Selected pitch duration in seconds
+   * @param {{min: number, max: number}} [wordRange] - Target words for the duration
+   * @returns {object|null} Pacing measurements, or null without timed words
+   */
+  analyze(timestamps, duration, wordRange = null) {
+    const words = (timestamps && Array.isArray(timestamps.words) ? timestamps.words : [])
+      .filter(word => Number.isFinite(word.start) && Number.isFinite(word.end))
+      .sort((a, b) => a.start - b.start);
+
+    if (words.length === 0 || !(duration > 0)) {
+      return null;
+    }
+
+    const speechStart = words[0].start;
+    const speechEnd = Math.max(...words.map(word => word.end));
+    const spokenDuration = Math.max(speechEnd - speechStart, 0.1);
+
+    const wordsOverLimit = words.filter(word => word.start >= duration);
+    const lastWord = words[words.length - 1];
+    const stillTalkingAtLimit = speechEnd >= duration - this.cutoffTolerance;
+    const ranOutOfTime = wordsOverLimit.length > 0 ||
+      (stillTalkingAtLimit && !SENTENCE_END.test(lastWord.word));
+
+    return {
+      word_count: words.length,
+      speech_start: this.round(speechStart),
+      speech_end: this.round(speechEnd),
+      spoken_duration: this.round(spokenDuration),
+      words_per_minute: Math.round((words.length / spokenDuration) * 60),
+      target_wpm: wordRange ? {
+        min: Math.round((wordRange.min / duration) * 60),
+        max: Math.round((wordRange.max / duration) * 60)
+      } : null,
+      timeline: this.buildTimeline(words, Math.max(speechEnd, duration)),
+      unused_seconds: this.round(Math.max(duration - speechEnd, 0)),
+      overrun_seconds: this.round(Math.max(speechEnd - duration, 0)),
+      words_over_limit: wordsOverLimit.length,
+      ran_out_of_time: ranOutOfTime,
+      cutoff_text: ranOutOfTime ? this.getCutoffText(words, duration) : null,
+      estimated: Boolean(timestamps.estimated)
+    };
+  }
+
+  /**
+   * Speaking time of a written script at an assumed speaking rate.
+   * @param {string} script
+   * @param {number} duration - Selected pitch duration in seconds
+   * @param {number} wordsPerMinute - See FormatService.resolveSpeakingRate
+   * @returns {object|null} Estimate, or null for an empty script
+   */
+  estimate(script, duration, wordsPerMinute) {
+    const wordCount = (script || '').split(/\s+/).filter(word => word.length > 0).length;
+    if (wordCount === 0 || !(duration > 0) || !(wordsPerMinute > 0)) {
+      return null;
+    }
+
+    const estimatedDuration = this.round((wordCount / wordsPerMinute) * 60);
+
+    return {
+      word_count: wordCount,
+      words_per_minute: wordsPerMinute,
+      estimated_duration: estimatedDuration,
+      // Words that fit into the duration at this rate
+      max_words: Math.floor((duration / 60) * wordsPerMinute),
+      unused_seconds: this.round(Math.max(duration - estimatedDuration, 0)),
+      overrun_seconds: this.round(Math.max(estimatedDuration - duration, 0)),
+      over_time: estimatedDuration > duration
+    };
+  }
+
+  /**
+   * Words per minute in fixed windows, counting each word in the window it starts in.
+   */
+  buildTimeline(words, timelineSeconds) {
+    const totalSeconds = Math.min(timelineSeconds, MAX_TIMELINE_WINDOWS * this.windowSeconds);
+    const windowCount = Math.max(Math.ceil(totalSeconds / this.windowSeconds), 1);
+    const timeline = [];
+
+    for (let index = 0; index < windowCount; index++) {
+      const start = index * this.windowSeconds;
+      const end = Math.min(start + this.windowSeconds, totalSeconds);
+      const count = words.filter(word => word.start >= start && word.start < end).length;
+      const length = Math.max(end - start, 1);
+
+      timeline.push({
+        start,
+        end: this.round(end),
+        words: count,
+        wpm: Math.round((count / length) * 60)
+      });
+    }
+
+    return timeline;
+  }
+
+  /**
+   * The words around the time limit: the last few before it plus everything after.
+   */
+  getCutoffText(words, duration) {
+    const firstOverIndex = words.findIndex(word => word.start >= duration);
+    const limitIndex = firstOverIndex === -1 ? words.length : firstOverIndex;
+    return words.slice(Math.max(limitIndex - 6, 0)).map(word => word.word).join(' ');
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = PacingService;
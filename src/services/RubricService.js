@@ -0,0 +1,114 @@
+/**
+ * RubricService - Loads and validates the evaluation rubric definition
+ * Author: andreas@siglochconsulting.com
+ *
+ * The rubric (categories, weights, KPI keys, labels, proposal types) lives in
+ * config/rubric.json so chapters can adjust their coaching criteria without
+ * code changes. Point RUBRIC_PATH at a custom file to override it.
+ *
+ * Categories marked `measured` (e.g. delivery) are scored by code from the
+ * transcript and audio, not by the LLM, and are left out of the prompt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RUBRIC_PATH = path.join(__dirname, '..', '..', 'config', 'rubric.json');
+
+class RubricService {
+  constructor(rubric = RubricService.loadFromFile(process.env.RUBRIC_PATH || DEFAULT_RUBRIC_PATH)) {
+    RubricService.validate(rubric);
+    this.rubric = rubric;
+    this.version = rubric.version;
+  }
+
+  static loadFromFile(rubricPath) {
+    try {
+      return JSON.parse(fs.readFileSync(rubricPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load rubric from ${rubricPath}: ${error.message}`);
+    }
+  }
+
+  static validate(rubric) {
+    if (!rubric || typeof rubric !== 'object') {
+      throw new Error('Invalid rubric: expected an object');
+    }
+    if (!rubric.version) {
+      throw new Error('Invalid rubric: version is required');
+    }
+    if (!Array.isArray(rubric.categories) || rubric.categories.length === 0) {
+      throw new Error('Invalid rubric: at least one category is required');
+    }
+
+    const seenKpis = new Set();
+    for (const category of rubric.categories) {
+      if (!category.key || typeof category.weight !== 'number' || category.weight < 0) {
+        throw new Error(`Invalid rubric: category "${category.key}" needs a key and a non-negative weight`);
+      }
+      if (!Array.isArray(category.kpis) || category.kpis.length === 0) {
+        throw new Error(`Invalid rubric: category "${category.key}" has no KPIs`);
+      }
+      for (const kpi of category.kpis) {
+        if (!kpi.key || seenKpis.has(kpi.key)) {
+          throw new Error(`Invalid rubric: KPI key "${kpi.key}" is missing or duplicated`);
+        }
+        seenKpis.add(kpi.key);
+      }
+    }
+
+    const totalWeight = rubric.categories.reduce((sum, category) => sum + category.weight, 0);
+    if (totalWeight <= 0) {
+      throw new Error('Invalid rubric: category weights must add up to more than 0');
+    }
+  }
+
+  getCategories() {
+    return this.rubric.categories;
+  }
+
+  getPromptCategories() {
+    return this.rubric.categories.filter(category => !category.measured);
+  }
+
+  /**
+   * Category weights as fractions of 1, normalized over the total weight.
+   */
+  getWeights() {
+    const totalWeight = this.rubric.categories.reduce((sum, category) => sum + category.weight, 0);
+    const weights = {};
+    for (const category of this.rubric.categories) {
+      weights[category.key] = category.weight / totalWeight;
+    }
+    return weights;
+  }
+
+  getDefaultKpis(categories = this.rubric.categories) {
+    const defaults = {};
+    for (const category of categories) {
+      defaults[category.key] = {};
+      for (const kpi of category.kpis) {
+        defaults[category.key][kpi.key] = 0;
+      }
+    }
+    return defaults;
+  }
+
+  getKpiKeys(categories = this.rubric.categories) {
+    return categories.flatMap(category => category.kpis.map(kpi => kpi.key));
+  }
+
+  getProposalTypes() {
+    return (this.rubric.proposal_types || []).map(type => type.key);
+  }
+
+  getMaxProposals() {
+    return this.rubric.max_proposals || 3;
+  }
+
+  toJSON() {
+    return this.rubric;
+  }
+}
+
+module.exports = RubricService;
@@ -0,0 +1,174 @@
+/**
+ * ScriptComparisonService - Compares a written pitch script with its delivery
+ * Author: andreas@siglochconsulting.com
+ *
+ * Aligns the script with the transcript of the recording word by word and
+ * reports per script sentence how much of it was spoken, which passages were
+ * improvised and which sentences fell after the time limit. Sentences with
+ * the introduction or the call-to-action are flagged as key sentences, using
+ * the German patterns of the heuristic evaluation.
+ */
+
+const HeuristicEvaluationService = require('./HeuristicEvaluationService');
+const { toKey, tokenize, alignWords } = require('./wordAlignment');
+
+// Share of a sentence's words that must be spoken to count as delivered / at all
+const DELIVERED = 0.8;
+const PARTIAL = 0.3;
+// Shorter unscripted runs are usually recognition noise or filler
+const MIN_IMPROVISED_WORDS = 3;
+// Alignment is O(n·m); texts may exceed the format's word range by this factor
+const MAX_WORDS_FACTOR = 2;
+const SENTENCE_PATTERN = /[^.!?…\n]+(?:[.!?…]+["'»“]?|\n|$)/g;
+
+const { PATTERNS } = HeuristicEvaluationService;
+const KEY_PATTERNS = {
+  call_to_action: [...PATTERNS.referralAsk, ...PATTERNS.actionable, ...PATTERNS.contactConcrete, ...PATTERNS.contactVerbal],
+  introduction: [...PATTERNS.name, ...PATTERNS.company]
+};
+
+class ScriptComparisonService {
+  /**
+   * Most words a script, transcript or timestamp list may have for these formats
+   */
+  getWordLimit(formats) {
+    return Math.max(...formats.map(format => format.word_range.max)) * MAX_WORDS_FACTOR;
+  }
+
+  /**
+   * Reject input whose alignment would block the server; throws with a client-facing message.
+   */
+  assertWithinLimit({ script, transcript, timestamps = null }, maxWords) {
+    const counts = {
+      script: tokenize(script).length,
+      transcript: tokenize(transcript).length,
+      timestamps: timestamps && Array.isArray(timestamps.words) ? timestamps.words.length : 0
+    };
+
+    for (const [field, count] of Object.entries(counts)) {
+      if (count > maxWords) {
+        throw new Error(`Too many words in ${field}: ${count}, at most ${maxWords} can be compared`);
+      }
+    }
+  }
+
+  /**
+   * @param {string} script - The member's written pitch
+   * @param {string} transcript - Transcript of the recorded delivery
+   * @param {object} [options] - { timestamps, duration }; word timestamps place
+   *   sentences and improvised passages in time and find the time-limit overrun
+   */
+  compare(script, transcript, { timestamps = null, duration = null } = {}) {
+    const scriptTokens = tokenize(script || '');
+    const spokenTokens = tokenize(transcript || '');
+    const matches = alignWords(scriptTokens, spokenTokens);
+    const spokenTimes = this.timeSpokenTokens(spokenTokens, timestamps);
+    const limit = duration > 0 && spokenTimes ? duration : null;
+
+    const sentences = this.splitSentences(script || '').map(sentence => {
+      const indices = scriptTokens
+        .map((token, index) => index)
+        .filter(index => scriptTokens[index].start >= sentence.start && scriptTokens[index].end <= sentence.end);
+      const matched = indices.filter(index => matches[index] !== -1);
+      const coverage = indices.length > 0 ? matched.length / indices.length : 0;
+      const times = spokenTimes ? matched.map(index => spokenTimes[matches[index]]).filter(Number.isFinite) : [];
+      const spokenAt = times.length > 0 ? Math.min(...times) : null;
+
+      return {
+        ...sentence,
+        word_count: indices.length,
+        coverage_percent: Math.round(coverage * 100),
+        status: coverage >= DELIVERED ? 'delivered' : coverage >= PARTIAL ? 'partial' : 'missed',
+        key: this.classifySentence(sentence.text),
+        spoken_at: spokenAt,
+        after_limit: limit !== null && spokenAt !== null && spokenAt >= limit
+      };
+    }).filter(sentence => sentence.word_count > 0);
+
+    const matchedCount = matches.filter(match => match !== -1).length;
+    const overLimit = sentences.filter(sentence => sentence.after_limit);
+
+    return {
+      coverage_percent: scriptTokens.length > 0 ? Math.round((matchedCount / scriptTokens.length) * 100) : 0,
+      script_words: scriptTokens.length,
+      spoken_words: spokenTokens.length,
+      matched_words: matchedCount,
+      sentences,
+      missed_key_sentences: sentences.filter(sentence => sentence.key && sentence.status !== 'delivered'),
+      improvised: this.findImprovised(transcript || '', spokenTokens, matches, spokenTimes),
+      over_limit: overLimit.length > 0 ? {
+        duration: limit,
+        sentence_count: overLimit.length,
+        first_sentence: overLimit[0].text
+      } : null,
+      timed: Boolean(spokenTimes)
+    };
+  }
+
+  splitSentences(text) {
+    return [...text.matchAll(SENTENCE_PATTERN)]
+      .map(match => {
+        const leading = match[0].length - match[0].trimStart().length;
+        const value = match[0].trim();
+        return { text: value, start: match.index + leading, end: match.index + leading + value.length };
+      })
+      .filter(sentence => sentence.text.length > 0);
+  }
+
+  classifySentence(text) {
+    const match = Object.entries(KEY_PATTERNS).find(([, patterns]) => patterns.some(pattern => pattern.test(text)));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Start time of each transcript word. The transcript may have been corrected
+   * after transcription, so it is aligned with the timed words instead of
+   * assuming the same word order; unmatched words get null.
+   */
+  timeSpokenTokens(spokenTokens, timestamps) {
+    const words = timestamps && Array.isArray(timestamps.words) ? timestamps.words : [];
+    if (words.length === 0) return null;
+
+    const timedTokens = words.map(word => ({ key: toKey(word.word) }));
+    const matches = alignWords(spokenTokens, timedTokens);
+    return matches.map(match => (match === -1 ? null : words[match].start));
+  }
+
+  /**
+   * Runs of spoken words that are not in the script, as transcript spans.
+   */
+  findImprovised(transcript, spokenTokens, matches, spokenTimes) {
+    const scripted = new Set(matches.filter(match => match !== -1));
+    const passages = [];
+    let run = [];
+
+    const flush = () => {
+      if (run.length >= MIN_IMPROVISED_WORDS) {
+        const start = spokenTokens[run[0]].start;
+        const end = spokenTokens[run[run.length - 1]].end;
+        const times = spokenTimes ? run.map(index => spokenTimes[index]).filter(Number.isFinite) : [];
+        passages.push({
+          start,
+          end,
+          text: transcript.slice(start, end),
+          word_count: run.length,
+          spoken_at: times.length > 0 ? times[0] : null
+        });
+      }
+      run = [];
+    };
+
+    spokenTokens.forEach((token, index) => {
+      if (scripted.has(index)) {
+        flush();
+      } else {
+        run.push(index);
+      }
+    });
+    flush();
+
+    return passages;
+  }
+}
+
+module.exports = ScriptComparisonService;
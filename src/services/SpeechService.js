@@ -3,15 +3,43 @@
  * Author: andreas@siglochconsulting.com
  */
 
+import { loadSetting, saveSetting } from '../utils/storage'
+
+// The chosen microphone is remembered on this device only
+const DEVICE_KEY = 'pitchtrainer.microphone'
+
 class SpeechService {
   constructor() {
     this.recognition = null
     this.mediaRecorder = null
+    this.stream = null
+    this.deviceId = loadSetting(DEVICE_KEY)
+    this.levelMeter = null
     this.audioChunks = []
+    this.finalTranscript = ''
+    // Set while a take is thrown away, so stopping it delivers no audio
+    this.discardingTake = false
     this.isSupported = this.checkSupport()
     this.onTranscriptUpdate = null
     this.onError = null
     this.onAudioReady = null
+    this.locale = 'de-DE'
+  }
+
+  /**
+   * Locale for the live recognition (e.g. "de-CH"); the browser cannot detect
+   * the language itself, so "auto" follows the browser language.
+   */
+  setLanguage(code) {
+    if (code && code !== 'auto') {
+      this.locale = code
+    } else {
+      this.locale = /^(de|en)\b/i.test(navigator.language) ? navigator.language : 'de-DE'
+    }
+
+    if (this.recognition) {
+      this.recognition.lang = this.locale
+    }
   }
 
   checkSupport() {
@@ -25,16 +53,19 @@ class SpeechService {
     }
   }
 
+  getAudioConstraints() {
+    return {
+      echoCancellation: true,
+      noiseSuppression: true,
+      sampleRate: 44100,
+      ...(this.deviceId && { deviceId: { exact: this.deviceId } })
+    }
+  }
+
   async initialize() {
     try {
       // Get microphone permissions
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          sampleRate: 44100
-        }
-      })
+      const stream = await this.openStream()
 
       this.setupMediaRecorder(stream)
       this.setupSpeechRecognition()
@@ -52,7 +83,100 @@ class SpeechService {
     }
   }
 
+  async openStream() {
+    try {
+      return await navigator.mediaDevices.getUserMedia({ audio: this.getAudioConstraints() })
+    } catch (error) {
+      // A remembered microphone that is no longer plugged in falls back to the default input
+      if (!this.deviceId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) {
+        throw error
+      }
+      console.warn('Remembered microphone not available, using default input:', error.message)
+      this.deviceId = null
+      saveSetting(DEVICE_KEY, null)
+      return navigator.mediaDevices.getUserMedia({ audio: this.getAudioConstraints() })
+    }
+  }
+
+  stopStream() {
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop())
+      this.stream = null
+    }
+  }
+
+  /**
+   * Audio inputs for the device picker; labels are only available once the
+   * microphone permission was granted (see initialize).
+   */
+  async getInputDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices()
+    return devices
+      .filter(device => device.kind === 'audioinput')
+      .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Mikrofon ${index + 1}` }))
+  }
+
+  getActiveDeviceId() {
+    const track = this.stream && this.stream.getAudioTracks()[0]
+    return (track && track.getSettings && track.getSettings().deviceId) || this.deviceId
+  }
+
+  /**
+   * Switch to another microphone and remember it for the next visit. Only the
+   * recording uses it; Web Speech cannot pick a device and keeps listening on
+   * the browser's default input for the live transcript.
+   */
+  async selectDevice(deviceId) {
+    const onLevel = this.levelMeter && this.levelMeter.onLevel
+    this.stopLevelMeter()
+    this.stopStream()
+
+    this.deviceId = deviceId || null
+    saveSetting(DEVICE_KEY, this.deviceId)
+    this.setupMediaRecorder(await this.openStream())
+
+    if (onLevel) {
+      this.startLevelMeter(onLevel)
+    }
+    console.log('🎙️  Microphone selected:', this.getActiveDeviceId())
+  }
+
+  /**
+   * Calls `onLevel` with the current time-domain samples (-1..1) of the
+   * microphone every `intervalMs`, see utils/inputLevel.
+   */
+  startLevelMeter(onLevel, intervalMs = 100) {
+    this.stopLevelMeter()
+
+    const AudioContext = window.AudioContext || window.webkitAudioContext
+    if (!AudioContext || !this.stream) return false
+
+    const context = new AudioContext()
+    const analyser = context.createAnalyser()
+    analyser.fftSize = 2048
+    context.createMediaStreamSource(this.stream).connect(analyser)
+
+    const samples = new Float32Array(analyser.fftSize)
+    const timer = setInterval(() => {
+      analyser.getFloatTimeDomainData(samples)
+      onLevel(samples)
+    }, intervalMs)
+
+    this.levelMeter = { context, timer, onLevel }
+    return true
+  }
+
+  stopLevelMeter() {
+    if (this.levelMeter) {
+      clearInterval(this.levelMeter.timer)
+      this.levelMeter.context.close()
+      this.levelMeter = null
+    }
+  }
+
   setupMediaRecorder(stream) {
+    this.stream = stream
+
     // Setup MediaRecorder for high-quality audio capture
     const options = {
       mimeType: 'audio/webm;codecs=opus'
@@ -75,6 +199,13 @@ class SpeechService {
     }
 
     this.mediaRecorder.onstop = () => {
+      if (this.discardingTake) {
+        this.discardingTake = false
+        this.audioChunks = []
+        console.log('🗑️  Take discarded')
+        return
+      }
+
       const audioBlob = new Blob(this.audioChunks, { type: this.mediaRecorder.mimeType })
       console.log(`🎙️  Audio recorded: ${audioBlob.size} bytes, ${this.mediaRecorder.mimeType}`)
       
@@ -99,12 +230,12 @@ class SpeechService {
 
     this.recognition.continuous = true
     this.recognition.interimResults = true
-    this.recognition.lang = 'de-DE'
+    this.recognition.lang = this.locale
     this.recognition.maxAlternatives = 1
 
-    let finalTranscript = ''
     let interimTranscript = ''
 
+    // Kept on the instance: after a pause the recognition restarts with new results
     this.recognition.onresult = (event) => {
       interimTranscript = ''
       
@@ -112,13 +243,13 @@ class SpeechService {
         const transcript = event.results[i][0].transcript
         
         if (event.results[i].isFinal) {
-          finalTranscript += transcript + ' '
+          this.finalTranscript += transcript + ' '
         } else {
           interimTranscript += transcript
         }
       }
 
-      const fullTranscript = finalTranscript + interimTranscript
+      const fullTranscript = this.finalTranscript + interimTranscript
       
       if (this.onTranscriptUpdate) {
         this.onTranscriptUpdate(fullTranscript.trim(), event.results[event.results.length - 1].isFinal)
@@ -139,8 +270,9 @@ class SpeechService {
   startRecording() {
     return new Promise((resolve, reject) => {
       try {
-        // Reset audio chunks
+        // Reset audio chunks and the live transcript of a previous take
         this.audioChunks = []
+        this.finalTranscript = ''
 
         // Start MediaRecorder
         if (this.mediaRecorder && this.mediaRecorder.state === 'inactive') {
@@ -178,8 +310,8 @@ class SpeechService {
         }
       }
 
-      // Stop MediaRecorder
-      if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+      // Stop MediaRecorder (recording or paused)
+      if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
         this.mediaRecorder.stop()
         console.log('🎙️  MediaRecorder stopped')
         
@@ -193,31 +325,60 @@ class SpeechService {
     })
   }
 
-  async transcribeAudio(audioBlob) {
-    try {
-      console.log('📤 Sending audio for transcription:', audioBlob.size, 'bytes')
-      
-      const formData = new FormData()
-      formData.append('audio', audioBlob, 'recording.webm')
+  /**
+   * Pause a take for drills. Web Speech cannot pause, so the live recognition
+   * is stopped and started again on resume; its transcript continues.
+   */
+  pauseRecording() {
+    if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+      this.mediaRecorder.pause()
+      console.log('⏸️  MediaRecorder paused')
+    }
+
+    if (this.recognition) {
+      try {
+        this.recognition.stop()
+      } catch (error) {
+        console.warn('Error pausing speech recognition:', error)
+      }
+    }
+  }
+
+  resumeRecording() {
+    if (this.mediaRecorder && this.mediaRecorder.state === 'paused') {
+      this.mediaRecorder.resume()
+      console.log('▶️  MediaRecorder resumed')
+    }
 
-      const response = await fetch('/api/transcribe', {
-        method: 'POST',
-        body: formData,
-      })
+    if (this.recognition && this.isSupported.webSpeech) {
+      try {
+        this.recognition.start()
+      } catch (error) {
+        console.warn('Speech recognition resume failed, continuing with audio only:', error.message)
+      }
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+  /**
+   * Throw the current take away without delivering audio, e.g. after a
+   * stumble in the first seconds. The microphone stays open for the next take.
+   */
+  discardRecording() {
+    if (this.recognition) {
+      try {
+        this.recognition.abort()
+      } catch (error) {
+        console.warn('Error aborting speech recognition:', error)
       }
+    }
 
-      const result = await response.json()
-      console.log('✅ Transcription received:', result.transcript.length, 'characters')
-      
-      return result
-      
-    } catch (error) {
-      console.error('❌ Transcription failed:', error)
-      throw error
+    if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+      this.discardingTake = true
+      this.mediaRecorder.stop()
     }
+
+    this.audioChunks = []
+    this.finalTranscript = ''
   }
 
   async cleanup() {
@@ -225,9 +386,8 @@ class SpeechService {
       this.recognition.abort()
     }
 
-    if (this.mediaRecorder && this.mediaRecorder.stream) {
-      this.mediaRecorder.stream.getTracks().forEach(track => track.stop())
-    }
+    this.stopLevelMeter()
+    this.stopStream()
 
     console.log('🧹 Speech service cleaned up')
   }
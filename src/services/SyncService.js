@@ -0,0 +1,105 @@
+/**
+ * SyncService - Opt-in sync of the practice history between devices
+ * Author: andreas@siglochconsulting.com
+ *
+ * A sync pulls the encrypted history, adds entries this device is missing
+ * and uploads the merged result. Entries deleted on one device come back
+ * from another device that still has them.
+ */
+
+import apiService from './ApiService'
+import historyService from './HistoryService'
+import { findMissingEntries } from '../utils/history'
+import { loadSetting, saveSetting } from '../utils/storage'
+import { generateRecoveryCode, normalizeRecoveryCode, deriveSyncId, encryptPayload, decryptPayload } from '../utils/syncCrypto'
+
+const CODE_KEY = 'pitchtrainer.syncCode'
+
+class SyncService {
+  getCode() {
+    return loadSetting(CODE_KEY)
+  }
+
+  setCode(code) {
+    saveSetting(CODE_KEY, code || null)
+  }
+
+  isEnabled() {
+    return Boolean(this.getCode())
+  }
+
+  // Start syncing this device's history under a new recovery code
+  async enable() {
+    const code = generateRecoveryCode()
+    this.setCode(code)
+    await this.push()
+    console.log('🔐 History sync enabled')
+    return code
+  }
+
+  /**
+   * Connect this device to an existing synced history
+   * @returns {number} entries added to this device
+   */
+  async restore(input) {
+    const code = normalizeRecoveryCode(input)
+    if (!code) {
+      throw new Error('Ungültiger Wiederherstellungscode')
+    }
+
+    const remote = await this.pull(code)
+    if (!remote) {
+      throw new Error('Zu diesem Code ist kein Verlauf gespeichert')
+    }
+
+    this.setCode(code)
+    const added = await this.merge(remote)
+    await this.push()
+    return added
+  }
+
+  // Pull, merge and push; returns the number of entries added to this device
+  async sync() {
+    const remote = await this.pull(this.getCode())
+    const added = remote ? await this.merge(remote) : 0
+    await this.push()
+    console.log(`🔐 History synced, ${added} entries added`)
+    return added
+  }
+
+  async pull(code) {
+    const stored = await apiService.getSyncBlob(await deriveSyncId(code))
+    if (!stored) return null
+
+    const payload = await decryptPayload(stored.blob, code)
+    return payload.entries || []
+  }
+
+  async merge(remote) {
+    const missing = findMissingEntries(await historyService.getEntries(), remote)
+    for (const entry of missing) {
+      await historyService.addEntry(entry)
+    }
+    return missing.length
+  }
+
+  // Upload this device's history as it is, e.g. right after a deletion
+  async push() {
+    const code = this.getCode()
+    const entries = await historyService.getEntries()
+    const blob = await encryptPayload({ entries }, code)
+    await apiService.putSyncBlob(await deriveSyncId(code), blob)
+  }
+
+  // Stop syncing and remove the encrypted copy from the server
+  async disable() {
+    const code = this.getCode()
+    if (code) {
+      await apiService.deleteSyncBlob(await deriveSyncId(code))
+    }
+    this.setCode(null)
+    console.log('🔐 History sync disabled')
+  }
+}
+
+export default new SyncService()
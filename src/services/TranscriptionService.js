@@ -1,142 +1,143 @@
 /**
- * TranscriptionService - Voxtral API integration for speech-to-text
+ * TranscriptionService - Speech-to-text through the configured provider (Voxtral, OpenAI-compatible or whisper.cpp)
  * Author: andreas@siglochconsulting.com
  */
 
-const axios = require('axios');
-const FormData = require('form-data');
+const { createTranscriptionProvider } = require('./transcription');
+const VocabularyService = require('./VocabularyService');
+const LanguageService = require('./LanguageService');
+const ConfidenceService = require('./ConfidenceService');
 
 class TranscriptionService {
-  constructor() {
-    this.apiKey = process.env.MISTRAL_API_KEY;
-    this.baseUrl = process.env.MISTRAL_BASE_URL || 'https://api.mistral.ai/v1';
-    this.model = process.env.MISTRAL_TRANSCRIPTION_MODEL || 'voxtral-mini-latest';
-    this.timeout = parseInt(process.env.REQUEST_TIMEOUT) || 30000;
-
-    if (!this.apiKey) {
-      throw new Error('MISTRAL_API_KEY environment variable is required');
-    }
+  constructor(
+    provider = createTranscriptionProvider(),
+    vocabularyService = new VocabularyService(),
+    languageService = new LanguageService(),
+    confidenceService = new ConfidenceService()
+  ) {
+    this.provider = provider;
+    this.vocabularyService = vocabularyService;
+    this.languageService = languageService;
+    this.confidenceService = confidenceService;
+    this.apiKey = provider.apiKey;
+    this.baseUrl = provider.baseUrl;
+    this.model = provider.model;
+    this.timeout = provider.timeout;
   }
 
-  async transcribe(audioBuffer, mimeType) {
+  /**
+   * @param {object} [options.vocabulary] - { name, company, terms } spellings from the member
+   * @param {string|null} [options.language] - Base language chosen by the member ("de", "en");
+   *   null lets the provider detect it, undefined keeps the provider default
+   * @param {string} [options.liveTranscript] - Browser transcript, compared when the
+   *   provider reports no probabilities
+   */
+  async transcribe(audioBuffer, mimeType, { vocabulary = null, language, liveTranscript = '' } = {}) {
     const startTime = Date.now();
     
     try {
-      console.log(`🎙️  Transcribing with ${this.model}: ${audioBuffer.length} bytes, ${mimeType}`);
-
-      // Create form data for multipart upload
-      const formData = new FormData();
-      formData.append('model', this.model);
-      formData.append('file', audioBuffer, {
-        filename: `audio.${this.getFileExtension(mimeType)}`,
-        contentType: mimeType
+      console.log(`🎙️  Transcribing with ${this.provider.name}/${this.model}: ${audioBuffer.length} bytes, ${mimeType}`);
+
+      const data = await this.provider.transcribe(audioBuffer, mimeType, {
+        prompt: this.vocabularyService.buildPrompt(vocabulary),
+        terms: this.vocabularyService.getTerms(vocabulary),
+        language
       });
-      formData.append('language', 'de'); // German language hint
-      formData.append('response_format', 'json');
-
-      const response = await axios.post(
-        `${this.baseUrl}/audio/transcriptions`,
-        formData,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            ...formData.getHeaders()
-          },
-          timeout: this.timeout,
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity
-        }
-      );
 
       const duration = Date.now() - startTime;
-      const transcript = response.data.text || '';
+      const { transcript, corrections } = this.vocabularyService.correct((data.text || '').trim(), vocabulary);
+      const timestamps = this.normalizeTimestamps(data);
+      const detectedLanguage = this.detectLanguage(data, transcript, language);
+      const confidence = this.confidenceService.analyze(transcript, timestamps, liveTranscript);
       
-      console.log(`✅ Transcription successful: ${duration}ms, ${transcript.length} chars`);
+      console.log(`✅ Transcription successful: ${duration}ms, ${transcript.length} chars, ${timestamps.words.length} timed words, ${corrections.length} corrections, language ${detectedLanguage}, confidence ${confidence.confidence} (${confidence.source || 'none'})`);
 
       return {
-        transcript: transcript.trim(),
-        language: response.data.language || 'de',
-        confidence: this.calculateConfidence(transcript),
+        transcript,
+        corrections,
+        language: detectedLanguage,
+        timestamps,
+        confidence: confidence.confidence,
+        confidence_source: confidence.source,
+        low_confidence: confidence.low_confidence,
         processing_time: duration,
-        model_used: this.model
+        model_used: this.model,
+        provider: this.provider.name
       };
 
     } catch (error) {
       const duration = Date.now() - startTime;
       console.error(`❌ Transcription failed after ${duration}ms:`, error.message);
-      
-      if (error.response) {
-        console.error('API Response:', error.response.data);
-        throw new Error(`Mistral API error: ${error.response.data.message || error.response.statusText}`);
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Transcription timeout - audio file may be too large');
-      } else {
-        throw new Error(`Network error: ${error.message}`);
-      }
+      throw error;
     }
   }
 
-  getFileExtension(mimeType) {
-    const extensions = {
-      'audio/webm': 'webm',
-      'audio/wav': 'wav',
-      'audio/mp3': 'mp3',
-      'audio/mpeg': 'mp3',
-      'audio/m4a': 'm4a',
-      'audio/mp4': 'm4a'
-    };
-    return extensions[mimeType] || 'webm';
-  }
+  /**
+   * Normalize segment and word timestamps to { segments, words } in seconds.
+   * Accepts top-level `words` (OpenAI style) or words nested in segments; if
+   * only segments are timed, word times are spread evenly over each segment.
+   * Reported `probability` (words) and `avg_logprob` (segments) are kept.
+   */
+  normalizeTimestamps(data = {}) {
+    const toSeconds = value => Math.round(Number(value) * 100) / 100;
+    const isTimed = entry => entry && Number.isFinite(Number(entry.start)) && Number.isFinite(Number(entry.end));
 
-  calculateConfidence(transcript) {
-    // Simple heuristic for confidence based on transcript characteristics
-    if (!transcript || transcript.length < 10) return 0.3;
-    
-    // Check for typical speech patterns
-    const wordCount = transcript.split(/\s+/).length;
-    const hasProperPunctuation = /[.!?]/.test(transcript);
-    const hasCapitalization = /[A-Z]/.test(transcript);
-    const hasCommonGermanWords = /\b(ich|bin|das|ist|und|mit|der|die|für)\b/i.test(transcript);
-    
-    let confidence = 0.7; // Base confidence
-    
-    if (wordCount > 20) confidence += 0.1;
-    if (hasProperPunctuation) confidence += 0.05;
-    if (hasCapitalization) confidence += 0.05;
-    if (hasCommonGermanWords) confidence += 0.1;
-    
-    return Math.min(confidence, 1.0);
-  }
+    const segments = (Array.isArray(data.segments) ? data.segments : [])
+      .filter(isTimed)
+      .map(segment => ({
+        start: toSeconds(segment.start),
+        end: toSeconds(segment.end),
+        text: (segment.text || '').trim(),
+        ...(Number.isFinite(segment.avg_logprob) && { avg_logprob: segment.avg_logprob })
+      }))
+      .filter(segment => segment.end >= segment.start);
 
-  async testConnection() {
-    try {
-      console.log('🔍 Testing Mistral API connection...');
-      
-      const response = await axios.get(`${this.baseUrl}/models`, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        timeout: 5000
-      });
+    let rawWords = Array.isArray(data.words) ? data.words : [];
+    if (rawWords.length === 0 && Array.isArray(data.segments)) {
+      rawWords = data.segments.flatMap(segment => Array.isArray(segment.words) ? segment.words : []);
+    }
 
-      const voxtralModels = response.data.data.filter(model => 
-        model.id.includes('voxtral')
-      );
+    let words = rawWords
+      .filter(isTimed)
+      .map(word => ({
+        word: String(word.word || word.text || '').trim(),
+        start: toSeconds(word.start),
+        end: toSeconds(word.end),
+        ...(Number.isFinite(word.probability) && { probability: word.probability })
+      }))
+      .filter(word => word.word.length > 0 && word.end >= word.start);
 
-      console.log(`✅ API connection successful. Available Voxtral models: ${voxtralModels.length}`);
-      return {
-        connected: true,
-        available_models: voxtralModels.map(m => m.id),
-        selected_model: this.model
-      };
-      
-    } catch (error) {
-      console.error('❌ API connection test failed:', error.message);
-      return {
-        connected: false,
-        error: error.message
-      };
+    let estimated = false;
+    if (words.length === 0 && segments.length > 0) {
+      estimated = true;
+      words = segments.flatMap(segment => {
+        const segmentWords = segment.text.split(/\s+/).filter(word => word.length > 0);
+        const step = (segment.end - segment.start) / Math.max(segmentWords.length, 1);
+        return segmentWords.map((word, index) => ({
+          word,
+          start: toSeconds(segment.start + index * step),
+          end: toSeconds(segment.start + (index + 1) * step)
+        }));
+      });
     }
+
+    words.sort((a, b) => a.start - b.start);
+
+    return { segments, words, estimated };
+  }
+
+  /**
+   * The member's choice wins; otherwise the provider's detection, then the transcript's own words.
+   */
+  detectLanguage(data, transcript, language) {
+    return this.languageService.normalize(language) ||
+      this.languageService.normalize(data.language) ||
+      this.languageService.detect(transcript) ||
+      LanguageService.DEFAULT_LANGUAGE;
+  }
+
+  async testConnection() {
+    return this.provider.testConnection();
   }
 }
 
@@ -0,0 +1,146 @@
+/**
+ * VocabularyService - Member-provided spellings for names, companies and trade terms
+ * Author: andreas@siglochconsulting.com
+ *
+ * The vocabulary is sent to the transcription provider as a hint and used
+ * afterwards to fuzzy-match near-misses ("Sieglok Konsulting") back to the
+ * given spelling ("Sigloch Consulting").
+ */
+
+const { toKey, tokenize } = require('./wordAlignment');
+
+const MAX_TERMS = 20;
+const MAX_TERM_LENGTH = 60;
+
+// Hyphens split words so terms are found inside compounds ("Fotovoltaik-Anlagen")
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+class VocabularyService {
+  /**
+   * Validate client input into { name, company, terms } or null when empty.
+   */
+  normalize(input) {
+    if (!input || typeof input !== 'object') return null;
+
+    const clean = value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_TERM_LENGTH) : '');
+    const rawTerms = Array.isArray(input.terms) ? input.terms : String(input.terms || '').split(',');
+    const terms = [...new Set(rawTerms.map(clean).filter(term => term.length > 1))].slice(0, MAX_TERMS);
+
+    const vocabulary = { name: clean(input.name), company: clean(input.company), terms };
+    return vocabulary.name || vocabulary.company || terms.length > 0 ? vocabulary : null;
+  }
+
+  /**
+   * All spellings, longest first so multi-word names win over their parts.
+   */
+  getTerms(vocabulary) {
+    if (!vocabulary) return [];
+    return [vocabulary.name, vocabulary.company, ...vocabulary.terms]
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Free-text hint for providers that accept a prompt (Whisper, whisper.cpp).
+   */
+  buildPrompt(vocabulary) {
+    if (!vocabulary) return '';
+    const parts = [];
+    if (vocabulary.name) parts.push(`Sprecher: ${vocabulary.name}.`);
+    if (vocabulary.company) parts.push(`Unternehmen: ${vocabulary.company}.`);
+    if (vocabulary.terms.length > 0) parts.push(`Fachbegriffe: ${vocabulary.terms.join(', ')}.`);
+    return parts.join(' ');
+  }
+
+  /**
+   * Replace near-misses of the vocabulary in the transcript.
+   * @returns {{transcript: string, corrections: Array<{from, to}>}}
+   */
+  correct(transcript, vocabulary) {
+    const terms = this.getTerms(vocabulary);
+    if (!transcript || terms.length === 0) {
+      return { transcript: transcript || '', corrections: [] };
+    }
+
+    const tokens = tokenize(transcript, TOKEN_PATTERN);
+    const corrections = [];
+    const claimed = new Array(tokens.length).fill(false);
+
+    for (const term of terms) {
+      const termKey = toKey(term);
+      const termWords = term.split(/\s+/).length;
+      const maxDistance = this.getMaxDistance(termKey);
+
+      for (let index = 0; index < tokens.length; index++) {
+        let best = null;
+
+        // Allow one word more or less: "Sig Loch" for "Sigloch", "Kiwerk" for "KI Werk"
+        for (let width = Math.max(termWords - 1, 1); width <= termWords + 1; width++) {
+          const last = index + width - 1;
+          if (last >= tokens.length || claimed.slice(index, last + 1).some(Boolean)) continue;
+
+          const candidate = transcript.slice(tokens[index].start, tokens[last].end);
+          // Names are capitalized; a lowercase "bauen" is no misheard "Bauer"
+          if (this.isCapitalized(term) && !this.isCapitalized(candidate)) continue;
+          const distance = this.levenshtein(toKey(candidate), termKey);
+          if (distance <= maxDistance && (!best || distance < best.distance)) {
+            best = { candidate, distance, last };
+          }
+        }
+
+        if (best && best.candidate !== term) {
+          corrections.push({ from: best.candidate, to: term, start: tokens[index].start, end: tokens[best.last].end });
+        }
+        if (best) {
+          claimed.fill(true, index, best.last + 1);
+          index = best.last;
+        }
+      }
+    }
+
+    let corrected = transcript;
+    [...corrections]
+      .sort((a, b) => b.start - a.start)
+      .forEach(correction => {
+        corrected = corrected.slice(0, correction.start) + correction.to + corrected.slice(correction.end);
+      });
+
+    return {
+      transcript: corrected,
+      corrections: corrections
+        .sort((a, b) => a.start - b.start)
+        .map(({ from, to }) => ({ from, to }))
+    };
+  }
+
+  isCapitalized(text) {
+    return text[0] !== text[0].toLowerCase();
+  }
+
+  // Short terms must match exactly, longer ones tolerate one edit per 4 letters
+  getMaxDistance(termKey) {
+    if (termKey.length <= 3) return 0;
+    return Math.min(Math.floor(termKey.length / 4), 3);
+  }
+
+  levenshtein(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+}
+
+module.exports = VocabularyService;
@@ -0,0 +1,56 @@
+/**
+ * LocalLLMProvider - Ollama-style local chat server for on-premise evaluation
+ * Author: andreas@siglochconsulting.com
+ *
+ * Talks to the native /api/chat endpoint. No audio or transcript leaves the
+ * machine, which is what members who refuse cloud processing need.
+ */
+
+const axios = require('axios');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+
+class LocalLLMProvider extends OpenAICompatibleProvider {
+  constructor(config = {}) {
+    super({
+      name: 'local',
+      label: 'Local LLM',
+      baseUrl: config.baseUrl || 'http://localhost:11434',
+      model: config.model || 'llama3.1',
+      timeout: config.timeout || 120000
+    });
+  }
+
+  async complete({ system, prompt, maxTokens = 2000, temperature = 0.3, json = false }) {
+    const messages = [];
+    if (system) {
+      messages.push({ role: 'system', content: system });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    const body = {
+      model: this.model,
+      messages,
+      stream: false,
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    };
+    if (json) {
+      body.format = 'json';
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/chat`, body, {
+        headers: this.getHeaders(),
+        timeout: this.timeout
+      });
+
+      return response.data.message.content;
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+}
+
+module.exports = LocalLLMProvider;
@@ -0,0 +1,25 @@
+/**
+ * MistralProvider - Mistral AI chat completions (La Plateforme)
+ * Author: andreas@siglochconsulting.com
+ */
+
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+
+class MistralProvider extends OpenAICompatibleProvider {
+  constructor(env = process.env) {
+    if (!env.MISTRAL_API_KEY) {
+      throw new Error('MISTRAL_API_KEY environment variable is required');
+    }
+
+    super({
+      name: 'mistral',
+      label: 'Mistral',
+      apiKey: env.MISTRAL_API_KEY,
+      baseUrl: env.MISTRAL_BASE_URL || 'https://api.mistral.ai/v1',
+      model: env.MISTRAL_EVALUATION_MODEL || 'mistral-small-latest',
+      timeout: parseInt(env.REQUEST_TIMEOUT) || 30000
+    });
+  }
+}
+
+module.exports = MistralProvider;
@@ -0,0 +1,104 @@
+/**
+ * OpenAICompatibleProvider - Chat completions against any OpenAI-compatible endpoint
+ * Author: andreas@siglochconsulting.com
+ *
+ * Also covers llama.cpp's built-in server, vLLM, LM Studio and similar
+ * servers that expose /v1/chat/completions.
+ */
+
+const axios = require('axios');
+
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.label = config.label || 'LLM';
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || 'http://localhost:8080/v1').replace(/\/$/, '');
+    this.model = config.model;
+    this.timeout = config.timeout || 30000;
+    this.supportsJsonMode = config.supportsJsonMode !== false;
+
+    if (!this.model) {
+      throw new Error(`${this.label} provider requires a model name`);
+    }
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Run a single system + user prompt and return the raw message content.
+   */
+  async complete({ system, prompt, maxTokens = 2000, temperature = 0.3, json = false }) {
+    const messages = [];
+    if (system) {
+      messages.push({ role: 'system', content: system });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    const body = {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (json && this.supportsJsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+        headers: this.getHeaders(),
+        timeout: this.timeout
+      });
+
+      return response.data.choices[0].message.content;
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  normalizeError(error) {
+    if (error.response) {
+      console.error('API Response:', error.response.data);
+      const data = error.response.data || {};
+      const message = data.message || (data.error && data.error.message) || error.response.statusText;
+      return new Error(`${this.label} API error: ${message}`);
+    }
+    if (error.code === 'ECONNABORTED') {
+      return new Error('Evaluation timeout - please try again');
+    }
+    return new Error(`Network error: ${error.message}`);
+  }
+
+  async testConnection() {
+    try {
+      console.log(`🔍 Testing ${this.label} Chat API connection...`);
+
+      const content = await this.complete({ prompt: 'Test', maxTokens: 5 });
+
+      console.log(`✅ Chat API connection successful with ${this.model}`);
+      return {
+        connected: true,
+        provider: this.name,
+        model: this.model,
+        test_response: content
+      };
+
+    } catch (error) {
+      console.error('❌ Chat API connection test failed:', error.message);
+      return {
+        connected: false,
+        provider: this.name,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,51 @@
+/**
+ * LLM provider factory - selects the chat backend from environment config
+ * Author: andreas@siglochconsulting.com
+ *
+ * LLM_PROVIDER=mistral (default) | openai | local
+ */
+
+const MistralProvider = require('./MistralProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const LocalLLMProvider = require('./LocalLLMProvider');
+
+const PROVIDERS = ['mistral', 'openai', 'local'];
+
+function createLLMProvider(env = process.env) {
+  const providerName = (env.LLM_PROVIDER || 'mistral').toLowerCase();
+
+  switch (providerName) {
+    case 'mistral':
+      return new MistralProvider(env);
+
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        name: 'openai',
+        label: 'OpenAI-compatible',
+        apiKey: env.LLM_API_KEY,
+        baseUrl: env.LLM_BASE_URL,
+        model: env.LLM_MODEL,
+        timeout: parseInt(env.LLM_TIMEOUT || env.REQUEST_TIMEOUT) || undefined,
+        supportsJsonMode: env.LLM_JSON_MODE !== 'false'
+      });
+
+    case 'local':
+      return new LocalLLMProvider({
+        baseUrl: env.LLM_BASE_URL,
+        model: env.LLM_MODEL,
+        // Local models are slow; REQUEST_TIMEOUT is sized for hosted APIs
+        timeout: parseInt(env.LLM_TIMEOUT) || undefined
+      });
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  createLLMProvider,
+  PROVIDERS,
+  MistralProvider,
+  OpenAICompatibleProvider,
+  LocalLLMProvider
+};
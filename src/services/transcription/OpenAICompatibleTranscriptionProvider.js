@@ -0,0 +1,163 @@
+/**
+ * OpenAICompatibleTranscriptionProvider - Speech-to-text against any OpenAI-compatible endpoint
+ * Author: andreas@siglochconsulting.com
+ *
+ * Covers OpenAI Whisper, faster-whisper-server, speaches and similar servers
+ * that expose /v1/audio/transcriptions with multipart uploads.
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+
+const FILE_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mp3': 'mp3',
+  'audio/mpeg': 'mp3',
+  'audio/m4a': 'm4a',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a'
+};
+
+class OpenAICompatibleTranscriptionProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.label = config.label || 'Transcription';
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || 'http://localhost:8000/v1').replace(/\/$/, '');
+    this.model = config.model;
+    this.timeout = config.timeout || 30000;
+    this.language = config.language === undefined ? 'de' : config.language;
+    this.timestampGranularities = config.timestampGranularities || [];
+    // Voxtral rejects a language hint together with timestamps: a language the
+    // member chose wins over timestamps, the provider default yields to them
+    this.languageWithTimestamps = config.languageWithTimestamps !== false;
+
+    if (!this.model) {
+      throw new Error(`${this.label} provider requires a model name`);
+    }
+  }
+
+  // Whether a language the member picks costs the timestamps the pacing analysis needs
+  dropsTimestampsForLanguage() {
+    return this.timestampGranularities.length > 0 && !this.languageWithTimestamps;
+  }
+
+  getEndpoint() {
+    return `${this.baseUrl}/audio/transcriptions`;
+  }
+
+  getHeaders(formData) {
+    const headers = { ...formData.getHeaders() };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  getFileExtension(mimeType) {
+    return FILE_EXTENSIONS[mimeType] || 'webm';
+  }
+
+  /**
+   * @param {object} [hints] - { prompt, terms } from the member's vocabulary and the
+   *   member's `language` (null = let the provider detect it)
+   */
+  buildForm(audioBuffer, mimeType, { prompt, language: chosenLanguage } = {}) {
+    const language = chosenLanguage === undefined ? this.language : chosenLanguage;
+    const granularities = chosenLanguage && this.dropsTimestampsForLanguage() ? [] : this.timestampGranularities;
+
+    const formData = new FormData();
+    formData.append('model', this.model);
+    formData.append('file', audioBuffer, {
+      filename: `audio.${this.getFileExtension(mimeType)}`,
+      contentType: mimeType
+    });
+
+    const withTimestamps = granularities.length > 0;
+    if (language && (!withTimestamps || this.languageWithTimestamps)) {
+      formData.append('language', language);
+    }
+
+    if (withTimestamps) {
+      formData.append('response_format', 'verbose_json');
+      granularities.forEach(granularity => {
+        formData.append('timestamp_granularities[]', granularity);
+      });
+    } else {
+      formData.append('response_format', 'json');
+    }
+
+    if (prompt) {
+      formData.append('prompt', prompt);
+    }
+
+    return formData;
+  }
+
+  /**
+   * Upload the audio and return the raw response ({ text, language, segments, words }).
+   */
+  async transcribe(audioBuffer, mimeType, hints = {}) {
+    const formData = this.buildForm(audioBuffer, mimeType, hints);
+
+    try {
+      const response = await axios.post(this.getEndpoint(), formData, {
+        headers: this.getHeaders(formData),
+        timeout: this.timeout,
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      });
+
+      return response.data;
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  normalizeError(error) {
+    if (error.response) {
+      console.error('API Response:', error.response.data);
+      const data = error.response.data || {};
+      const message = data.message || (data.error && data.error.message) || error.response.statusText;
+      return new Error(`${this.label} API error: ${message}`);
+    }
+    if (error.code === 'ECONNABORTED') {
+      return new Error('Transcription timeout - audio file may be too large');
+    }
+    return new Error(`Network error: ${error.message}`);
+  }
+
+  async testConnection() {
+    try {
+      console.log(`🔍 Testing ${this.label} API connection...`);
+
+      const response = await axios.get(`${this.baseUrl}/models`, {
+        headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+        timeout: 5000
+      });
+
+      const models = (response.data.data || []).map(model => model.id);
+
+      console.log(`✅ API connection successful. Available models: ${models.length}`);
+      return {
+        connected: true,
+        provider: this.name,
+        available_models: models,
+        selected_model: this.model
+      };
+
+    } catch (error) {
+      console.error('❌ API connection test failed:', error.message);
+      return {
+        connected: false,
+        provider: this.name,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = OpenAICompatibleTranscriptionProvider;
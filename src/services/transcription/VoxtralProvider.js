@@ -0,0 +1,44 @@
+/**
+ * VoxtralProvider - Mistral Voxtral speech-to-text (La Plateforme)
+ * Author: andreas@siglochconsulting.com
+ */
+
+const OpenAICompatibleTranscriptionProvider = require('./OpenAICompatibleTranscriptionProvider');
+
+class VoxtralProvider extends OpenAICompatibleTranscriptionProvider {
+  constructor(env = process.env, { timestampGranularities = [] } = {}) {
+    if (!env.MISTRAL_API_KEY) {
+      throw new Error('MISTRAL_API_KEY environment variable is required');
+    }
+
+    super({
+      name: 'voxtral',
+      label: 'Mistral',
+      apiKey: env.MISTRAL_API_KEY,
+      baseUrl: env.MISTRAL_BASE_URL || 'https://api.mistral.ai/v1',
+      model: env.MISTRAL_TRANSCRIPTION_MODEL || 'voxtral-mini-latest',
+      timeout: parseInt(env.REQUEST_TIMEOUT) || 30000,
+      timestampGranularities,
+      languageWithTimestamps: false
+    });
+  }
+
+  // Voxtral biases recognition towards a list of words instead of a free-text prompt
+  buildForm(audioBuffer, mimeType, { terms = [], language } = {}) {
+    const formData = super.buildForm(audioBuffer, mimeType, { language });
+    terms.forEach(term => {
+      formData.append('context_bias', term);
+    });
+    return formData;
+  }
+
+  async testConnection() {
+    const result = await super.testConnection();
+    if (result.connected) {
+      result.available_models = result.available_models.filter(model => model.includes('voxtral'));
+    }
+    return result;
+  }
+}
+
+module.exports = VoxtralProvider;
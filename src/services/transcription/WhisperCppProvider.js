@@ -0,0 +1,71 @@
+/**
+ * WhisperCppProvider - Local whisper.cpp server for offline transcription
+ * Author: andreas@siglochconsulting.com
+ *
+ * Talks to the /inference endpoint of whisper.cpp's `whisper-server`. The
+ * model is chosen when the server starts, so no model name is sent. Start the
+ * server with --convert to accept WebM/Opus from the browser (needs ffmpeg).
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+const OpenAICompatibleTranscriptionProvider = require('./OpenAICompatibleTranscriptionProvider');
+
+class WhisperCppProvider extends OpenAICompatibleTranscriptionProvider {
+  constructor(config = {}) {
+    super({
+      name: 'whisper_cpp',
+      label: 'whisper.cpp',
+      baseUrl: config.baseUrl || 'http://localhost:8080',
+      model: config.model || 'whisper.cpp',
+      timeout: config.timeout || 120000,
+      language: config.language
+    });
+  }
+
+  getEndpoint() {
+    return `${this.baseUrl}/inference`;
+  }
+
+  // whisper.cpp always returns segment timestamps with verbose_json
+  buildForm(audioBuffer, mimeType, { prompt, language = this.language } = {}) {
+    const formData = new FormData();
+    formData.append('file', audioBuffer, {
+      filename: `audio.${this.getFileExtension(mimeType)}`,
+      contentType: mimeType
+    });
+    formData.append('response_format', 'verbose_json');
+    formData.append('temperature', '0');
+    // whisper-server falls back to English without a language, "auto" detects it
+    formData.append('language', language || 'auto');
+    if (prompt) {
+      formData.append('prompt', prompt);
+    }
+    return formData;
+  }
+
+  async testConnection() {
+    try {
+      console.log(`🔍 Testing ${this.label} server at ${this.baseUrl}...`);
+
+      await axios.get(`${this.baseUrl}/`, { timeout: 5000 });
+
+      console.log('✅ whisper.cpp server reachable');
+      return {
+        connected: true,
+        provider: this.name,
+        selected_model: this.model
+      };
+
+    } catch (error) {
+      console.error('❌ whisper.cpp server not reachable:', error.message);
+      return {
+        connected: false,
+        provider: this.name,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = WhisperCppProvider;
@@ -0,0 +1,57 @@
+/**
+ * Transcription provider factory - selects the speech-to-text backend from environment config
+ * Author: andreas@siglochconsulting.com
+ *
+ * TRANSCRIPTION_PROVIDER=voxtral (default) | openai | whisper_cpp
+ */
+
+const VoxtralProvider = require('./VoxtralProvider');
+const OpenAICompatibleTranscriptionProvider = require('./OpenAICompatibleTranscriptionProvider');
+const WhisperCppProvider = require('./WhisperCppProvider');
+
+const PROVIDERS = ['voxtral', 'openai', 'whisper_cpp'];
+
+function parseGranularities(value = 'segment,word') {
+  return value
+    .split(',')
+    .map(granularity => granularity.trim())
+    .filter(granularity => ['segment', 'word'].includes(granularity));
+}
+
+function createTranscriptionProvider(env = process.env) {
+  const providerName = (env.TRANSCRIPTION_PROVIDER || 'voxtral').toLowerCase();
+  const timestampGranularities = parseGranularities(env.TRANSCRIPTION_TIMESTAMPS);
+
+  switch (providerName) {
+    case 'voxtral':
+      return new VoxtralProvider(env, { timestampGranularities });
+
+    case 'openai':
+      return new OpenAICompatibleTranscriptionProvider({
+        name: 'openai',
+        label: 'OpenAI-compatible',
+        apiKey: env.TRANSCRIPTION_API_KEY,
+        baseUrl: env.TRANSCRIPTION_BASE_URL,
+        model: env.TRANSCRIPTION_MODEL || 'whisper-1',
+        timeout: parseInt(env.TRANSCRIPTION_TIMEOUT) || parseInt(env.REQUEST_TIMEOUT) || undefined,
+        timestampGranularities
+      });
+
+    case 'whisper_cpp':
+      return new WhisperCppProvider({
+        baseUrl: env.TRANSCRIPTION_BASE_URL,
+        timeout: parseInt(env.TRANSCRIPTION_TIMEOUT) || undefined
+      });
+
+    default:
+      throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${providerName}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  createTranscriptionProvider,
+  PROVIDERS,
+  VoxtralProvider,
+  OpenAICompatibleTranscriptionProvider,
+  WhisperCppProvider
+};
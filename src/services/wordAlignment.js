@@ -0,0 +1,67 @@
+/**
+ * wordAlignment - Word tokens and longest-common-subsequence alignment
+ * Author: andreas@siglochconsulting.com
+ *
+ * Shared by the confidence analysis (transcript vs. provider words or live
+ * transcript), the script comparison (script vs. delivery) and the
+ * vocabulary correction. Words are compared by key: lower case without
+ * punctuation, so "Müller," and "müller" match.
+ */
+
+// Keeps e-mail addresses, "z.B." and hyphenated compounds together as one word
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’.@-][\p{L}\p{N}]+)*/gu;
+
+function toKey(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * @returns {Array<{key, start, end}>} words with their character span in text
+ */
+function tokenize(text, pattern = TOKEN_PATTERN) {
+  return [...String(text || '').matchAll(pattern)].map(match => ({
+    key: toKey(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Longest common subsequence of word keys. Runs in O(n·m) time and memory,
+ * so callers must bound the input length.
+ * @param {Array<{key}>} left
+ * @param {Array<{key}>} right
+ * @returns {number[]} for each left word the index of its right match, or -1
+ */
+function alignWords(left, right) {
+  const rows = left.length;
+  const cols = right.length;
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint16Array(cols + 1));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = left[i].key === right[j].key
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const matches = new Array(rows).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (left[i].key === right[j].key) {
+      matches[i] = j;
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+module.exports = { TOKEN_PATTERN, toKey, tokenize, alignWords };
@@ -0,0 +1,80 @@
+/**
+ * audioFile - Validate uploaded audio files and read their duration
+ * Author: andreas@siglochconsulting.com
+ *
+ * The accepted formats come from /api/audio-formats, so the check matches
+ * the server's upload filter. Files with an unknown or empty MIME type are
+ * accepted by extension and relabelled with the server's type.
+ */
+
+const getExtension = (name) => {
+  const match = /\.([a-z0-9]+)$/i.exec(name || '')
+  return match ? match[1].toLowerCase() : ''
+}
+
+/**
+ * @returns {{ file?: File, error?: string }} The file to upload, or a German error message
+ */
+export function validateAudioFile(file, catalogue) {
+  if (!file) {
+    return { error: 'Keine Datei ausgewählt.' }
+  }
+
+  const formats = catalogue.formats || []
+  const allowed = formats.map((format) => format.label).join(', ')
+  const byType = formats.find((format) => format.mime_types.includes(file.type))
+  const byExtension = formats.find((format) => format.extensions.includes(getExtension(file.name)))
+  const format = byType || byExtension
+
+  if (!format) {
+    return { error: `Dateiformat nicht unterstützt. Erlaubt sind: ${allowed}.` }
+  }
+
+  if (catalogue.max_file_size && file.size > catalogue.max_file_size) {
+    const maxMb = Math.round(catalogue.max_file_size / (1024 * 1024))
+    return { error: `Die Datei ist zu groß (maximal ${maxMb} MB).` }
+  }
+
+  if (file.size === 0) {
+    return { error: 'Die Datei ist leer.' }
+  }
+
+  if (byType) {
+    return { file }
+  }
+
+  return { file: new File([file], file.name, { type: format.mime_types[0] }) }
+}
+
+/**
+ * Duration in seconds from the file's metadata, decoding the audio when the
+ * container does not state it (e.g. WebM from MediaRecorder).
+ */
+export async function getAudioDuration(file) {
+  const url = URL.createObjectURL(file)
+
+  try {
+    const duration = await new Promise((resolve, reject) => {
+      const audio = new Audio()
+      audio.preload = 'metadata'
+      audio.onloadedmetadata = () => resolve(audio.duration)
+      audio.onerror = () => reject(new Error('Audiodatei kann nicht gelesen werden'))
+      audio.src = url
+    })
+
+    if (Number.isFinite(duration) && duration > 0) {
+      return duration
+    }
+
+    const AudioContext = window.AudioContext || window.webkitAudioContext
+    const audioContext = new AudioContext()
+    try {
+      const buffer = await audioContext.decodeAudioData(await file.arrayBuffer())
+      return buffer.duration
+    } finally {
+      audioContext.close()
+    }
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
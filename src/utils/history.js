@@ -0,0 +1,100 @@
+/**
+ * history - Practice history entries and trends, kept in the browser only
+ * Author: andreas@siglochconsulting.com
+ *
+ * An entry is a compact copy of one evaluation. Trends are read from the
+ * entries per metric: the overall score, a category or a single KPI.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Category score as shown in the results: the rounded mean of its KPIs
+export function calculateCategoryScores(kpis = {}) {
+  return Object.fromEntries(Object.entries(kpis)
+    .map(([category, scores]) => [category, Object.values(scores)])
+    .filter(([, scores]) => scores.length > 0)
+    .map(([category, scores]) => [
+      category,
+      Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+    ]))
+}
+
+/**
+ * @param {Object} result - Evaluation result from /api/evaluate
+ * @param {Object} options - format (catalogue entry), transcript, saveTranscript and createdAt
+ */
+export function buildHistoryEntry(result, { format, transcript, saveTranscript = false, createdAt = new Date() }) {
+  return {
+    created_at: createdAt.toISOString(),
+    format: format.key,
+    duration: format.duration,
+    input_type: result.input_type || 'recording',
+    evaluation_mode: result.evaluation_mode || 'ai',
+    overall_score: result.overall_score,
+    categories: calculateCategoryScores(result.kpis),
+    kpis: result.kpis || {},
+    proposals: (result.proposals || []).map(({ type, title, priority }) => ({ type, title, priority })),
+    word_count: result.word_count ?? null,
+    transcript: saveTranscript ? transcript : null
+  }
+}
+
+// Entries get a new local id on every device, so they are matched by content
+export function entryKey(entry) {
+  return `${entry.created_at}|${entry.format}|${entry.overall_score}`
+}
+
+// Remote entries this device does not have yet, without their foreign ids
+export function findMissingEntries(local, remote) {
+  const known = new Set(local.map(entryKey))
+  return remote
+    .filter((entry) => !known.has(entryKey(entry)))
+    .map(({ id, ...entry }) => entry)
+}
+
+export function filterHistory(entries, { format } = {}) {
+  return entries.filter((entry) => !format || entry.format === format)
+}
+
+/**
+ * @param {Object} metric - { type: 'overall' | 'category' | 'kpi', key }
+ * @returns {Array<{created_at, value}>} oldest first, entries without the metric are skipped
+ */
+export function buildTrend(entries, metric) {
+  const read = (entry) => {
+    if (metric.type === 'overall') return entry.overall_score
+    if (metric.type === 'category') return entry.categories?.[metric.key]
+    return Object.values(entry.kpis || {}).find((scores) => metric.key in scores)?.[metric.key]
+  }
+
+  return entries
+    .map((entry) => ({ created_at: entry.created_at, value: read(entry) }))
+    .filter((point) => typeof point.value === 'number')
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+}
+
+/**
+ * Average of the last seven days against the seven days before
+ * @returns {{thisWeek, lastWeek, change}} averages are null without evaluations in the window
+ */
+export function compareWeeks(points, now = new Date()) {
+  const average = (from, to) => {
+    const values = points
+      .filter((point) => {
+        const time = new Date(point.created_at).getTime()
+        return time > from && time <= to
+      })
+      .map((point) => point.value)
+    return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null
+  }
+
+  const end = now.getTime()
+  const thisWeek = average(end - 7 * DAY_MS, end)
+  const lastWeek = average(end - 14 * DAY_MS, end - 7 * DAY_MS)
+
+  return {
+    thisWeek,
+    lastWeek,
+    change: thisWeek !== null && lastWeek !== null ? thisWeek - lastWeek : null
+  }
+}
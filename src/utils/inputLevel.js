@@ -0,0 +1,48 @@
+/**
+ * inputLevel - Microphone level from AnalyserNode samples
+ * Author: andreas@siglochconsulting.com
+ *
+ * Samples are the float time-domain data of an AnalyserNode (-1..1). A
+ * window of recent levels decides whether the input clips or is so quiet
+ * that the transcription will struggle.
+ */
+
+// Peaks this close to full scale are distorted
+export const CLIPPING_PEAK = 0.99
+// Speaking voice on a working microphone is well above this (about -45 dBFS)
+export const SILENCE_RMS = 0.005
+// More than this share of clipped measurements is reported, single peaks are not
+const CLIPPING_SHARE = 0.05
+
+export function measureLevel(samples) {
+  let sum = 0
+  let peak = 0
+  for (const sample of samples) {
+    sum += sample * sample
+    peak = Math.max(peak, Math.abs(sample))
+  }
+  const rms = samples.length > 0 ? Math.sqrt(sum / samples.length) : 0
+
+  return {
+    rms,
+    peak,
+    // 0..1 for the meter, -60 dBFS and below shown as empty
+    meter: rms > 0 ? Math.min(Math.max((20 * Math.log10(rms) + 60) / 60, 0), 1) : 0
+  }
+}
+
+/**
+ * @param {Array<{rms: number, peak: number}>} levels - Recent measurements, oldest first
+ * @returns {'clipping'|'too_quiet'|'ok'|null} null until enough measurements exist
+ */
+export function assessLevels(levels, minMeasurements = 10) {
+  if (levels.length < minMeasurements) return null
+
+  const clipped = levels.filter((level) => level.peak >= CLIPPING_PEAK).length
+  if (clipped / levels.length > CLIPPING_SHARE) return 'clipping'
+
+  const loudest = Math.max(...levels.map((level) => level.rms))
+  if (loudest < SILENCE_RMS) return 'too_quiet'
+
+  return 'ok'
+}
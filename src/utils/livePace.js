@@ -0,0 +1,42 @@
+/**
+ * livePace - Words spoken, speaking rate and projected word count while recording
+ * Author: andreas@siglochconsulting.com
+ *
+ * Based on the live Web Speech transcript, so counts lag a little behind the
+ * speaker. The projection assumes the current rate holds until the timer ends.
+ */
+
+import { tokenize } from './words'
+
+// Too few seconds make the rate jump around wildly
+export const MIN_PROJECTION_SECONDS = 5
+
+/**
+ * @param {string} transcript - Live transcript so far
+ * @param {number} elapsedSeconds - Seconds since the recording started
+ * @param {number} duration - Selected pitch duration in seconds
+ * @param {{min: number, max: number}} wordRange - Target words of the format
+ * @returns {{words, wordsPerMinute, projectedWords, status, targetWpm}} status is
+ *   'under', 'on_target' or 'over' for the projection, null while it is too early
+ */
+export function getLivePace(transcript, elapsedSeconds, duration, wordRange) {
+  const words = tokenize(transcript).length
+  const targetWpm = {
+    min: Math.round((wordRange.min / duration) * 60),
+    max: Math.round((wordRange.max / duration) * 60)
+  }
+
+  if (elapsedSeconds < MIN_PROJECTION_SECONDS) {
+    return { words, wordsPerMinute: null, projectedWords: null, status: null, targetWpm }
+  }
+
+  const projectedWords = Math.round((words / elapsedSeconds) * duration)
+
+  return {
+    words,
+    wordsPerMinute: Math.round((words / elapsedSeconds) * 60),
+    projectedWords,
+    status: projectedWords < wordRange.min ? 'under' : projectedWords > wordRange.max ? 'over' : 'on_target',
+    targetWpm
+  }
+}
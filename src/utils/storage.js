@@ -0,0 +1,52 @@
+/**
+ * storage - Member settings kept in the browser's localStorage
+ * Author: andreas@siglochconsulting.com
+ *
+ * localStorage throws in private modes and when it is full or blocked. A
+ * setting that cannot be read falls back to its default and one that cannot
+ * be saved only lasts until the next visit, so neither stops the trainer.
+ */
+
+/**
+ * @returns {string|null} stored value, null when it is missing or storage is unavailable
+ */
+export function loadSetting(key) {
+  try {
+    return localStorage.getItem(key)
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * @returns {*} parsed value, null when it is missing, unreadable or not valid JSON
+ */
+export function loadJsonSetting(key) {
+  try {
+    return JSON.parse(loadSetting(key))
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * @param {string|null} value - null or undefined removes the setting
+ * @returns {boolean} whether the setting was saved
+ */
+export function saveSetting(key, value) {
+  try {
+    if (value === null || value === undefined) {
+      localStorage.removeItem(key)
+    } else {
+      localStorage.setItem(key, String(value))
+    }
+    return true
+  } catch (error) {
+    console.warn(`Setting ${key} could not be saved:`, error.message)
+    return false
+  }
+}
+
+export function saveJsonSetting(key, value) {
+  return saveSetting(key, JSON.stringify(value))
+}
@@ -0,0 +1,94 @@
+/**
+ * syncCrypto - Recovery codes and end-to-end encryption for the history sync
+ * Author: andreas@siglochconsulting.com
+ *
+ * The recovery code never leaves the browser. The server gets a SHA-256 hash
+ * of it as storage id and an AES-GCM blob whose key is derived from the code
+ * with PBKDF2, so neither can be turned back into the other.
+ */
+
+// Crockford base32: no I, L, O or U, so codes survive being read aloud or typed
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+const CODE_LENGTH = 20 // 100 bits
+const GROUP_SIZE = 4
+const ID_PREFIX = 'pitchtrainer-sync-id:'
+const KEY_SALT = 'pitchtrainer-sync-key'
+const KEY_ITERATIONS = 100000
+const BLOB_VERSION = 'v1'
+
+const encoder = new TextEncoder()
+
+export function generateRecoveryCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH))
+  const characters = Array.from(bytes, (byte) => ALPHABET[byte & 31]).join('')
+  return characters.match(new RegExp(`.{${GROUP_SIZE}}`, 'g')).join('-')
+}
+
+/**
+ * @returns {string|null} code in canonical XXXX-XXXX-... form, null if it is not a valid code
+ */
+export function normalizeRecoveryCode(input) {
+  const characters = String(input || '')
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1')
+
+  if (characters.length !== CODE_LENGTH || [...characters].some((character) => !ALPHABET.includes(character))) {
+    return null
+  }
+  return characters.match(new RegExp(`.{${GROUP_SIZE}}`, 'g')).join('-')
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('')
+
+// Spreading a whole ciphertext into fromCharCode overflows the call stack above ~120 KB
+const BASE64_CHUNK = 0x8000
+
+const toBase64 = (bytes) => {
+  let binary = ''
+  for (let offset = 0; offset < bytes.length; offset += BASE64_CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + BASE64_CHUNK))
+  }
+  return btoa(binary)
+}
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (character) => character.charCodeAt(0))
+
+export async function deriveSyncId(code) {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(ID_PREFIX + code)))
+}
+
+async function deriveKey(code) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(code), 'PBKDF2', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: encoder.encode(KEY_SALT), iterations: KEY_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+// "v1.<base64 iv>.<base64 ciphertext>"
+export async function encryptPayload(payload, code) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const key = await deriveKey(code)
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(payload)))
+  return [BLOB_VERSION, toBase64(iv), toBase64(new Uint8Array(ciphertext))].join('.')
+}
+
+export async function decryptPayload(blob, code) {
+  const [version, iv, ciphertext] = String(blob).split('.')
+  if (version !== BLOB_VERSION || !iv || !ciphertext) {
+    throw new Error('Unknown sync blob format')
+  }
+
+  const key = await deriveKey(code)
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(ciphertext))
+    return JSON.parse(new TextDecoder().decode(plaintext))
+  } catch (error) {
+    throw new Error('Sync blob could not be decrypted with this recovery code')
+  }
+}
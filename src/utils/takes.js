@@ -0,0 +1,69 @@
+/**
+ * takes - Several evaluated takes of the same pitch within one session
+ * Author: andreas@siglochconsulting.com
+ *
+ * Deltas are against the first take of the session, so the member sees what
+ * changed since they started rather than only the last step.
+ */
+
+export function createTake(number, { result, transcript, transcription }) {
+  return {
+    number,
+    result,
+    transcript,
+    transcription: transcription || null,
+    input_type: result.input_type || transcription?.input_type || 'recording'
+  }
+}
+
+// Scripts are scored without any delivery, so they are only compared with other scripts
+const takeMode = (take) => (take.input_type === 'script' ? 'script' : 'spoken')
+
+// The takes of the same mode (script or spoken) as the take with this number
+export function findComparableTakes(takes, number) {
+  const take = takes.find((candidate) => candidate.number === number)
+  return take ? takes.filter((candidate) => takeMode(candidate) === takeMode(take)) : []
+}
+
+// Highest overall score; on a tie the later take wins, it is the more practised one
+export function findBestTake(takes) {
+  return takes.reduce((best, take) =>
+    (!best || take.result.overall_score >= best.result.overall_score ? take : best), null)
+}
+
+/**
+ * @param {Array} takes - Takes in recording order
+ * @returns {Array<{key, category, scores, deltas}>} overall score first, then one
+ *   row per KPI. scores and deltas are aligned with takes, the first take and
+ *   missing scores have a delta of null. Deltas are rounded to one decimal.
+ */
+export function compareTakes(takes) {
+  if (takes.length === 0) return []
+
+  const buildRow = (key, category, read) => {
+    const scores = takes.map((take) => read(take.result) ?? null)
+    const base = scores[0]
+    return {
+      key,
+      category,
+      scores,
+      deltas: scores.map((score, index) =>
+        index === 0 || score === null || base === null ? null : Math.round((score - base) * 10) / 10)
+    }
+  }
+
+  // Every KPI any take was scored on, in the order the categories first appear
+  const kpis = []
+  for (const take of takes) {
+    for (const [category, scores] of Object.entries(take.result.kpis || {})) {
+      for (const key of Object.keys(scores)) {
+        if (!kpis.some((kpi) => kpi.key === key)) kpis.push({ key, category })
+      }
+    }
+  }
+
+  return [
+    buildRow('overall_score', null, (result) => result.overall_score),
+    ...kpis.map(({ key, category }) => buildRow(key, category, (result) => result.kpis?.[category]?.[key]))
+  ]
+}
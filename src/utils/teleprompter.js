@@ -0,0 +1,52 @@
+/**
+ * teleprompter - Reader position and pace for the teleprompter
+ * Author: andreas@siglochconsulting.com
+ *
+ * The live Web Speech transcript is aligned with the script on every update
+ * (interim results get revised, so the whole transcript is re-aligned). Only
+ * words matched together with their predecessor move the position, so a
+ * common word like "und" cannot make the teleprompter jump ahead.
+ */
+
+import { tokenize, alignWords } from './words'
+
+// Within this many seconds of the required pace the reader counts as on time
+export const PACE_TOLERANCE_SECONDS = 2
+
+/**
+ * Index of the last script word the reader has spoken, -1 before the first.
+ * Never moves backwards from `previousIndex`.
+ * @param {Array} scriptWords - tokenize(script); the offsets let the teleprompter render paragraphs
+ */
+export function trackPosition(scriptWords, liveTranscript, previousIndex = -1) {
+  const spoken = tokenize(liveTranscript)
+  if (scriptWords.length === 0 || spoken.length === 0) return previousIndex
+
+  const matches = alignWords(scriptWords, spoken)
+  let position = previousIndex
+  matches.forEach((match, index) => {
+    if (match > 0 && index > 0 && matches[index - 1] === match - 1) {
+      position = Math.max(position, index)
+    }
+  })
+
+  return position
+}
+
+/**
+ * Where the reader should be to finish the script exactly at the time limit,
+ * and how far ahead (positive) or behind (negative) they are in seconds.
+ */
+export function getPace(position, wordCount, elapsedSeconds, duration) {
+  const wordsPerSecond = wordCount / duration
+  const expectedIndex = Math.min(Math.floor(elapsedSeconds * wordsPerSecond), wordCount - 1)
+  const offsetSeconds = wordsPerSecond > 0 ? Math.round((position + 1) / wordsPerSecond - elapsedSeconds) : 0
+
+  return {
+    expectedIndex,
+    offsetSeconds,
+    status: offsetSeconds > PACE_TOLERANCE_SECONDS
+      ? 'ahead'
+      : offsetSeconds < -PACE_TOLERANCE_SECONDS ? 'behind' : 'on_pace'
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * transcriptSpans - Split and edit a transcript along character spans
+ * Author: andreas@siglochconsulting.com
+ *
+ * Spans are { start, end } offsets as returned by the server (uncertain
+ * words, evidence quotes). Invalid or overlapping spans are skipped.
+ */
+
+const validSpans = (transcript, spans) => {
+  let lastEnd = 0
+  return [...(spans || [])]
+    .sort((a, b) => a.start - b.start)
+    .filter((span) => {
+      const valid = span.start >= lastEnd && span.start < span.end && span.end <= transcript.length
+      if (valid) lastEnd = span.end
+      return valid
+    })
+}
+
+/**
+ * Returns the transcript as consecutive parts; `span` is set for highlighted parts.
+ */
+export function splitBySpans(transcript, spans) {
+  const text = transcript || ''
+  const parts = []
+  let position = 0
+
+  validSpans(text, spans).forEach((span) => {
+    if (span.start > position) {
+      parts.push({ text: text.slice(position, span.start), span: null })
+    }
+    parts.push({ text: text.slice(span.start, span.end), span })
+    position = span.end
+  })
+
+  if (position < text.length) {
+    parts.push({ text: text.slice(position), span: null })
+  }
+
+  return parts
+}
+
+/**
+ * Replace each span with the text at the same index in `replacements`.
+ */
+export function applyReplacements(transcript, spans, replacements) {
+  const text = transcript || ''
+  const indexed = (spans || []).map((span, index) => ({ ...span, replacement: replacements[index] }))
+
+  return validSpans(text, indexed)
+    .reverse()
+    .reduce((result, span) => (
+      typeof span.replacement === 'string'
+        ? result.slice(0, span.start) + span.replacement + result.slice(span.end)
+        : result
+    ), text)
+}
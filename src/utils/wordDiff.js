@@ -0,0 +1,37 @@
+/**
+ * wordDiff - Word-level diff between an original and a rewritten pitch
+ * Author: andreas@siglochconsulting.com
+ *
+ * Uses a longest common subsequence over words. Words are compared without
+ * case and surrounding punctuation so "Kunden," and "Kunden" count as equal.
+ */
+
+import { tokenize, alignWords } from './words'
+
+// Each word keeps the punctuation up to the next word, so the diff reads like the text
+const toDisplayWords = (text, tokens) => tokens.map((token, index) => text
+  .slice(index === 0 ? 0 : token.start, index + 1 < tokens.length ? tokens[index + 1].start : text.length)
+  .trim())
+
+/**
+ * Returns both texts as word lists marked 'same', 'removed' (only in the
+ * original) or 'added' (only in the rewrite), plus simple change counts.
+ */
+export function diffWords(originalText, revisedText) {
+  const original = tokenize(originalText)
+  const revised = tokenize(revisedText)
+  const matches = alignWords(original, revised)
+  const matched = new Set(matches.filter((index) => index !== -1))
+
+  const originalWords = toDisplayWords(originalText || '', original)
+    .map((text, index) => ({ text, type: matches[index] === -1 ? 'removed' : 'same' }))
+  const revisedWords = toDisplayWords(revisedText || '', revised)
+    .map((text, index) => ({ text, type: matched.has(index) ? 'same' : 'added' }))
+
+  return {
+    original: originalWords,
+    revised: revisedWords,
+    removedCount: originalWords.filter((word) => word.type === 'removed').length,
+    addedCount: revisedWords.filter((word) => word.type === 'added').length
+  }
+}
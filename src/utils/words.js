@@ -0,0 +1,55 @@
+/**
+ * words - Word tokens and longest-common-subsequence alignment in the browser
+ * Author: andreas@siglochconsulting.com
+ *
+ * One notion of a word for the rewrite diff, the pace gauge and the
+ * teleprompter, matching the server's wordAlignment. Words are compared by
+ * key: lower case without punctuation, so "Kunden," and "kunden" match.
+ */
+
+// Keeps e-mail addresses, "z.B." and hyphenated compounds together as one word
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’.@-][\p{L}\p{N}]+)*/gu
+
+export const toKey = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '')
+
+/**
+ * @returns {Array<{text, key, start, end}>} words with their character span in text
+ */
+export function tokenize(text) {
+  return [...(text || '').matchAll(WORD_PATTERN)].map((match) => ({
+    text: match[0],
+    key: toKey(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }))
+}
+
+/**
+ * Longest common subsequence of word keys, O(n·m) in time and memory.
+ * @returns {number[]} for each left word the index of its right match, or -1
+ */
+export function alignWords(left, right) {
+  const rows = left.length
+  const cols = right.length
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint16Array(cols + 1))
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = left[i].key === right[j].key ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const matches = new Array(rows).fill(-1)
+  let i = 0
+  let j = 0
+  while (i < rows && j < cols) {
+    if (left[i].key === right[j].key) {
+      matches[i++] = j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+
+  return matches
+}
@@ -94,11 +94,11 @@ describe('API Integration Tests', () => {
         .post('/api/evaluate')
         .send({
           transcript: 'Test transcript',
-          duration: 30 // Invalid duration
+          duration: 90 // Not in the format catalogue
         })
         .expect(400);
 
-      expect(response.body.error).toBe('Duration must be 45 or 60 seconds');
+      expect(response.body.error).toBe('Duration must be one of: 30, 45, 60, 180, 600 seconds');
     });
 
     test('POST /api/evaluate should accept valid 45s evaluation', async () => {
@@ -183,6 +183,16 @@ describe('API Integration Tests', () => {
       expect(response.body.error).toBe('Transcription failed');
     });
 
+    test('POST /api/transcribe should reject an oversized live transcript', async () => {
+      const response = await request(app)
+        .post('/api/transcribe')
+        .field('live_transcript', 'Wort '.repeat(5000))
+        .attach('audio', Buffer.from('RIFF'), { filename: 'pitch.wav', contentType: 'audio/wav' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/Too many words in live_transcript/);
+    });
+
     // Note: Testing actual audio transcription would require real audio files
     // and would make actual API calls to Mistral's Voxtral service
   });
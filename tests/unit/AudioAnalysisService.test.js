@@ -0,0 +1,192 @@
+/**
+ * Level 1 Unit Tests: AudioAnalysisService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests WAV decoding and silence/pause/loudness detection on synthetic audio
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AudioAnalysisService = require('../../src/services/AudioAnalysisService');
+
+const SAMPLE_RATE = 8000;
+
+// Build a 16-bit mono WAV from [seconds, amplitude] parts (amplitude 0 = silence)
+const buildWav = (parts, { channels = 1 } = {}) => {
+  const samples = [];
+  parts.forEach(([seconds, amplitude]) => {
+    for (let index = 0; index < seconds * SAMPLE_RATE; index++) {
+      samples.push(amplitude * Math.sin((2 * Math.PI * 220 * index) / SAMPLE_RATE));
+    }
+  });
+
+  const dataSize = samples.length * 2 * channels;
+  const buffer = Buffer.alloc(44 + dataSize);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(channels, 22);
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2 * channels, 28);
+  buffer.writeUInt16LE(2 * channels, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+  samples.forEach((sample, index) => {
+    for (let channel = 0; channel < channels; channel++) {
+      buffer.writeInt16LE(Math.round(sample * 32767), 44 + (index * channels + channel) * 2);
+    }
+  });
+  return buffer;
+};
+
+describe('AudioAnalysisService Unit Tests', () => {
+  let audioService;
+
+  beforeEach(() => {
+    audioService = new AudioAnalysisService({ ffmpegPath: undefined });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Decoding', () => {
+    test('should decode 16-bit PCM WAV to mono samples', () => {
+      const { samples, sampleRate } = audioService.decodeWav(buildWav([[1, 0.5]], { channels: 2 }));
+
+      expect(sampleRate).toBe(SAMPLE_RATE);
+      expect(samples).toHaveLength(SAMPLE_RATE);
+      expect(Math.max(...samples)).toBeCloseTo(0.5, 2);
+    });
+
+    test('should reject WAV files without data', () => {
+      const header = buildWav([]).subarray(0, 36);
+
+      expect(() => audioService.decodeWav(header)).toThrow('no data chunk');
+    });
+
+    test('should report compressed audio as unsupported without ffmpeg', async () => {
+      const result = await audioService.analyze(Buffer.from('webm-data'), 'audio/webm');
+
+      expect(result).toEqual({
+        supported: false,
+        reason: 'Audio analysis for audio/webm requires ffmpeg (set FFMPEG_PATH)'
+      });
+    });
+
+    test('should report a missing ffmpeg binary', async () => {
+      const service = new AudioAnalysisService({ ffmpegPath: '/does/not/exist/ffmpeg' });
+
+      await expect(service.analyze(Buffer.from('webm-data'), 'audio/webm')).rejects.toThrow('ffmpeg failed to start');
+    });
+  });
+
+  describe('ffmpeg Decoding', () => {
+    let directory;
+    let ffmpegPath;
+    let logPath;
+
+    // Stand-in for ffmpeg: logs its arguments and streams silence until it is killed
+    beforeAll(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-ffmpeg-'));
+      ffmpegPath = path.join(directory, 'ffmpeg');
+      logPath = path.join(directory, 'args.json');
+      fs.writeFileSync(ffmpegPath, `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+const input = args[args.indexOf('-i') + 1];
+fs.writeFileSync(${JSON.stringify(logPath)}, JSON.stringify({ args, inputExists: fs.existsSync(input) }));
+process.stdin.resume();
+const chunk = Buffer.alloc(65536);
+const write = () => {
+  while (process.stdout.write(chunk)) {}
+  process.stdout.once('drain', write);
+};
+write();
+`, { mode: 0o755 });
+    });
+
+    afterAll(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const readLog = () => JSON.parse(fs.readFileSync(logPath, 'utf8'));
+
+    test('should stop decoding at the maximum audio duration', async () => {
+      const service = new AudioAnalysisService({ ffmpegPath, maxDuration: 1 });
+      const { samples, sampleRate } = await service.decodeWithFfmpeg(Buffer.from('webm-data'));
+      const { args } = readLog();
+
+      expect(args.slice(args.indexOf('-t'), args.indexOf('-t') + 2)).toEqual(['-t', '1']);
+      expect(args).toContain('pipe:0');
+      expect(samples).toHaveLength(sampleRate);
+    });
+
+    test('should decode M4A from a temporary file so ffmpeg can seek to the moov atom', async () => {
+      const service = new AudioAnalysisService({ ffmpegPath, maxDuration: 1 });
+      const m4a = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypM4A ', 'ascii'), Buffer.alloc(16)]);
+
+      await service.decodeWithFfmpeg(m4a);
+      const { args, inputExists } = readLog();
+      const input = args[args.indexOf('-i') + 1];
+
+      expect(input).not.toBe('pipe:0');
+      expect(inputExists).toBe(true);
+      expect(fs.existsSync(input)).toBe(false);
+    });
+  });
+
+  describe('Silence and Pauses', () => {
+    test('should measure leading and trailing dead air', async () => {
+      const result = await audioService.analyze(buildWav([[5, 0], [10, 0.5], [3, 0]]), 'audio/wav');
+
+      expect(result.supported).toBe(true);
+      expect(result.duration).toBe(18);
+      expect(result.leading_silence).toBe(5);
+      expect(result.trailing_silence).toBe(3);
+      expect(result.speech_ratio).toBeCloseTo(10 / 18, 2);
+    });
+
+    test('should find long pauses between speech', async () => {
+      const result = await audioService.analyze(
+        buildWav([[2, 0.5], [0.5, 0], [2, 0.5], [2.5, 0], [2, 0.5]]),
+        'audio/wav'
+      );
+
+      expect(result.pauses).toEqual([{ start: 4.5, end: 7, duration: 2.5 }]);
+      expect(result.long_pause_count).toBe(1);
+    });
+
+    test('should handle recordings without speech', () => {
+      const result = audioService.analyzeSamples(new Float32Array(SAMPLE_RATE * 2), SAMPLE_RATE);
+
+      expect(result.speech_ratio).toBe(0);
+      expect(result.leading_silence).toBe(2);
+      expect(result.loudness).toBeNull();
+    });
+  });
+
+  describe('Loudness', () => {
+    test('should rate a steady voice as consistent', async () => {
+      const result = await audioService.analyze(buildWav([[10, 0.5]]), 'audio/wav');
+
+      expect(result.loudness.std_db).toBe(0);
+      expect(result.loudness.consistency).toBe(100);
+    });
+
+    test('should detect a voice trailing off at the end', async () => {
+      const result = await audioService.analyze(buildWav([[8, 0.5], [2, 0.1]]), 'audio/wav');
+
+      expect(result.loudness.end_drop_db).toBeGreaterThanOrEqual(10);
+      expect(result.loudness.consistency).toBeLessThan(100);
+    });
+  });
+});
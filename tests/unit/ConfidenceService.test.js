@@ -0,0 +1,82 @@
+/**
+ * Level 1 Unit Tests: ConfidenceService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests confidence from word probabilities, segment log-probabilities and
+ * agreement with the live transcript
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const ConfidenceService = require('../../src/services/ConfidenceService');
+
+describe('ConfidenceService Unit Tests', () => {
+  let confidenceService;
+
+  beforeEach(() => {
+    confidenceService = new ConfidenceService();
+  });
+
+  const words = (...entries) => entries.map(([word, probability], index) => ({
+    word, start: index, end: index + 1, probability
+  }));
+
+  describe('Provider Confidence', () => {
+    test('should average word probabilities and merge adjacent low words', () => {
+      const transcript = 'Wir bauen Wärme Pumpen für Familien.';
+      const result = confidenceService.analyze(transcript, {
+        segments: [],
+        words: words(['Wir', 1], ['bauen', 0.9], ['Wärme', 0.4], ['Pumpen', 0.2], ['für', 0.9], ['Familien.', 1]),
+        estimated: false
+      });
+
+      expect(result.source).toBe('word_probability');
+      expect(result.confidence).toBe(0.73);
+      expect(result.low_confidence).toEqual([{ start: 10, end: 22, text: 'Wärme Pumpen', confidence: 0.2 }]);
+    });
+
+    test('should ignore words changed after transcription', () => {
+      const result = confidenceService.analyze('Ich bin von Sigloch Consulting.', {
+        segments: [],
+        words: words(['Ich', 0.9], ['bin', 0.9], ['von', 0.9], ['Sieglok', 0.2], ['Konsulting.', 0.3]),
+        estimated: false
+      });
+
+      expect(result.confidence).toBe(0.9);
+      expect(result.low_confidence).toEqual([]);
+    });
+
+    test('should fall back to segment log-probabilities', () => {
+      const result = confidenceService.analyze('Hallo zusammen. Ich bin Andreas.', {
+        segments: [
+          { start: 0, end: 1, text: 'Hallo zusammen.', avg_logprob: -0.1 },
+          { start: 1, end: 2, text: 'Ich bin Andreas.', avg_logprob: -1.2 }
+        ],
+        words: [],
+        estimated: false
+      });
+
+      expect(result.source).toBe('segment_logprob');
+      expect(result.low_confidence).toEqual([{ start: 16, end: 31, text: 'Ich bin Andreas', confidence: 0.3 }]);
+    });
+  });
+
+  describe('Live Transcript Agreement', () => {
+    test('should mark words the live transcript did not hear', () => {
+      const result = confidenceService.analyze(
+        'Ich helfe Handwerkern bei der Digitalisierung.',
+        { segments: [], words: [], estimated: false },
+        'ich helfe handwerk bei der digitalisierung'
+      );
+
+      expect(result.source).toBe('agreement');
+      expect(result.confidence).toBe(0.83);
+      expect(result.low_confidence).toEqual([{ start: 10, end: 21, text: 'Handwerkern', confidence: 0 }]);
+    });
+
+    test('should skip a live transcript that covers too little', () => {
+      const result = confidenceService.analyze('Ich helfe Handwerkern bei der Digitalisierung.', null, 'ich');
+
+      expect(result).toEqual({ confidence: null, source: null, low_confidence: [] });
+    });
+  });
+});
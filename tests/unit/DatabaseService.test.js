@@ -127,6 +127,148 @@ describe('DatabaseService Unit Tests', () => {
     });
   });
 
+  describe('Versioning', () => {
+    const storeVersioned = (rubric_version, prompt_version, model_used, score) => dbService.storeEvaluation({
+      duration: 45,
+      kpi_scores: { test: { score } },
+      proposals: [],
+      word_count: 100,
+      rubric_version,
+      prompt_version,
+      model_used,
+      timestamp: new Date().toISOString()
+    });
+
+    test('should store rubric version, prompt version and model', async () => {
+      const id = await storeVersioned('bni-default-1', 'de-evidence-1', 'mistral-small-latest', 80);
+
+      const stored = await dbService.getQuery('SELECT * FROM evaluations WHERE id = ?', [id]);
+
+      expect(stored.rubric_version).toBe('bni-default-1');
+      expect(stored.prompt_version).toBe('de-evidence-1');
+      expect(stored.model_used).toBe('mistral-small-latest');
+    });
+
+    test('should filter statistics by version', async () => {
+      await storeVersioned('bni-default-1', 'p1', 'mistral-small-latest', 60);
+      await storeVersioned('bni-default-2', 'p2', 'mistral-small-latest', 90);
+
+      const stats = await dbService.getStatistics({ rubric_version: 'bni-default-2' });
+
+      expect(stats.totalEvaluations).toBe(1);
+      expect(stats.recentEvaluations[0].overall_score).toBe(90);
+      expect(stats.filters).toEqual({ rubric_version: 'bni-default-2' });
+    });
+
+    test('should group statistics by prompt version', async () => {
+      await storeVersioned('r1', 'p1', 'm1', 60);
+      await storeVersioned('r1', 'p1', 'm2', 70);
+      await storeVersioned('r1', 'p2', 'm1', 90);
+
+      const stats = await dbService.getStatistics({}, 'prompt_version');
+      const byPrompt = Object.fromEntries(stats.versionStats.map(row => [row.prompt_version, row]));
+
+      expect(byPrompt.p1.count).toBe(2);
+      expect(byPrompt.p1.avg_overall).toBe(65);
+      expect(byPrompt.p2.count).toBe(1);
+    });
+
+    test('should reject unknown group columns', async () => {
+      await expect(dbService.getStatistics({}, 'timestamp')).rejects.toThrow('Invalid group_by');
+    });
+
+    test('should add version columns to existing databases', async () => {
+      await dbService.runQuery('DROP TABLE evaluations');
+      await dbService.runQuery(`CREATE TABLE evaluations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        duration INTEGER NOT NULL,
+        kpi_scores TEXT NOT NULL,
+        word_count INTEGER,
+        overall_score REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      await dbService.migrateTables();
+
+      const columns = (await dbService.allQuery('PRAGMA table_info(evaluations)')).map(column => column.name);
+      expect(columns).toEqual(expect.arrayContaining(['rubric_version', 'prompt_version', 'model_used', 'language', 'transcript_edited', 'input_type']));
+    });
+
+    test('should count evaluations with an edited transcript', async () => {
+      const store = transcript_edited => dbService.storeEvaluation({
+        duration: 45, kpi_scores: { test: { score: 70 } }, proposals: [], word_count: 100,
+        transcript_edited, timestamp: new Date().toISOString()
+      });
+      const editedId = await store(true);
+      await store(false);
+      const unknownId = await store(undefined);
+
+      const stats = await dbService.getStatistics();
+      const edited = await dbService.getQuery('SELECT transcript_edited FROM evaluations WHERE id = ?', [editedId]);
+      const unknown = await dbService.getQuery('SELECT transcript_edited FROM evaluations WHERE id = ?', [unknownId]);
+
+      expect(stats.editedTranscripts).toBe(1);
+      expect(edited.transcript_edited).toBe(1);
+      expect(unknown.transcript_edited).toBeNull();
+    });
+
+    test('should store and filter by pitch language', async () => {
+      await dbService.storeEvaluation({
+        duration: 45, kpi_scores: { test: { score: 70 } }, proposals: [], word_count: 100,
+        language: 'en', timestamp: new Date().toISOString()
+      });
+      await storeVersioned('r1', 'p1', 'm1', 60);
+
+      const stats = await dbService.getStatistics({ language: 'en' });
+
+      expect(stats.totalEvaluations).toBe(1);
+      expect(stats.recentEvaluations[0].language).toBe('en');
+      expect(stats.filters).toEqual({ language: 'en' });
+    });
+
+    test('should compare recorded and written pitches by input type', async () => {
+      const store = (input_type, overall_score) => dbService.storeEvaluation({
+        duration: 45, kpi_scores: { test: { score: overall_score } }, proposals: [], word_count: 100,
+        overall_score, input_type, timestamp: new Date().toISOString()
+      });
+      await store('recording', 60);
+      await store('script', 80);
+      await store('script', 70);
+
+      const grouped = await dbService.getStatistics({}, ['input_type']);
+      const scripts = await dbService.getStatistics({ input_type: 'script' });
+
+      expect(grouped.versionStats.find(row => row.input_type === 'script')).toMatchObject({ count: 2, avg_overall: 75 });
+      expect(grouped.versionStats.find(row => row.input_type === 'recording')).toMatchObject({ count: 1, avg_overall: 60 });
+      expect(scripts.totalEvaluations).toBe(2);
+      expect(scripts.recentEvaluations[0].input_type).toBe('script');
+    });
+  });
+
+  describe('Sync Blobs', () => {
+    const syncId = 'a'.repeat(64);
+
+    test('should store, replace and delete an encrypted history', async () => {
+      expect(await dbService.getSyncBlob(syncId)).toBeNull();
+
+      await dbService.storeSyncBlob(syncId, 'v1.first');
+      await dbService.storeSyncBlob(syncId, 'v1.second');
+
+      const stored = await dbService.getSyncBlob(syncId);
+      expect(stored.blob).toBe('v1.second');
+      expect(stored.updated_at).toBeDefined();
+      expect(await dbService.deleteSyncBlob(syncId)).toBe(true);
+      expect(await dbService.deleteSyncBlob(syncId)).toBe(false);
+    });
+
+    test('should only accept hashed sync ids', () => {
+      expect(DatabaseService.SYNC_ID_PATTERN.test(syncId)).toBe(true);
+      expect(DatabaseService.SYNC_ID_PATTERN.test('K7PQ-2M9X-HT4B-R8WZ-03NC')).toBe(false);
+      expect(DatabaseService.SYNC_ID_PATTERN.test('../evaluations')).toBe(false);
+    });
+  });
+
   describe('Query Methods', () => {
     test('should execute runQuery correctly', async () => {
       const result = await dbService.runQuery(
@@ -0,0 +1,121 @@
+/**
+ * Level 1 Unit Tests: DisfluencyService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests filler, repetition and restart detection on German and English transcripts
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const DisfluencyService = require('../../src/services/DisfluencyService');
+
+describe('DisfluencyService Unit Tests', () => {
+  let disfluencyService;
+
+  beforeEach(() => {
+    disfluencyService = new DisfluencyService();
+  });
+
+  describe('Filler Words', () => {
+    test('should count fillers by word', () => {
+      const analysis = disfluencyService.analyze('Äh, ich bin quasi Berater, ähm, sozusagen für KI. Ähm ja.');
+
+      expect(analysis.fillers.total).toBe(5);
+      expect(analysis.fillers.by_word).toEqual({ 'äh': 1, 'quasi': 1, 'ähm': 2, 'sozusagen': 1 });
+    });
+
+    test('should only count "also" at the start of a clause', () => {
+      const analysis = disfluencyService.analyze('Also, ich bin Andreas. Wir sparen also Zeit.');
+
+      expect(analysis.fillers.total).toBe(1);
+      expect(analysis.spans[0]).toEqual(expect.objectContaining({ start: 0, end: 4, text: 'Also', kind: 'filler' }));
+    });
+
+    test('should report rates per measured minute', () => {
+      const analysis = disfluencyService.analyze('Äh ich bin ähm Andreas.', 30);
+
+      expect(analysis.spoken_minutes).toBe(0.5);
+      expect(analysis.fillers.per_minute).toBe(4);
+    });
+  });
+
+  describe('Repetitions and Restarts', () => {
+    test('should detect directly repeated words', () => {
+      const analysis = disfluencyService.analyze('Wir helfen helfen Unternehmen.');
+
+      expect(analysis.repetitions.total).toBe(1);
+      expect(analysis.spans[0].text).toBe('helfen helfen');
+    });
+
+    test('should not count correct article and relative pronoun doublings', () => {
+      const analysis = disfluencyService.analyze(
+        'Ich suche Firmen, die die Buchhaltung auslagern. Das Angebot, das das Team macht, hilft dem Mann, der der Chefin berichtet. Rufen Sie sie an.'
+      );
+
+      expect(analysis.repetitions.total).toBe(0);
+      expect(disfluencyService.analyze('Wir wir helfen Firmen, die die Buchhaltung auslagern.').repetitions.total).toBe(1);
+      expect(disfluencyService.analyze('Wir helfen Firmen, die die die Buchhaltung auslagern.').repetitions.total).toBe(1);
+    });
+
+    test('should detect broken-off words but not hyphenated compounds', () => {
+      const analysis = disfluencyService.analyze('Wir ha- wir haben Kunden- und Lieferantenbeziehungen.');
+
+      expect(analysis.restarts.total).toBe(1);
+      expect(analysis.spans[0].text).toBe('ha- wir');
+    });
+
+    test('should detect restarted phrases and trailing off', () => {
+      const analysis = disfluencyService.analyze('Ich bin, ich bin Andreas. Ich wollte… egal.');
+
+      expect(analysis.restarts.total).toBe(2);
+      expect(analysis.spans.map(span => span.text)).toEqual(['Ich bin, ich bin', 'wollte… egal']);
+    });
+
+    test('should keep email addresses and abbreviations as single words', () => {
+      const analysis = disfluencyService.analyze('Schreiben Sie an info@firma.de, z.B. heute.');
+
+      expect(analysis.per_minute).toBe(0);
+    });
+  });
+
+  describe('English', () => {
+    test('should count English fillers and not the German "also"', () => {
+      const analysis = disfluencyService.analyze('Um, so, I help, uh, small firms. Also, we basically save time.', null, 'en');
+
+      expect(analysis.language).toBe('en');
+      expect(analysis.fillers.by_word).toEqual({ 'um': 1, 'so': 1, 'uh': 1, 'basically': 1 });
+    });
+
+    test('should accept correct English doublings', () => {
+      const analysis = disfluencyService.analyze('I know that that helps. We we help firms.', null, 'en');
+
+      expect(analysis.repetitions.total).toBe(1);
+      expect(analysis.spans[0].text).toBe('We we');
+    });
+
+    test('should explain measured KPIs in English', () => {
+      const measured = disfluencyService.toMeasuredKpis(disfluencyService.analyze('Um, I am Andreas.', 30, 'en'));
+
+      expect(measured.evidence.filler_words.rationale).toBe('1 filler words (2 per minute): um ×1.');
+      expect(measured.evidence.repetitions_restarts.rationale).toBe('No repeated words or broken-off sentences detected.');
+    });
+  });
+
+  describe('Measured KPIs', () => {
+    test('should give full marks to a fluent pitch', () => {
+      const measured = disfluencyService.toMeasuredKpis(disfluencyService.analyze('Ich bin Andreas von Sigloch Consulting.', 45));
+
+      expect(measured.kpis).toEqual({ filler_words: 100, repetitions_restarts: 100 });
+      expect(measured.evidence.filler_words.rationale).toBe('Keine Füllwörter erkannt.');
+    });
+
+    test('should lower scores with the rate per minute', () => {
+      // 3 fillers in 30s = 6 per minute: 100 - (6 - 1) * 15 = 25
+      const analysis = disfluencyService.analyze('Äh ich bin ähm Andreas, sozusagen Berater.', 30);
+      const measured = disfluencyService.toMeasuredKpis(analysis);
+
+      expect(measured.kpis.filler_words).toBe(25);
+      expect(measured.evidence.filler_words.spans).toHaveLength(3);
+      expect(measured.evidence.filler_words.spans[0].type).toBe('missing');
+    });
+  });
+});
@@ -7,6 +7,7 @@
  */
 
 const EvaluationService = require('../../src/services/EvaluationService');
+const { createLLMProvider, OpenAICompatibleProvider, LocalLLMProvider } = require('../../src/services/llm');
 
 // Mock axios to avoid external API calls
 jest.mock('axios');
@@ -62,6 +63,14 @@ describe('EvaluationService Unit Tests', () => {
       expect(prompt).toContain('structure_time');
     });
 
+    test('should include format-specific criteria for other formats', () => {
+      const prompt = evalService.buildEvaluationPrompt('Test', 180);
+
+      expect(prompt).toContain('FORMAT: Bildungsmoment');
+      expect(prompt).toContain('360-450 Wörter');
+      expect(prompt).toContain('FORMAT-SPEZIFISCHE KRITERIEN');
+    });
+
     test('should include all KPI categories in prompt', () => {
       const prompt = evalService.buildEvaluationPrompt('test', 45);
 
@@ -71,6 +80,24 @@ describe('EvaluationService Unit Tests', () => {
       expect(prompt).toContain('MEMORABILITY');
       expect(prompt).toContain('40% Gewichtung');
     });
+
+    test('should build an English prompt from the rubric translations', () => {
+      const prompt = evalService.buildEvaluationPrompt('Hi, I am Andreas.', 45, undefined, { language: 'en' });
+
+      expect(prompt).toContain('45-second BNI pitch');
+      expect(prompt).toContain('Write all texts in English');
+      expect(prompt).toContain('40% weight - MOST IMPORTANT CATEGORY');
+      expect(prompt).toContain('A specific referral request is made');
+      expect(prompt).toContain('90-120 words');
+      expect(prompt).not.toContain('Bewerte');
+    });
+
+    test('should fall back to the German prompt for unsupported languages', () => {
+      const prompt = evalService.buildEvaluationPrompt('Test', 45, undefined, { language: 'fr' });
+
+      expect(prompt).toContain('45-Sekunden BNI-Pitch');
+      expect(evalService.getPromptVersion('fr')).toBe(evalService.promptVersion);
+    });
   });
 
   describe('Result Validation', () => {
@@ -116,7 +143,10 @@ describe('EvaluationService Unit Tests', () => {
 
       const validated = evalService.validateEvaluationResult(mockResult);
 
-      expect(validated.kpis).toEqual(mockResult.kpis);
+      expect(validated.kpis).toEqual({
+        ...mockResult.kpis,
+        delivery: { filler_words: 0, repetitions_restarts: 0 }
+      });
       expect(validated.proposals).toHaveLength(1);
       expect(validated.proposals[0].type).toBe('CTA_SPECIFICITY');
       // Calculate expected weighted score manually:
@@ -173,6 +203,74 @@ describe('EvaluationService Unit Tests', () => {
     });
   });
 
+  describe('Evidence Validation', () => {
+    const transcript = 'Hallo, ich bin Andreas von Sigloch Consulting. Ich suche Kontakt zu Geschäftsführern, die KI einsetzen wollen.';
+
+    test('should resolve quotes to character offsets', () => {
+      const validated = evalService.validateEvaluationResult({
+        evidence: {
+          specific_referral_ask: {
+            rationale: 'Konkrete Anfrage vorhanden',
+            quotes: [{ text: 'Ich suche Kontakt zu Geschäftsführern', type: 'support' }]
+          }
+        }
+      }, transcript);
+
+      const span = validated.evidence.specific_referral_ask.spans[0];
+      expect(validated.evidence.specific_referral_ask.rationale).toBe('Konkrete Anfrage vorhanden');
+      expect(transcript.slice(span.start, span.end)).toBe('Ich suche Kontakt zu Geschäftsführern');
+      expect(span.type).toBe('support');
+    });
+
+    test('should tolerate punctuation and case differences in quotes', () => {
+      const validated = evalService.validateEvaluationResult({
+        evidence: {
+          introduction_completeness: {
+            rationale: 'Name und Firma',
+            quotes: [{ text: 'hallo ich bin andreas', type: 'support' }]
+          }
+        }
+      }, transcript);
+
+      const span = validated.evidence.introduction_completeness.spans[0];
+      expect(transcript.slice(span.start, span.end)).toBe('Hallo, ich bin Andreas');
+    });
+
+    test('should drop quotes that are not in the transcript and unknown KPI keys', () => {
+      const validated = evalService.validateEvaluationResult({
+        evidence: {
+          contact_method_clarity: {
+            rationale: 'Keine Kontaktdaten',
+            quotes: [{ text: 'erreichen Sie mich unter 0711', type: 'missing' }]
+          },
+          made_up_kpi: { rationale: 'x', quotes: [] }
+        }
+      }, transcript);
+
+      expect(validated.evidence.contact_method_clarity.spans).toEqual([]);
+      expect(validated.evidence.made_up_kpi).toBeUndefined();
+    });
+
+    test('should keep consistent offsets and mark missing evidence', () => {
+      const validated = evalService.validateEvaluationResult({
+        evidence: {
+          target_client_definition: {
+            rationale: 'Zielgruppe zu breit',
+            quotes: [{ text: 'Geschäftsführern', start: 68, end: 84, type: 'missing' }]
+          }
+        }
+      }, transcript);
+
+      expect(validated.evidence.target_client_definition.spans[0]).toEqual({
+        start: 68, end: 84, text: 'Geschäftsführern', type: 'missing'
+      });
+    });
+
+    test('should return empty evidence when none is provided', () => {
+      expect(evalService.validateEvaluationResult({}).evidence).toEqual({});
+    });
+  });
+
   describe('KPI Score Calculations', () => {
     test('should calculate category averages correctly', () => {
       const kpis = {
@@ -246,4 +344,237 @@ describe('EvaluationService Unit Tests', () => {
       expect(validated.overall_score % 1).not.toBe(0); // Should have decimal
     });
   });
-});
\ No newline at end of file
+
+  describe('LLM Provider Layer', () => {
+    test('should default to the Mistral provider', () => {
+      expect(evalService.provider.name).toBe('mistral');
+    });
+
+    test('should create an OpenAI-compatible provider from config', () => {
+      const provider = createLLMProvider({
+        LLM_PROVIDER: 'openai',
+        LLM_BASE_URL: 'http://localhost:8080/v1/',
+        LLM_MODEL: 'qwen2.5-7b-instruct'
+      });
+
+      expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+      expect(provider.baseUrl).toBe('http://localhost:8080/v1');
+      expect(provider.model).toBe('qwen2.5-7b-instruct');
+    });
+
+    test('should create a local provider without an API key', () => {
+      const provider = createLLMProvider({ LLM_PROVIDER: 'local' });
+
+      expect(provider).toBeInstanceOf(LocalLLMProvider);
+      expect(provider.baseUrl).toBe('http://localhost:11434');
+      expect(provider.apiKey).toBeUndefined();
+    });
+
+    test('should read LLM_TIMEOUT for both providers', () => {
+      const env = { LLM_MODEL: 'llama3.1', LLM_TIMEOUT: '90000', REQUEST_TIMEOUT: '30000' };
+
+      expect(createLLMProvider({ ...env, LLM_PROVIDER: 'openai' }).timeout).toBe(90000);
+      expect(createLLMProvider({ ...env, LLM_PROVIDER: 'local' }).timeout).toBe(90000);
+    });
+
+    test('should fall back to REQUEST_TIMEOUT only for the openai provider', () => {
+      const env = { LLM_MODEL: 'llama3.1', REQUEST_TIMEOUT: '30000' };
+
+      expect(createLLMProvider({ ...env, LLM_PROVIDER: 'openai' }).timeout).toBe(30000);
+      expect(createLLMProvider({ ...env, LLM_PROVIDER: 'local' }).timeout).toBe(120000);
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createLLMProvider({ LLM_PROVIDER: 'foo' })).toThrow('Unknown LLM_PROVIDER');
+    });
+
+    test('should evaluate through an injected provider', async () => {
+      const provider = {
+        name: 'stub',
+        model: 'stub-model',
+        complete: jest.fn().mockResolvedValue(
+          'Hier ist die Bewertung: {"kpis": {"call_to_action": {"score": 80}}, "word_count": 12}'
+        )
+      };
+      const service = new EvaluationService(provider);
+
+      const evaluation = await service.evaluate('Hallo, ich bin Andreas.', 45);
+
+      expect(provider.complete).toHaveBeenCalledWith(expect.objectContaining({ json: true }));
+      expect(evaluation.kpis.call_to_action.score).toBe(80);
+      expect(evaluation.model_used).toBe('stub-model');
+      expect(evaluation.provider).toBe('stub');
+      expect(evaluation.rubric_version).toBe('bni-default-2');
+      expect(evaluation.prompt_version).toBe(service.promptVersion);
+    });
+
+    test('should use the English system prompt and prompt version', async () => {
+      const provider = {
+        name: 'stub',
+        model: 'stub-model',
+        complete: jest.fn().mockResolvedValue('{"kpis": {}, "word_count": 5}')
+      };
+      const service = new EvaluationService(provider);
+
+      const evaluation = await service.evaluate('Hi, I am Andreas.', 45, undefined, { language: 'en' });
+
+      expect(provider.complete).toHaveBeenCalledWith(expect.objectContaining({
+        system: expect.stringContaining('You are an expert')
+      }));
+      expect(evaluation.prompt_version).toBe('en-audio-2');
+    });
+
+    test('should map Mistral API errors', async () => {
+      axios.post.mockRejectedValue({
+        response: { data: { message: 'Unauthorized' }, statusText: 'Unauthorized' }
+      });
+
+      await expect(evalService.evaluate('Test', 45)).rejects.toThrow('Mistral API error: Unauthorized');
+    });
+  });
+  describe('Measured Delivery KPIs', () => {
+    const measured = {
+      kpis: { filler_words: 55, repetitions_restarts: 90 },
+      evidence: {
+        filler_words: { rationale: '4 Füllwörter', spans: [{ start: 0, end: 2, text: 'Äh', type: 'missing' }] }
+      }
+    };
+
+    test('should leave measured categories out of the prompt', () => {
+      const prompt = evalService.buildEvaluationPrompt('Test', 45);
+
+      expect(prompt).not.toContain('filler_words');
+      expect(prompt).toContain('Gib für JEDEN der 15 KPI-Keys');
+    });
+
+    test('should override LLM scores with measured KPIs', () => {
+      const validated = evalService.validateEvaluationResult({
+        kpis: { delivery: { filler_words: 100, repetitions_restarts: 100 } }
+      }, 'Äh, hallo', measured);
+
+      expect(validated.kpis.delivery).toEqual({ filler_words: 55, repetitions_restarts: 90 });
+      expect(validated.evidence.filler_words.rationale).toBe('4 Füllwörter');
+    });
+
+    test('should not weigh delivery into the overall score', () => {
+      const validated = evalService.validateEvaluationResult({}, '', measured);
+
+      expect(validated.overall_score).toBe(0);
+    });
+  });
+
+  describe('Measured Pacing', () => {
+    const pacing = {
+      speech_start: 1.2,
+      spoken_duration: 42.5,
+      words_per_minute: 151,
+      target_wpm: { min: 120, max: 160 },
+      timeline: [{ start: 0, end: 10, words: 24, wpm: 144 }, { start: 10, end: 20, words: 27, wpm: 162 }],
+      unused_seconds: 0,
+      ran_out_of_time: true,
+      cutoff_text: 'stellen Sie mich bitte'
+    };
+
+    test('should include measured timing in the prompt', () => {
+      const prompt = evalService.buildEvaluationPrompt('Test', 45, undefined, { pacing });
+
+      expect(prompt).toContain('GEMESSENES TIMING');
+      expect(prompt).toContain('Gesprochene Zeit: 42.5 von 45 Sekunden');
+      expect(prompt).toContain('151 Wörter/Minute (Ziel: 120-160)');
+      expect(prompt).toContain('144, 162 Wörter/Minute');
+      expect(prompt).toContain('unterbrochen bei "stellen Sie mich bitte"');
+    });
+
+    test('should point the timing sections at rubric KPIs', () => {
+      const kpiKeys = evalService.rubric.getKpiKeys();
+      const prompts = [
+        evalService.buildEvaluationPrompt('Test', 45, undefined, { pacing }),
+        evalService.buildEvaluationPrompt('Test', 45, undefined, { pacing, language: 'en' })
+      ];
+
+      for (const prompt of prompts) {
+        const heading = prompt.split('\n').find(line => /TIMING/.test(line));
+        const referenced = heading.match(/[a-z]+(?:_[a-z]+)+/g);
+        expect(referenced).toEqual(['time_management', 'word_count_optimization']);
+        referenced.forEach(key => expect(kpiKeys).toContain(key));
+      }
+    });
+
+    test('should include audio measurements in the prompt', () => {
+      const audio = {
+        leading_silence: 4.2,
+        trailing_silence: 0.5,
+        speech_ratio: 0.81,
+        long_pause_count: 2,
+        loudness: { end_drop_db: 6.5 }
+      };
+      const prompt = evalService.buildEvaluationPrompt('Test', 45, undefined, { audio });
+
+      expect(prompt).toContain('Stille vor dem ersten Wort: 4.2s');
+      expect(prompt).toContain('Sprechanteil: 81%, lange Pausen (ab 2s): 2');
+      expect(prompt).toContain('um 6.5 dB leiser');
+    });
+
+    test('should leave the prompt unchanged without pacing', () => {
+      expect(evalService.buildEvaluationPrompt('Test', 45)).not.toContain('GEMESSENES TIMING');
+    });
+
+    test('should include the estimated timing of a script', () => {
+      const estimate = { estimated_duration: 54.6, words_per_minute: 100, max_words: 75, unused_seconds: 0, overrun_seconds: 9.6, over_time: true };
+      const prompt = evalService.buildEvaluationPrompt('Test', 45, undefined, { estimate });
+
+      expect(prompt).toContain('GESCHÄTZTES TIMING');
+      expect(prompt).toContain('Geschätzte Sprechzeit: 54.6 von 45 Sekunden bei 100 Wörtern/Minute');
+      expect(prompt).toContain('um ca. 9.6 Sekunden');
+      expect(prompt).not.toContain('GEMESSENES TIMING');
+    });
+  });
+
+  describe('Pitch Rewrite', () => {
+    const stubProvider = (content) => ({
+      name: 'stub',
+      model: 'stub-model',
+      complete: jest.fn().mockResolvedValue(content)
+    });
+
+    test('should build the rewrite prompt with proposals and word budget', () => {
+      const prompt = evalService.buildRewritePrompt('Ich bin Andreas.', 45, [
+        { type: 'CTA_SPECIFICITY', title: 'Konkreter werden', description: 'Nenne eine Zielperson.' }
+      ]);
+
+      expect(prompt).toContain('"Ich bin Andreas."');
+      expect(prompt).toContain('- Konkreter werden: Nenne eine Zielperson.');
+      expect(prompt).toContain('Länge: 90-120 Wörter');
+      expect(prompt).toContain('Erfinde KEINE neuen Fakten');
+    });
+
+    test('should return the rewrite with word budget check', async () => {
+      const rewritten = Array(100).fill('Wort').join(' ');
+      const provider = stubProvider(JSON.stringify({ rewritten_pitch: rewritten, changes: ['CTA geschärft'] }));
+      const service = new EvaluationService(provider);
+
+      const rewrite = await service.rewrite('Ich bin Andreas.', 45, []);
+
+      expect(provider.complete).toHaveBeenCalledWith(expect.objectContaining({ json: true }));
+      expect(rewrite.word_count).toBe(100);
+      expect(rewrite.word_range).toEqual({ min: 90, max: 120 });
+      expect(rewrite.within_budget).toBe(true);
+      expect(rewrite.changes).toEqual(['CTA geschärft']);
+    });
+
+    test('should flag rewrites outside the word budget', async () => {
+      const service = new EvaluationService(stubProvider(JSON.stringify({ rewritten_pitch: 'Zu kurz.' })));
+
+      const rewrite = await service.rewrite('Ich bin Andreas.', 45, []);
+
+      expect(rewrite.within_budget).toBe(false);
+      expect(rewrite.changes).toEqual([]);
+    });
+
+    test('should reject responses without rewritten pitch', async () => {
+      const service = new EvaluationService(stubProvider(JSON.stringify({ changes: [] })));
+
+      await expect(service.rewrite('Test', 45, [])).rejects.toThrow('rewritten_pitch is missing');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Level 1 Unit Tests: FormatService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests the BNI format catalogue and request resolution
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const FormatService = require('../../src/services/FormatService');
+
+describe('FormatService Unit Tests', () => {
+  let formatService;
+
+  beforeEach(() => {
+    formatService = new FormatService();
+  });
+
+  describe('Catalogue', () => {
+    test('should load all BNI meeting formats', () => {
+      expect(formatService.getDurations()).toEqual([30, 45, 60, 180, 600]);
+    });
+
+    test('should keep the classic word ranges', () => {
+      expect(formatService.getByDuration(45).word_range).toEqual({ min: 90, max: 120 });
+      expect(formatService.getByDuration(60).word_range).toEqual({ min: 120, max: 150 });
+    });
+
+    test('should reject formats without word range', () => {
+      expect(() => new FormatService({
+        formats: [{ key: 'x', duration: 30 }]
+      })).toThrow('word_range');
+    });
+  });
+
+  describe('Resolution', () => {
+    test('should resolve a format by duration', () => {
+      expect(formatService.resolve(180).key).toBe('bildungsmoment');
+    });
+
+    test('should resolve a format by key', () => {
+      expect(formatService.resolve(600, 'hauptpraesentation').labels.de).toBe('Hauptpräsentation');
+    });
+
+    test('should reject unknown durations', () => {
+      expect(() => formatService.resolve(90)).toThrow('Duration must be one of: 30, 45, 60, 180, 600 seconds');
+    });
+
+    test('should reject unknown keys and mismatching durations', () => {
+      expect(() => formatService.resolve(45, 'unknown')).toThrow('Unknown format "unknown"');
+      expect(() => formatService.resolve(45, 'kurzvorstellung')).toThrow('requires a duration of 30 seconds');
+    });
+  });
+
+  describe('Speaking Rate', () => {
+    test('should default to the catalogue speaking rate', () => {
+      expect(formatService.resolveSpeakingRate()).toBe(130);
+      expect(formatService.resolveSpeakingRate('150')).toBe(150);
+    });
+
+    test('should reject speaking rates outside the configured range', () => {
+      expect(() => formatService.resolveSpeakingRate(300)).toThrow('Speaking rate must be between 90 and 180 words per minute');
+      expect(() => formatService.resolveSpeakingRate('fast')).toThrow('Speaking rate must be between');
+    });
+
+    test('should reject an inconsistent speaking rate', () => {
+      expect(() => new FormatService({
+        speaking_rate: { default: 200, min: 90, max: 180 },
+        formats: [{ key: 'x', duration: 30, word_range: { min: 60, max: 75 } }]
+      })).toThrow('speaking_rate');
+    });
+  });
+});
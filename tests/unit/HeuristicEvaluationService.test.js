@@ -0,0 +1,180 @@
+/**
+ * Level 1 Unit Tests: HeuristicEvaluationService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests the offline keyword-based evaluator with sample transcripts
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const EvaluationService = require('../../src/services/EvaluationService');
+const HeuristicEvaluationService = require('../../src/services/HeuristicEvaluationService');
+
+jest.mock('axios');
+
+describe('HeuristicEvaluationService Unit Tests', () => {
+  let heuristicService;
+
+  const strongPitch = 'KI, die für Sie arbeitet. Hallo, ich bin Andreas von der Sigloch Consulting GmbH. ' +
+    'Seit 15 Jahren helfe ich mittelständischen Unternehmen, Routineaufgaben zu automatisieren, damit sie Zeit sparen. ' +
+    'Zum Beispiel hat ein Kunde letzte Woche 10 Stunden pro Woche eingespart. ' +
+    'Ich suche Kontakt zu Geschäftsführern von Handwerksbetrieben, die viel Papierkram haben. ' +
+    'Wenn Sie so jemanden kennen, stellen Sie mich bitte vor. ' +
+    'Sie erreichen mich unter andreas@siglochconsulting.com oder 0711 1234567. ' +
+    'Vielen Dank. KI, die für Sie arbeitet.';
+
+  beforeEach(() => {
+    heuristicService = new HeuristicEvaluationService(new EvaluationService());
+  });
+
+  describe('Result Shape', () => {
+    test('should score all 15 KPIs in the standard categories', () => {
+      const result = heuristicService.evaluate(strongPitch, 45);
+
+      expect(Object.keys(result.kpis)).toEqual([
+        'call_to_action', 'structure_time', 'content_clarity', 'memorability', 'delivery'
+      ]);
+      const kpiCount = Object.values(result.kpis)
+        .filter(category => !('filler_words' in category))
+        .reduce((sum, category) => sum + Object.keys(category).length, 0);
+      expect(kpiCount).toBe(15);
+    });
+
+    test('should flag pitches in languages the keywords do not cover', () => {
+      const german = heuristicService.evaluate(strongPitch, 45, { language: 'de' });
+      const english = heuristicService.evaluate('Hi, I am Anna from Example Ltd. Please introduce me to dentists.', 45, { language: 'en' });
+
+      expect(german.language_supported).toBe(true);
+      expect(german.summary).toContain('Heuristische Offline-Bewertung');
+      expect(english.language).toBe('en');
+      expect(english.language_supported).toBe(false);
+      expect(english.summary).toContain('only knows German keywords');
+      expect(english.prompt_version).toBe('heuristic-de-v1');
+    });
+
+    test('should take measured delivery KPIs as given', () => {
+      const measured = {
+        kpis: { filler_words: 70, repetitions_restarts: 100 },
+        evidence: { filler_words: { rationale: '3 Füllwörter', spans: [] } }
+      };
+      const result = heuristicService.evaluate(strongPitch, 45, { measured });
+
+      expect(result.kpis.delivery).toEqual({ filler_words: 70, repetitions_restarts: 100 });
+      expect(result.evidence.filler_words.rationale).toBe('3 Füllwörter');
+    });
+
+    test('should label results as heuristic', () => {
+      const result = heuristicService.evaluate(strongPitch, 45, {
+        fallbackReason: 'Evaluation timeout - please try again'
+      });
+
+      expect(result.evaluation_mode).toBe('heuristic');
+      expect(result.model_used).toBe('heuristic-de-v1');
+      expect(result.fallback_reason).toBe('Evaluation timeout - please try again');
+      expect(result.summary).toContain('Heuristische');
+    });
+
+    test('should be deterministic', () => {
+      const first = heuristicService.evaluate(strongPitch, 60);
+      const second = heuristicService.evaluate(strongPitch, 60);
+
+      expect(first.kpis).toEqual(second.kpis);
+      expect(first.overall_score).toBe(second.overall_score);
+    });
+  });
+
+  describe('Keyword Detection', () => {
+    test('should detect introduction, referral ask and contact details', () => {
+      const result = heuristicService.evaluate(strongPitch, 45);
+
+      expect(result.kpis.structure_time.introduction_completeness).toBe(100);
+      expect(result.kpis.call_to_action.specific_referral_ask).toBeGreaterThanOrEqual(70);
+      expect(result.kpis.call_to_action.contact_method_clarity).toBeGreaterThanOrEqual(90);
+      expect(result.kpis.memorability.hook_tagline_presence).toBe(95);
+    });
+
+    test('should score a pitch without ask or contact low', () => {
+      const result = heuristicService.evaluate('Wir machen Software. Software ist wichtig.', 45);
+
+      expect(result.kpis.call_to_action.specific_referral_ask).toBe(0);
+      expect(result.kpis.call_to_action.contact_method_clarity).toBe(10);
+      expect(result.kpis.structure_time.introduction_completeness).toBe(0);
+      expect(result.overall_score).toBeLessThan(40);
+    });
+
+    test('should recognize target clients starting with an umlaut', () => {
+      const kpis = (text) => heuristicService.evaluate(text, 45).kpis.call_to_action;
+
+      expect(kpis('Ich arbeite für Ärzte in Stuttgart.').target_client_definition).toBe(60);
+      expect(kpis('Ich arbeite für Tierärzte in Stuttgart.').target_client_definition).toBe(0);
+    });
+
+    test('should recognize spoken e-mail addresses', () => {
+      expect(heuristicService.scoreContactMethod('Schreiben Sie an andreas at sigloch punkt de')).toBeGreaterThanOrEqual(90);
+    });
+
+    test('should find repeated taglines', () => {
+      expect(heuristicService.findRepeatedPhrase(strongPitch)).toContain('die für sie arbeitet');
+      expect(heuristicService.findRepeatedPhrase('Ein ganz normaler Satz ohne Wiederholung.')).toBeNull();
+    });
+  });
+
+  describe('Evidence', () => {
+    test('should link detected keywords to transcript offsets', () => {
+      const result = heuristicService.evaluate(strongPitch, 45);
+      const span = result.evidence.contact_method_clarity.spans[0];
+
+      expect(strongPitch.slice(span.start, span.end)).toBe('andreas@siglochconsulting.com');
+      expect(result.evidence.contact_method_clarity.rationale).toBe('Konkrete Kontaktdaten genannt.');
+    });
+
+    test('should explain missing elements without spans', () => {
+      const result = heuristicService.evaluate('Wir machen Software.', 45);
+
+      expect(result.evidence.specific_referral_ask.spans).toEqual([]);
+      expect(result.evidence.specific_referral_ask.rationale).toContain('Keine Empfehlungsanfrage');
+    });
+  });
+
+  describe('Word Count Targets', () => {
+    test('should give full marks inside the 90-120 range for 45s', () => {
+      expect(heuristicService.scoreWordCount(90, 45)).toBe(100);
+      expect(heuristicService.scoreWordCount(120, 45)).toBe(100);
+      expect(heuristicService.scoreWordCount(60, 45)).toBeLessThan(50);
+    });
+
+    test('should give full marks inside the 120-150 range for 60s', () => {
+      expect(heuristicService.scoreWordCount(135, 60)).toBe(100);
+      expect(heuristicService.scoreWordCount(180, 60)).toBeLessThan(100);
+    });
+
+    test('should use the word range of the format catalogue', () => {
+      expect(heuristicService.getWordTarget(600)).toEqual({ min: 1200, max: 1500 });
+      expect(heuristicService.scoreWordCount(65, 30)).toBe(100);
+    });
+  });
+
+  describe('Measured Pacing', () => {
+    test('should score time management from measured speech end', () => {
+      expect(heuristicService.scoreTimeManagement(20, 45, { speech_end: 40, ran_out_of_time: false })).toBe(100);
+      expect(heuristicService.scoreTimeManagement(200, 45, { speech_end: 40, ran_out_of_time: false })).toBe(100);
+    });
+
+    test('should penalize being cut off at the limit', () => {
+      const pacing = { speech_end: 45, overrun_seconds: 0, ran_out_of_time: true, cutoff_text: 'stellen Sie mich' };
+      const result = heuristicService.evaluate(strongPitch, 45, { pacing });
+
+      expect(result.kpis.structure_time.time_management).toBe(40);
+      expect(result.evidence.time_management.rationale).toContain('unterbrochen bei "stellen Sie mich"');
+    });
+  });
+
+  describe('Proposals', () => {
+    test('should propose at most 3 improvements for weak KPIs', () => {
+      const result = heuristicService.evaluate('Wir machen Software.', 45);
+
+      expect(result.proposals.length).toBeGreaterThan(0);
+      expect(result.proposals.length).toBeLessThanOrEqual(3);
+      expect(result.proposals[0].type).toBe('CTA_SPECIFICITY');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Level 1 Unit Tests: LanguageService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests locale resolution, provider language mapping and text-based detection
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const LanguageService = require('../../src/services/LanguageService');
+
+describe('LanguageService Unit Tests', () => {
+  let languageService;
+
+  beforeEach(() => {
+    languageService = new LanguageService();
+  });
+
+  describe('Locales', () => {
+    test('should resolve regional German locales to German', () => {
+      expect(languageService.resolveLocale('de-CH')).toEqual(expect.objectContaining({ code: 'de-CH', language: 'de' }));
+      expect(languageService.resolveLocale('de-at').language).toBe('de');
+      expect(languageService.resolveLocale('en-US').language).toBe('en');
+    });
+
+    test('should treat "auto" and missing values as detection', () => {
+      expect(languageService.resolveLocale('auto')).toBeNull();
+      expect(languageService.resolveLocale(undefined)).toBeNull();
+    });
+
+    test('should reject unknown locales', () => {
+      expect(() => languageService.resolveLocale('fr-FR')).toThrow('Unknown language "fr-FR"');
+    });
+  });
+
+  describe('Provider Languages', () => {
+    test('should map codes and names to base languages', () => {
+      expect(languageService.normalize('de')).toBe('de');
+      expect(languageService.normalize('de-CH')).toBe('de');
+      expect(languageService.normalize('English')).toBe('en');
+      expect(languageService.normalize('german')).toBe('de');
+    });
+
+    test('should return null for unsupported languages', () => {
+      expect(languageService.normalize('fr')).toBeNull();
+      expect(languageService.normalize('')).toBeNull();
+      expect(languageService.normalize(null)).toBeNull();
+    });
+  });
+
+  describe('Detection', () => {
+    test('should detect German and English pitches', () => {
+      expect(languageService.detect('Hallo, ich bin Andreas und helfe Unternehmen mit KI.')).toBe('de');
+      expect(languageService.detect('Grüezi, ich bin Andreas und wir machen das für Sie.')).toBe('de');
+      expect(languageService.detect('Hi, I am Andreas and I help companies with AI.')).toBe('en');
+    });
+
+    test('should stay undecided without function words', () => {
+      expect(languageService.detect('Sigloch Consulting')).toBeNull();
+      expect(languageService.detect('')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Level 1 Unit Tests: PacingService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests pacing measurements from word timestamps
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const PacingService = require('../../src/services/PacingService');
+
+// One word every `step` seconds, starting at `offset`
+const timedWords = (count, step = 0.5, offset = 1, lastWord = 'Ende.') =>
+  Array.from({ length: count }, (_, index) => ({
+    word: index === count - 1 ? lastWord : `wort${index}`,
+    start: offset + index * step,
+    end: offset + index * step + step * 0.8
+  }));
+
+describe('PacingService Unit Tests', () => {
+  let pacingService;
+
+  beforeEach(() => {
+    pacingService = new PacingService();
+  });
+
+  test('should return null without timed words', () => {
+    expect(pacingService.analyze(null, 45)).toBeNull();
+    expect(pacingService.analyze({ words: [] }, 45)).toBeNull();
+  });
+
+  test('should measure spoken duration and words per minute', () => {
+    // 80 words at 2 words/second from 1s to ~40.9s
+    const pacing = pacingService.analyze({ words: timedWords(80) }, 45, { min: 90, max: 120 });
+
+    expect(pacing.speech_start).toBe(1);
+    expect(pacing.spoken_duration).toBe(39.9);
+    expect(pacing.words_per_minute).toBe(120);
+    expect(pacing.target_wpm).toEqual({ min: 120, max: 160 });
+    expect(pacing.unused_seconds).toBe(4.1);
+    expect(pacing.ran_out_of_time).toBe(false);
+  });
+
+  test('should build a timeline in 10 second windows', () => {
+    const pacing = pacingService.analyze({ words: timedWords(80) }, 45);
+
+    expect(pacing.timeline).toHaveLength(5);
+    expect(pacing.timeline[0]).toEqual({ start: 0, end: 10, words: 18, wpm: 108 });
+    expect(pacing.timeline[4].end).toBe(45);
+  });
+
+  test('should detect being cut off mid-sentence at the limit', () => {
+    // Speech runs until the 45s limit and ends without punctuation
+    const pacing = pacingService.analyze({ words: timedWords(88, 0.5, 1, 'bitte') }, 45);
+
+    expect(pacing.ran_out_of_time).toBe(true);
+    expect(pacing.cutoff_text).toContain('bitte');
+  });
+
+  test('should count words spoken after the limit', () => {
+    const pacing = pacingService.analyze({ words: timedWords(100) }, 45);
+
+    expect(pacing.overrun_seconds).toBe(5.9);
+    expect(pacing.words_over_limit).toBe(12);
+    expect(pacing.ran_out_of_time).toBe(true);
+    expect(pacing.cutoff_text.split(' ')).toHaveLength(18);
+  });
+
+  test('should cap the timeline at 60 windows', () => {
+    expect(pacingService.buildTimeline([], 5e7)).toHaveLength(60);
+  });
+
+  describe('Timestamp Validation', () => {
+    test('should accept transcribed timestamps, including an overrun', () => {
+      expect(() => pacingService.assertValidTimestamps({ words: timedWords(100) }, 45, 240)).not.toThrow();
+      expect(() => pacingService.assertValidTimestamps(undefined, 45, 240)).not.toThrow();
+    });
+
+    test('should reject timestamps that cannot be bounded', () => {
+      const check = (words) => () => pacingService.assertValidTimestamps({ words }, 45, 240);
+
+      expect(check([{ word: 'Hallo', start: 0, end: 5e7 }])).toThrow('Invalid word timestamps');
+      expect(check([{ word: 'Hallo', start: -1, end: 1 }])).toThrow('Invalid word timestamps');
+      expect(check([{ word: 'Hallo', start: 2, end: 1 }])).toThrow('Invalid word timestamps');
+      expect(check([{ word: 'Hallo', start: 0, end: null }])).toThrow('Invalid word timestamps');
+      expect(check(timedWords(241, 0.1))).toThrow('Too many words in timestamps: 241');
+      expect(check('Hallo')).toThrow('timestamps.words must be an array');
+    });
+  });
+
+  test('should pass through estimated word timings', () => {
+    const pacing = pacingService.analyze({ words: timedWords(10), estimated: true }, 30);
+
+    expect(pacing.estimated).toBe(true);
+  });
+
+  describe('Script Estimate', () => {
+    const script = count => Array.from({ length: count }, (_, index) => `wort${index}`).join(' ');
+
+    test('should estimate the speaking time from the word count', () => {
+      const estimate = pacingService.estimate(script(91), 45, 130);
+
+      expect(estimate.word_count).toBe(91);
+      expect(estimate.estimated_duration).toBe(42);
+      expect(estimate.max_words).toBe(97);
+      expect(estimate.unused_seconds).toBe(3);
+      expect(estimate.over_time).toBe(false);
+    });
+
+    test('should flag scripts that run over at a slower rate', () => {
+      const estimate = pacingService.estimate(script(91), 45, 100);
+
+      expect(estimate.estimated_duration).toBe(54.6);
+      expect(estimate.overrun_seconds).toBe(9.6);
+      expect(estimate.over_time).toBe(true);
+    });
+
+    test('should return null for an empty script', () => {
+      expect(pacingService.estimate('  ', 45, 130)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Level 1 Unit Tests: RubricService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests rubric loading, validation and derived weights/defaults
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const RubricService = require('../../src/services/RubricService');
+const EvaluationService = require('../../src/services/EvaluationService');
+
+jest.mock('axios');
+
+describe('RubricService Unit Tests', () => {
+  const customRubric = {
+    version: 'chapter-test-1',
+    categories: [
+      {
+        key: 'call_to_action',
+        weight: 60,
+        labels: { de: 'Call-to-Action', en: 'Call to Action' },
+        kpis: [
+          { key: 'specific_referral_ask', labels: { de: 'Anfrage' }, descriptions: { de: 'Konkrete Anfrage' } }
+        ]
+      },
+      {
+        key: 'storytelling',
+        prompt_title: 'STORYTELLING',
+        weight: 40,
+        labels: { de: 'Storytelling', en: 'Storytelling' },
+        kpis: [
+          { key: 'story_arc', labels: { de: 'Spannungsbogen' }, descriptions: { de: 'Geschichte mit Spannungsbogen' } }
+        ]
+      }
+    ],
+    proposal_types: [{ key: 'ADD_STORY', labels: { de: 'Geschichte erzählen' } }]
+  };
+
+  describe('Default Rubric', () => {
+    let rubricService;
+
+    beforeEach(() => {
+      rubricService = new RubricService();
+    });
+
+    test('should load the default rubric file', () => {
+      expect(rubricService.version).toBe('bni-default-2');
+      expect(rubricService.getCategories()).toHaveLength(5);
+      expect(rubricService.getKpiKeys()).toHaveLength(17);
+    });
+
+    test('should derive the 40/25/20/15 weights', () => {
+      expect(rubricService.getWeights()).toEqual({
+        call_to_action: 0.4,
+        structure_time: 0.25,
+        content_clarity: 0.2,
+        memorability: 0.15,
+        delivery: 0
+      });
+    });
+
+    test('should leave measured categories out of the prompt categories', () => {
+      const promptCategories = rubricService.getPromptCategories();
+
+      expect(promptCategories.map(category => category.key)).not.toContain('delivery');
+      expect(rubricService.getKpiKeys(promptCategories)).toHaveLength(15);
+    });
+
+    test('should build zeroed default KPIs', () => {
+      const defaults = rubricService.getDefaultKpis();
+
+      expect(defaults.memorability).toEqual({
+        hook_tagline_presence: 0,
+        unique_element: 0,
+        concrete_examples: 0
+      });
+    });
+
+    test('should provide German and English labels', () => {
+      const category = rubricService.getCategories()[0];
+
+      expect(category.labels.de).toBe('Call-to-Action');
+      expect(category.labels.en).toBeDefined();
+      expect(category.kpis[0].labels.en).toBeDefined();
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject a rubric without version', () => {
+      expect(() => new RubricService({ categories: [] })).toThrow('version is required');
+    });
+
+    test('should reject duplicated KPI keys', () => {
+      const rubric = {
+        version: 'x',
+        categories: [
+          { key: 'a', weight: 1, kpis: [{ key: 'same' }] },
+          { key: 'b', weight: 1, kpis: [{ key: 'same' }] }
+        ]
+      };
+
+      expect(() => new RubricService(rubric)).toThrow('missing or duplicated');
+    });
+
+    test('should report unreadable rubric files', () => {
+      expect(() => RubricService.loadFromFile('/does/not/exist.json')).toThrow('Failed to load rubric');
+    });
+  });
+
+  describe('Custom Rubric in Evaluation', () => {
+    let evalService;
+
+    beforeEach(() => {
+      evalService = new EvaluationService(undefined, new RubricService(customRubric));
+    });
+
+    test('should normalize weights over the rubric total', () => {
+      const validated = evalService.validateEvaluationResult({
+        kpis: {
+          call_to_action: { specific_referral_ask: 50 },
+          storytelling: { story_arc: 100 }
+        }
+      });
+
+      // 50 * 0.6 + 100 * 0.4 = 70
+      expect(validated.overall_score).toBe(70);
+    });
+
+    test('should build the prompt from the rubric', () => {
+      const prompt = evalService.buildEvaluationPrompt('Test', 45);
+
+      expect(prompt).toContain('STORYTELLING (40% Gewichtung)');
+      expect(prompt).toContain('story_arc: Geschichte mit Spannungsbogen');
+      expect(prompt).toContain('ADD_STORY');
+      expect(prompt).not.toContain('memorability');
+    });
+  });
+});
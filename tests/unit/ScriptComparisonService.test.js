@@ -0,0 +1,98 @@
+/**
+ * Level 1 Unit Tests: ScriptComparisonService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests the word-level comparison of a written script with its delivery
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const ScriptComparisonService = require('../../src/services/ScriptComparisonService');
+
+const SCRIPT = 'Mein Name ist Anna Muster von Muster GmbH. Wir installieren Wärmepumpen für Familien. ' +
+  'Seit zwölf Jahren sparen unsere Kunden Heizkosten. Ich suche Kontakt zu Hausverwaltungen in Stuttgart.';
+
+// Timed words at one word per second
+const timed = text => ({
+  words: text.split(/\s+/).map((word, index) => ({ word, start: index, end: index + 0.8 }))
+});
+
+describe('ScriptComparisonService Unit Tests', () => {
+  let comparisonService;
+
+  beforeEach(() => {
+    comparisonService = new ScriptComparisonService();
+  });
+
+  test('should report full coverage for a verbatim delivery', () => {
+    const result = comparisonService.compare(SCRIPT, SCRIPT.toLowerCase().replace(/\./g, ''));
+
+    expect(result.coverage_percent).toBe(100);
+    expect(result.sentences).toHaveLength(4);
+    expect(result.sentences.every(sentence => sentence.status === 'delivered')).toBe(true);
+    expect(result.missed_key_sentences).toEqual([]);
+    expect(result.improvised).toEqual([]);
+    expect(result.timed).toBe(false);
+  });
+
+  test('should flag a dropped call-to-action as missed key sentence', () => {
+    const transcript = 'Mein Name ist Anna Muster von Muster GmbH. Wir installieren Wärmepumpen für Familien. ' +
+      'Seit zwölf Jahren sparen unsere Kunden Heizkosten.';
+    const result = comparisonService.compare(SCRIPT, transcript);
+
+    expect(result.coverage_percent).toBe(74);
+    expect(result.sentences[3]).toMatchObject({ status: 'missed', key: 'call_to_action', coverage_percent: 0 });
+    expect(result.sentences[0].key).toBe('introduction');
+    expect(result.missed_key_sentences.map(sentence => sentence.text))
+      .toEqual(['Ich suche Kontakt zu Hausverwaltungen in Stuttgart.']);
+  });
+
+  test('should mark partly spoken sentences and improvised passages', () => {
+    const transcript = 'Mein Name ist Anna Muster von Muster GmbH. Wir machen Wärmepumpen. ' +
+      'Das ist gerade ein riesiges Thema bei uns. Seit zwölf Jahren sparen unsere Kunden Heizkosten. ' +
+      'Ich suche Kontakt zu Hausverwaltungen in Stuttgart.';
+    const result = comparisonService.compare(SCRIPT, transcript);
+
+    expect(result.sentences[1]).toMatchObject({ status: 'partial', coverage_percent: 40 });
+    expect(result.improvised).toEqual([
+      expect.objectContaining({ text: 'Das ist gerade ein riesiges Thema bei uns', word_count: 8 })
+    ]);
+    expect(transcript.slice(result.improvised[0].start, result.improvised[0].end)).toBe(result.improvised[0].text);
+  });
+
+  test('should find sentences spoken after the time limit', () => {
+    const result = comparisonService.compare(SCRIPT, SCRIPT, { timestamps: timed(SCRIPT), duration: 20 });
+
+    expect(result.timed).toBe(true);
+    expect(result.sentences.map(sentence => sentence.spoken_at)).toEqual([0, 8, 13, 20]);
+    expect(result.over_limit).toEqual({
+      duration: 20,
+      sentence_count: 1,
+      first_sentence: 'Ich suche Kontakt zu Hausverwaltungen in Stuttgart.'
+    });
+  });
+
+  test('should time a transcript edited after transcription', () => {
+    const spoken = 'Mein Name ist Anna Muster von Muster GmbH.';
+    const result = comparisonService.compare(SCRIPT, 'Mein Name ist Anna Muster von der Muster GmbH.', {
+      timestamps: timed(spoken),
+      duration: 45
+    });
+
+    expect(result.sentences[0].spoken_at).toBe(0);
+    expect(result.sentences[1].spoken_at).toBeNull();
+    expect(result.over_limit).toBeNull();
+  });
+
+  test('should bound the compared word counts by the format', () => {
+    const formats = [{ word_range: { min: 60, max: 75 } }, { word_range: { min: 90, max: 120 } }];
+    const words = count => Array.from({ length: count }, (_, index) => `wort${index}`).join(' ');
+
+    expect(comparisonService.getWordLimit(formats)).toBe(240);
+    expect(comparisonService.getWordLimit(formats.slice(0, 1))).toBe(150);
+    expect(() => comparisonService.assertWithinLimit({ script: words(150), transcript: words(150) }, 150)).not.toThrow();
+    expect(() => comparisonService.assertWithinLimit({ script: words(151), transcript: words(10) }, 150))
+      .toThrow('Too many words in script: 151, at most 150 can be compared');
+    expect(() => comparisonService.assertWithinLimit({ script: words(10), transcript: words(10), timestamps: { words: new Array(151).fill({}) } }, 150))
+      .toThrow('Too many words in timestamps: 151');
+  });
+});
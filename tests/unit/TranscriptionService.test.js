@@ -0,0 +1,315 @@
+/**
+ * Level 1 Unit Tests: TranscriptionService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests request building and timestamp normalization with mocked axios
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const TranscriptionService = require('../../src/services/TranscriptionService');
+const {
+  createTranscriptionProvider,
+  OpenAICompatibleTranscriptionProvider,
+  WhisperCppProvider
+} = require('../../src/services/transcription');
+
+jest.mock('axios');
+const axios = require('axios');
+
+describe('TranscriptionService Unit Tests', () => {
+  let transcriptionService;
+
+  beforeEach(() => {
+    transcriptionService = new TranscriptionService();
+    jest.clearAllMocks();
+  });
+
+  describe('Timestamp Normalization', () => {
+    test('should normalize top-level word timestamps', () => {
+      const timestamps = transcriptionService.normalizeTimestamps({
+        segments: [{ start: 0.5, end: 2.04, text: ' Hallo ich bin Andreas. ' }],
+        words: [
+          { word: ' Hallo', start: 0.5, end: 0.9 },
+          { word: 'ich', start: 1.0, end: 1.2 },
+          { word: '', start: 1.2, end: 1.3 }
+        ]
+      });
+
+      expect(timestamps.segments).toEqual([{ start: 0.5, end: 2.04, text: 'Hallo ich bin Andreas.' }]);
+      expect(timestamps.words).toEqual([
+        { word: 'Hallo', start: 0.5, end: 0.9 },
+        { word: 'ich', start: 1, end: 1.2 }
+      ]);
+      expect(timestamps.estimated).toBe(false);
+    });
+
+    test('should keep reported word probabilities and segment log-probabilities', () => {
+      const timestamps = transcriptionService.normalizeTimestamps({
+        segments: [{ start: 0, end: 1, text: 'Hallo', avg_logprob: -0.25 }],
+        words: [{ word: 'Hallo', start: 0, end: 0.8, probability: 0.93 }]
+      });
+
+      expect(timestamps.segments[0].avg_logprob).toBe(-0.25);
+      expect(timestamps.words[0].probability).toBe(0.93);
+    });
+
+    test('should read words nested in segments', () => {
+      const timestamps = transcriptionService.normalizeTimestamps({
+        segments: [{ start: 0, end: 1, text: 'Hallo', words: [{ text: 'Hallo', start: 0, end: 1 }] }]
+      });
+
+      expect(timestamps.words).toEqual([{ word: 'Hallo', start: 0, end: 1 }]);
+    });
+
+    test('should estimate word times from segments', () => {
+      const timestamps = transcriptionService.normalizeTimestamps({
+        segments: [{ start: 2, end: 4, text: 'Ich bin Andreas Sigloch' }]
+      });
+
+      expect(timestamps.estimated).toBe(true);
+      expect(timestamps.words.map(word => word.start)).toEqual([2, 2.5, 3, 3.5]);
+      expect(timestamps.words[3].end).toBe(4);
+    });
+
+    test('should return empty timestamps for plain JSON responses', () => {
+      expect(transcriptionService.normalizeTimestamps({ text: 'Hallo' })).toEqual({
+        segments: [],
+        words: [],
+        estimated: false
+      });
+    });
+  });
+
+  describe('Transcription Request', () => {
+    test('should request verbose JSON with timestamps', async () => {
+      axios.post.mockResolvedValue({
+        data: {
+          text: 'Hallo',
+          segments: [{ start: 0, end: 1, text: 'Hallo' }],
+          words: [{ word: 'Hallo', start: 0, end: 0.8 }]
+        }
+      });
+
+      const result = await transcriptionService.transcribe(Buffer.from('audio'), 'audio/webm');
+      const body = axios.post.mock.calls[0][1].getBuffer().toString();
+
+      expect(body).toContain('verbose_json');
+      expect(body).toContain('timestamp_granularities[]');
+      expect(body).not.toContain('name="language"');
+      expect(result.timestamps.words).toHaveLength(1);
+    });
+
+    test('should fall back to a language hint without timestamps', async () => {
+      process.env.TRANSCRIPTION_TIMESTAMPS = 'none';
+      const service = new TranscriptionService();
+      delete process.env.TRANSCRIPTION_TIMESTAMPS;
+      axios.post.mockResolvedValue({ data: { text: 'Hallo' } });
+
+      const result = await service.transcribe(Buffer.from('audio'), 'audio/webm');
+      const body = axios.post.mock.calls[0][1].getBuffer().toString();
+
+      expect(body).toContain('name="language"');
+      expect(result.timestamps.words).toEqual([]);
+    });
+  });
+  describe('Transcription Provider Layer', () => {
+    test('should default to the Voxtral provider', () => {
+      expect(transcriptionService.provider.name).toBe('voxtral');
+      expect(transcriptionService.model).toBe('voxtral-mini-latest');
+    });
+
+    test('should require the Mistral API key for Voxtral', () => {
+      expect(() => createTranscriptionProvider({})).toThrow('MISTRAL_API_KEY environment variable is required');
+    });
+
+    test('should create an OpenAI-compatible provider from config', () => {
+      const provider = createTranscriptionProvider({
+        TRANSCRIPTION_PROVIDER: 'openai',
+        TRANSCRIPTION_BASE_URL: 'http://localhost:8000/v1/',
+        TRANSCRIPTION_MODEL: 'Systran/faster-whisper-small'
+      });
+
+      expect(provider).toBeInstanceOf(OpenAICompatibleTranscriptionProvider);
+      expect(provider.getEndpoint()).toBe('http://localhost:8000/v1/audio/transcriptions');
+      expect(provider.timestampGranularities).toEqual(['segment', 'word']);
+    });
+
+    test('should create a whisper.cpp provider without an API key', () => {
+      const provider = createTranscriptionProvider({ TRANSCRIPTION_PROVIDER: 'whisper_cpp' });
+
+      expect(provider).toBeInstanceOf(WhisperCppProvider);
+      expect(provider.getEndpoint()).toBe('http://localhost:8080/inference');
+      expect(provider.apiKey).toBeUndefined();
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createTranscriptionProvider({ TRANSCRIPTION_PROVIDER: 'foo' })).toThrow('Unknown TRANSCRIPTION_PROVIDER');
+    });
+
+    test('should keep the language hint for OpenAI-compatible timestamps', () => {
+      const provider = createTranscriptionProvider({ TRANSCRIPTION_PROVIDER: 'openai' });
+      const body = provider.buildForm(Buffer.from('audio'), 'audio/wav').getBuffer().toString();
+
+      expect(body).toContain('name="language"');
+      expect(body).toContain('verbose_json');
+      expect(body).toContain('filename="audio.wav"');
+    });
+
+    test('should send whisper.cpp requests to the inference endpoint', async () => {
+      axios.post.mockResolvedValue({
+        data: { text: ' Hallo zusammen ', segments: [{ start: 0, end: 1.5, text: 'Hallo zusammen' }] }
+      });
+      const service = new TranscriptionService(createTranscriptionProvider({ TRANSCRIPTION_PROVIDER: 'whisper_cpp' }));
+
+      const result = await service.transcribe(Buffer.from('audio'), 'audio/webm');
+      const body = axios.post.mock.calls[0][1].getBuffer().toString();
+
+      expect(axios.post.mock.calls[0][0]).toBe('http://localhost:8080/inference');
+      expect(body).not.toContain('name="model"');
+      expect(result.transcript).toBe('Hallo zusammen');
+      expect(result.provider).toBe('whisper_cpp');
+      expect(result.timestamps.estimated).toBe(true);
+    });
+
+    test('should map API errors and timeouts', async () => {
+      axios.post.mockRejectedValueOnce({
+        response: { data: { message: 'Unauthorized' }, statusText: 'Unauthorized' }
+      });
+      await expect(transcriptionService.transcribe(Buffer.from('audio'), 'audio/webm'))
+        .rejects.toThrow('Mistral API error: Unauthorized');
+
+      axios.post.mockRejectedValueOnce({ code: 'ECONNABORTED', message: 'timeout' });
+      await expect(transcriptionService.transcribe(Buffer.from('audio'), 'audio/webm'))
+        .rejects.toThrow('Transcription timeout - audio file may be too large');
+    });
+  });
+
+  describe('Confidence', () => {
+    test('should report provider confidence and uncertain words', async () => {
+      axios.post.mockResolvedValue({
+        data: {
+          text: 'Ich bin Steuerberaterin in Ulm.',
+          words: [
+            { word: 'Ich', start: 0, end: 0.2, probability: 0.98 },
+            { word: 'bin', start: 0.2, end: 0.4, probability: 0.97 },
+            { word: 'Steuerberaterin', start: 0.4, end: 1.2, probability: 0.95 },
+            { word: 'in', start: 1.2, end: 1.3, probability: 0.9 },
+            { word: 'Ulm.', start: 1.3, end: 1.6, probability: 0.3 }
+          ]
+        }
+      });
+
+      const result = await transcriptionService.transcribe(Buffer.from('audio'), 'audio/webm');
+
+      expect(result.confidence_source).toBe('word_probability');
+      expect(result.confidence).toBeCloseTo(0.82, 2);
+      expect(result.low_confidence).toEqual([{ start: 27, end: 30, text: 'Ulm', confidence: 0.3 }]);
+    });
+
+    test('should not invent a confidence without provider data or live transcript', async () => {
+      axios.post.mockResolvedValue({ data: { text: 'Hallo, ich bin Andreas.' } });
+
+      const result = await transcriptionService.transcribe(Buffer.from('audio'), 'audio/webm');
+
+      expect(result.confidence).toBeNull();
+      expect(result.low_confidence).toEqual([]);
+    });
+  });
+
+  describe('Language Selection', () => {
+    test('should send the chosen language and report it', async () => {
+      const service = new TranscriptionService(createTranscriptionProvider({ TRANSCRIPTION_PROVIDER: 'openai' }));
+      axios.post.mockResolvedValue({ data: { text: 'Hi, I help small businesses with their taxes.' } });
+
+      const result = await service.transcribe(Buffer.from('audio'), 'audio/webm', { language: 'en' });
+      const body = axios.post.mock.calls[0][1].getBuffer().toString();
+
+      expect(body).toMatch(/name="language"\r\n\r\nen\r\n/);
+      expect(result.language).toBe('en');
+    });
+
+    test('should send the chosen language to Voxtral without timestamps', async () => {
+      axios.post.mockResolvedValue({ data: { text: 'Hi, I help small businesses with their taxes.' } });
+
+      const result = await transcriptionService.transcribe(Buffer.from('audio'), 'audio/webm', { language: 'en' });
+      const body = axios.post.mock.calls[0][1].getBuffer().toString();
+
+      expect(body).toMatch(/name="language"\r\n\r\nen\r\n/);
+      expect(body).not.toContain('timestamp_granularities[]');
+      expect(body).toMatch(/name="response_format"\r\n\r\njson\r\n/);
+      expect(result.timestamps.words).toEqual([]);
+    });
+
+    test('should report which providers drop timestamps for a chosen language', () => {
+      expect(transcriptionService.provider.dropsTimestampsForLanguage()).toBe(true);
+      expect(createTranscriptionProvider({ TRANSCRIPTION_PROVIDER: 'openai' }).dropsTimestampsForLanguage()).toBe(false);
+      expect(new WhisperCppProvider().dropsTimestampsForLanguage()).toBe(false);
+    });
+
+    test('should let the provider detect the language for "auto"', async () => {
+      const service = new TranscriptionService(createTranscriptionProvider({ TRANSCRIPTION_PROVIDER: 'openai' }));
+      axios.post.mockResolvedValue({ data: { text: 'Hi, I am Andreas.', language: 'english' } });
+
+      const result = await service.transcribe(Buffer.from('audio'), 'audio/webm', { language: null });
+      const body = axios.post.mock.calls[0][1].getBuffer().toString();
+
+      expect(body).not.toContain('name="language"');
+      expect(result.language).toBe('en');
+    });
+
+    test('should ask whisper.cpp to detect the language', () => {
+      const provider = createTranscriptionProvider({ TRANSCRIPTION_PROVIDER: 'whisper_cpp' });
+      const body = provider.buildForm(Buffer.from('audio'), 'audio/webm', { language: null }).getBuffer().toString();
+
+      expect(body).toMatch(/name="language"\r\n\r\nauto\r\n/);
+    });
+
+    test('should detect the language from the transcript without provider output', async () => {
+      axios.post.mockResolvedValue({ data: { text: 'Hello, my name is Andreas and I help you with the move.' } });
+
+      const result = await transcriptionService.transcribe(Buffer.from('audio'), 'audio/webm');
+
+      expect(result.language).toBe('en');
+    });
+  });
+
+  describe('Vocabulary Hints', () => {
+    const vocabulary = { name: 'Andreas Sigloch', company: 'Sigloch Consulting', terms: ['Photovoltaik'] };
+
+    test('should send Voxtral context bias terms and correct the transcript', async () => {
+      axios.post.mockResolvedValue({ data: { text: 'Ich bin Andreas Sieglok von Sigloch Konsulting.' } });
+
+      const result = await transcriptionService.transcribe(Buffer.from('audio'), 'audio/webm', { vocabulary });
+      const body = axios.post.mock.calls[0][1].getBuffer().toString();
+
+      expect(body.match(/name="context_bias"/g)).toHaveLength(3);
+      expect(body).toContain('Sigloch Consulting');
+      expect(body).not.toContain('name="prompt"');
+      expect(result.transcript).toBe('Ich bin Andreas Sigloch von Sigloch Consulting.');
+      expect(result.corrections).toEqual([
+        { from: 'Andreas Sieglok', to: 'Andreas Sigloch' },
+        { from: 'Sigloch Konsulting', to: 'Sigloch Consulting' }
+      ]);
+    });
+
+    test('should send a prompt to Whisper-style providers', () => {
+      const provider = createTranscriptionProvider({ TRANSCRIPTION_PROVIDER: 'whisper_cpp' });
+      const body = provider.buildForm(Buffer.from('audio'), 'audio/wav', {
+        prompt: 'Unternehmen: Sigloch Consulting.'
+      }).getBuffer().toString();
+
+      expect(body).toContain('name="prompt"');
+      expect(body).toContain('Unternehmen: Sigloch Consulting.');
+    });
+
+    test('should leave the request unchanged without vocabulary', async () => {
+      axios.post.mockResolvedValue({ data: { text: 'Hallo' } });
+
+      const result = await transcriptionService.transcribe(Buffer.from('audio'), 'audio/webm');
+      const body = axios.post.mock.calls[0][1].getBuffer().toString();
+
+      expect(body).not.toContain('context_bias');
+      expect(result.corrections).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Level 1 Unit Tests: VocabularyService
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests vocabulary validation, prompt hints and fuzzy correction of transcripts
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const VocabularyService = require('../../src/services/VocabularyService');
+
+describe('VocabularyService Unit Tests', () => {
+  let vocabularyService;
+
+  beforeEach(() => {
+    vocabularyService = new VocabularyService();
+  });
+
+  describe('Normalization', () => {
+    test('should split comma-separated terms and trim values', () => {
+      const vocabulary = vocabularyService.normalize({
+        name: '  Andreas   Sigloch ',
+        company: 'Sigloch Consulting',
+        terms: 'Photovoltaik, Wärmepumpe, , Photovoltaik'
+      });
+
+      expect(vocabulary).toEqual({
+        name: 'Andreas Sigloch',
+        company: 'Sigloch Consulting',
+        terms: ['Photovoltaik', 'Wärmepumpe']
+      });
+    });
+
+    test('should return null for empty or invalid input', () => {
+      expect(vocabularyService.normalize(null)).toBeNull();
+      expect(vocabularyService.normalize('Sigloch')).toBeNull();
+      expect(vocabularyService.normalize({ name: ' ', terms: [] })).toBeNull();
+    });
+
+    test('should build a German prompt hint', () => {
+      const prompt = vocabularyService.buildPrompt({ name: 'Andreas Sigloch', company: '', terms: ['Photovoltaik', 'Wärmepumpe'] });
+
+      expect(prompt).toBe('Sprecher: Andreas Sigloch. Fachbegriffe: Photovoltaik, Wärmepumpe.');
+      expect(vocabularyService.buildPrompt(null)).toBe('');
+    });
+  });
+
+  describe('Fuzzy Correction', () => {
+    const vocabulary = { name: 'Andreas Sigloch', company: 'Sigloch Consulting', terms: ['Photovoltaik', 'KI'] };
+
+    test('should correct near-misses to the given spelling', () => {
+      const result = vocabularyService.correct('Wir planen Fotovoltaik-Anlagen mit Sigloch Konsulting.', vocabulary);
+
+      expect(result.transcript).toBe('Wir planen Photovoltaik-Anlagen mit Sigloch Consulting.');
+      expect(result.corrections).toEqual([
+        { from: 'Fotovoltaik', to: 'Photovoltaik' },
+        { from: 'Sigloch Konsulting', to: 'Sigloch Consulting' }
+      ]);
+    });
+
+    test('should match names split into or merged from several words', () => {
+      const result = vocabularyService.correct('Mein Name ist Andreas Sig Loch.', vocabulary);
+
+      expect(result.transcript).toBe('Mein Name ist Andreas Sigloch.');
+    });
+
+    test('should not touch exact matches, short words or unrelated words', () => {
+      const text = 'Andreas Sigloch nutzt KI, nicht Ski, und bauen ist kein Name.';
+      const result = vocabularyService.correct(text, { ...vocabulary, terms: ['KI', 'Bauer'] });
+
+      expect(result.transcript).toBe(text);
+      expect(result.corrections).toEqual([]);
+    });
+
+    test('should return the transcript unchanged without vocabulary', () => {
+      expect(vocabularyService.correct('Hallo zusammen', null)).toEqual({ transcript: 'Hallo zusammen', corrections: [] });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Level 1 Unit Tests: audioFile
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests upload validation against the server's accepted audio formats
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { validateAudioFile } from '../../src/utils/audioFile';
+
+// Minimal File for Node: validateAudioFile only reads name, type and size
+class TestFile {
+  constructor(parts, name, options = {}) {
+    this.name = name;
+    this.type = options.type || '';
+    this.size = parts.reduce((sum, part) => sum + (part.size !== undefined ? part.size : part.length), 0);
+  }
+}
+
+describe('audioFile Unit Tests', () => {
+  const catalogue = {
+    formats: [
+      { label: 'WAV', extensions: ['wav'], mime_types: ['audio/wav', 'audio/x-wav'] },
+      { label: 'MP3', extensions: ['mp3'], mime_types: ['audio/mp3', 'audio/mpeg'] },
+      { label: 'M4A', extensions: ['m4a'], mime_types: ['audio/m4a', 'audio/mp4', 'audio/x-m4a'] }
+    ],
+    max_file_size: 1024
+  };
+
+  beforeAll(() => {
+    global.File = TestFile;
+  });
+
+  afterAll(() => {
+    delete global.File;
+  });
+
+  test('should accept files with an allowed MIME type', () => {
+    const file = new TestFile(['data'], 'pitch.mp3', { type: 'audio/mpeg' });
+
+    expect(validateAudioFile(file, catalogue)).toEqual({ file });
+  });
+
+  test('should relabel files without MIME type by extension', () => {
+    const result = validateAudioFile(new TestFile(['data'], 'Meeting.M4A'), catalogue);
+
+    expect(result.file.type).toBe('audio/m4a');
+    expect(result.file.name).toBe('Meeting.M4A');
+  });
+
+  test('should reject unsupported formats with the allowed list', () => {
+    const result = validateAudioFile(new TestFile(['data'], 'pitch.ogg', { type: 'audio/ogg' }), catalogue);
+
+    expect(result.error).toBe('Dateiformat nicht unterstützt. Erlaubt sind: WAV, MP3, M4A.');
+  });
+
+  test('should reject files above the size limit and empty files', () => {
+    const large = new TestFile([{ size: 2048 }], 'pitch.wav', { type: 'audio/wav' });
+    const empty = new TestFile([], 'pitch.wav', { type: 'audio/wav' });
+
+    expect(validateAudioFile(large, catalogue).error).toContain('zu groß');
+    expect(validateAudioFile(empty, catalogue).error).toBe('Die Datei ist leer.');
+    expect(validateAudioFile(null, catalogue).error).toBe('Keine Datei ausgewählt.');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Level 1 Unit Tests: history
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests practice history entries, format filter, trends and the weekly comparison
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { calculateCategoryScores, buildHistoryEntry, findMissingEntries, filterHistory, buildTrend, compareWeeks } from '../../src/utils/history';
+
+describe('history Unit Tests', () => {
+  const format = { key: 'standard_60', duration: 60 };
+  const result = {
+    overall_score: 71,
+    input_type: 'recording',
+    evaluation_mode: 'ai',
+    word_count: 112,
+    kpis: {
+      call_to_action: { specific_referral_ask: 80, contact_method_clarity: 65 },
+      memorability: { hook_tagline: 50 },
+      delivery: {}
+    },
+    proposals: [{ type: 'CTA_SPECIFICITY', title: 'Konkreter fragen', description: 'Lang...', priority: 'HIGH' }]
+  };
+
+  const entry = (createdAt, formatKey, overall, ask) => ({
+    created_at: createdAt,
+    format: formatKey,
+    overall_score: overall,
+    categories: { call_to_action: ask },
+    kpis: { call_to_action: { specific_referral_ask: ask } }
+  });
+
+  test('should average category scores like the results view', () => {
+    expect(calculateCategoryScores(result.kpis)).toEqual({ call_to_action: 73, memorability: 50 });
+    expect(calculateCategoryScores(undefined)).toEqual({});
+  });
+
+  test('should build a compact entry and keep the transcript only on opt-in', () => {
+    const createdAt = new Date('2026-03-02T10:00:00Z');
+    const saved = buildHistoryEntry(result, { format, transcript: 'Hallo', createdAt });
+
+    expect(saved).toEqual({
+      created_at: '2026-03-02T10:00:00.000Z',
+      format: 'standard_60',
+      duration: 60,
+      input_type: 'recording',
+      evaluation_mode: 'ai',
+      overall_score: 71,
+      categories: { call_to_action: 73, memorability: 50 },
+      kpis: result.kpis,
+      proposals: [{ type: 'CTA_SPECIFICITY', title: 'Konkreter fragen', priority: 'HIGH' }],
+      word_count: 112,
+      transcript: null
+    });
+    expect(buildHistoryEntry(result, { format, transcript: 'Hallo', saveTranscript: true }).transcript).toBe('Hallo');
+  });
+
+  test('should find synced entries this device is missing', () => {
+    const local = [{ id: 1, ...entry('2026-03-01T10:00:00Z', 'standard_60', 60, 50) }];
+    const remote = [
+      { id: 7, ...entry('2026-03-01T10:00:00Z', 'standard_60', 60, 50) },
+      { id: 8, ...entry('2026-03-02T10:00:00Z', 'standard_60', 64, 55) }
+    ];
+
+    expect(findMissingEntries(local, remote)).toEqual([entry('2026-03-02T10:00:00Z', 'standard_60', 64, 55)]);
+    expect(findMissingEntries(remote, local)).toEqual([]);
+  });
+
+  test('should filter by format and build sorted trends per metric', () => {
+    const entries = [
+      entry('2026-03-05T10:00:00Z', 'standard_60', 70, 80),
+      entry('2026-03-01T10:00:00Z', 'standard_60', 60, 50),
+      entry('2026-03-03T10:00:00Z', 'short_45', 65, undefined)
+    ];
+
+    expect(filterHistory(entries, { format: 'short_45' })).toHaveLength(1);
+    expect(filterHistory(entries)).toHaveLength(3);
+    expect(buildTrend(entries, { type: 'overall' }).map(point => point.value)).toEqual([60, 65, 70]);
+    expect(buildTrend(entries, { type: 'category', key: 'call_to_action' }).map(point => point.value)).toEqual([50, 80]);
+    expect(buildTrend(entries, { type: 'kpi', key: 'specific_referral_ask' })).toEqual([
+      { created_at: '2026-03-01T10:00:00Z', value: 50 },
+      { created_at: '2026-03-05T10:00:00Z', value: 80 }
+    ]);
+  });
+
+  test('should compare the last seven days with the week before', () => {
+    const now = new Date('2026-03-15T12:00:00Z');
+    const points = [
+      { created_at: '2026-03-02T10:00:00Z', value: 40 },
+      { created_at: '2026-03-06T10:00:00Z', value: 60 },
+      { created_at: '2026-03-07T10:00:00Z', value: 50 },
+      { created_at: '2026-03-14T10:00:00Z', value: 70 }
+    ];
+
+    expect(compareWeeks(points, now)).toEqual({ thisWeek: 70, lastWeek: 50, change: 20 });
+    expect(compareWeeks(points.slice(3), now)).toEqual({ thisWeek: 70, lastWeek: null, change: null });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Level 1 Unit Tests: inputLevel
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests microphone level measurement and the clipping / silence warnings
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { measureLevel, assessLevels } from '../../src/utils/inputLevel';
+
+describe('inputLevel Unit Tests', () => {
+  const sine = (amplitude, length = 1024) =>
+    Float32Array.from({ length }, (_, index) => amplitude * Math.sin((index / length) * Math.PI * 40));
+
+  test('should measure rms, peak and meter position', () => {
+    const level = measureLevel(sine(0.5));
+
+    expect(level.rms).toBeCloseTo(0.354, 3);
+    expect(level.peak).toBeCloseTo(0.5, 2);
+    expect(level.meter).toBeCloseTo(0.85, 2);
+    expect(measureLevel(new Float32Array(128)).meter).toBe(0);
+  });
+
+  test('should wait for enough measurements', () => {
+    expect(assessLevels([{ rms: 0.1, peak: 0.3 }])).toBeNull();
+  });
+
+  test('should detect clipping, silence and normal input', () => {
+    const normal = Array.from({ length: 20 }, () => ({ rms: 0.05, peak: 0.4 }));
+
+    expect(assessLevels(normal)).toBe('ok');
+    expect(assessLevels([...normal.slice(2), { rms: 0.3, peak: 1 }, { rms: 0.3, peak: 1 }])).toBe('clipping');
+    expect(assessLevels([...normal.slice(1), { rms: 0.3, peak: 1 }])).toBe('ok');
+    expect(assessLevels(Array.from({ length: 20 }, () => ({ rms: 0.001, peak: 0.003 })))).toBe('too_quiet');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Level 1 Unit Tests: livePace
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests the live word count, speaking rate and end-of-timer projection
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { getLivePace } from '../../src/utils/livePace';
+import { tokenize } from '../../src/utils/words';
+
+describe('livePace Unit Tests', () => {
+  const wordRange = { min: 90, max: 120 };
+  const words = count => Array.from({ length: count }, (_, index) => `wort${index}`).join(' ');
+
+  test('should count words but not project in the first seconds', () => {
+    const pace = getLivePace(words(6), 3, 45, wordRange);
+
+    expect(pace).toEqual({
+      words: 6,
+      wordsPerMinute: null,
+      projectedWords: null,
+      status: null,
+      targetWpm: { min: 120, max: 160 }
+    });
+  });
+
+  test('should project a pace inside the target range', () => {
+    const pace = getLivePace(words(30), 12, 45, wordRange);
+
+    expect(pace.wordsPerMinute).toBe(150);
+    expect(pace.projectedWords).toBe(113);
+    expect(pace.status).toBe('on_target');
+  });
+
+  test('should flag projections below and above the range', () => {
+    expect(getLivePace(words(20), 15, 45, wordRange).status).toBe('under');
+    expect(getLivePace(words(50), 15, 45, wordRange).status).toBe('over');
+  });
+
+  test('should count words like the teleprompter, without dashes', () => {
+    const transcript = 'Hallo – ich bin Andreas, z.B. für E-Mail-Marketing.';
+
+    expect(getLivePace(transcript, 10, 45, wordRange).words).toBe(7);
+    expect(tokenize(transcript)).toHaveLength(7);
+  });
+});
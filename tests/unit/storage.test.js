@@ -0,0 +1,65 @@
+/**
+ * Level 1 Unit Tests: storage
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests reading and saving member settings, with and without a usable localStorage
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { loadSetting, loadJsonSetting, saveSetting, saveJsonSetting } from '../../src/utils/storage';
+
+describe('storage Unit Tests', () => {
+  const createStorage = () => {
+    const values = new Map();
+    return {
+      getItem: (key) => (values.has(key) ? values.get(key) : null),
+      setItem: (key, value) => values.set(key, String(value)),
+      removeItem: (key) => values.delete(key)
+    };
+  };
+
+  afterEach(() => {
+    delete global.localStorage;
+    jest.restoreAllMocks();
+  });
+
+  test('should save, load and remove settings', () => {
+    global.localStorage = createStorage();
+
+    expect(saveSetting('pitchtrainer.teleprompter', true)).toBe(true);
+    expect(loadSetting('pitchtrainer.teleprompter')).toBe('true');
+
+    saveSetting('pitchtrainer.teleprompter', null);
+    expect(loadSetting('pitchtrainer.teleprompter')).toBeNull();
+  });
+
+  test('should round-trip JSON settings and ignore invalid JSON', () => {
+    global.localStorage = createStorage();
+
+    saveJsonSetting('pitchtrainer.vocabulary', { name: 'Andreas', company: '', terms: '' });
+    expect(loadJsonSetting('pitchtrainer.vocabulary')).toEqual({ name: 'Andreas', company: '', terms: '' });
+
+    global.localStorage.setItem('pitchtrainer.vocabulary', '{broken');
+    expect(loadJsonSetting('pitchtrainer.vocabulary')).toBeNull();
+    expect(loadJsonSetting('pitchtrainer.missing')).toBeNull();
+  });
+
+  test('should fall back when localStorage is unavailable', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(loadSetting('pitchtrainer.language')).toBeNull();
+    expect(loadJsonSetting('pitchtrainer.vocabulary')).toBeNull();
+    expect(saveSetting('pitchtrainer.language', 'en-US')).toBe(false);
+    expect(warn).toHaveBeenCalled();
+  });
+
+  test('should report a full or blocked localStorage', () => {
+    global.localStorage = {
+      ...createStorage(),
+      setItem: () => { throw new Error('QuotaExceededError'); }
+    };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(saveSetting('pitchtrainer.script', 'Hallo')).toBe(false);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Level 1 Unit Tests: syncCrypto
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests recovery codes, sync ids and the end-to-end encryption of the history
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { generateRecoveryCode, normalizeRecoveryCode, deriveSyncId, encryptPayload, decryptPayload } from '../../src/utils/syncCrypto';
+
+describe('syncCrypto Unit Tests', () => {
+  const code = 'K7PQ-2M9X-HT4B-R8WZ-03NC';
+
+  test('should generate random grouped recovery codes', () => {
+    const first = generateRecoveryCode();
+
+    expect(first).toMatch(/^([0-9A-HJKMNP-TV-Z]{4}-){4}[0-9A-HJKMNP-TV-Z]{4}$/);
+    expect(generateRecoveryCode()).not.toBe(first);
+  });
+
+  test('should normalize typed codes and reject invalid ones', () => {
+    expect(normalizeRecoveryCode(' k7pq 2m9x ht4b r8wz o3nc ')).toBe(code);
+    expect(normalizeRecoveryCode('K7PQ-2M9X-HT4B-R8WZ-03NL')).toBe('K7PQ-2M9X-HT4B-R8WZ-03N1');
+    expect(normalizeRecoveryCode('K7PQ-2M9X-HT4B-R8WZ')).toBeNull();
+    expect(normalizeRecoveryCode('K7PQ-2M9X-HT4B-R8WZ-03NU')).toBeNull();
+    expect(normalizeRecoveryCode(null)).toBeNull();
+  });
+
+  test('should derive a stable sync id that does not reveal the code', async () => {
+    const syncId = await deriveSyncId(code);
+
+    expect(syncId).toMatch(/^[a-f0-9]{64}$/);
+    expect(await deriveSyncId(code)).toBe(syncId);
+    expect(await deriveSyncId('K7PQ-2M9X-HT4B-R8WZ-03ND')).not.toBe(syncId);
+  });
+
+  test('should encrypt and decrypt the history with the recovery code only', async () => {
+    const payload = { entries: [{ created_at: '2026-03-01T10:00:00Z', overall_score: 72, transcript: 'Hallo BNI' }] };
+    const blob = await encryptPayload(payload, code);
+
+    expect(blob).toMatch(/^v1\./);
+    expect(blob).not.toContain('Hallo');
+    expect(await encryptPayload(payload, code)).not.toBe(blob);
+    expect(await decryptPayload(blob, code)).toEqual(payload);
+    await expect(decryptPayload(blob, 'K7PQ-2M9X-HT4B-R8WZ-03ND')).rejects.toThrow('could not be decrypted');
+    await expect(decryptPayload('garbage', code)).rejects.toThrow('Unknown sync blob format');
+  });
+
+  test('should round-trip a history larger than 200 KB', async () => {
+    const transcript = 'Ich helfe Handwerksbetrieben, ihre Angebote schneller zu schreiben. '.repeat(50);
+    const payload = { entries: Array.from({ length: 80 }, (_, index) => ({ created_at: `2026-03-01T10:00:${index}Z`, transcript })) };
+    const blob = await encryptPayload(payload, code);
+
+    expect(blob.length).toBeGreaterThan(200 * 1024);
+    expect(await decryptPayload(blob, code)).toEqual(payload);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Level 1 Unit Tests: takes
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests best-take selection and the per-KPI comparison of a session's takes
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { createTake, findBestTake, findComparableTakes, compareTakes } from '../../src/utils/takes';
+
+describe('takes Unit Tests', () => {
+  const result = (overall, ctaAsk, hook) => ({
+    overall_score: overall,
+    input_type: 'recording',
+    kpis: {
+      call_to_action: { specific_referral_ask: ctaAsk },
+      memorability: hook === undefined ? {} : { hook_tagline: hook }
+    }
+  });
+
+  const takes = [
+    createTake(1, { result: result(60, 50, 40), transcript: 'Take eins' }),
+    createTake(2, { result: result(72, 80), transcript: 'Take zwei' }),
+    createTake(3, { result: result(72, 70, 55), transcript: 'Take drei' })
+  ];
+
+  test('should compare scripts only with scripts', () => {
+    const script = createTake(4, { result: { ...result(90, 90, 90), input_type: 'script' }, transcript: 'Skript' });
+    const upload = createTake(5, { result: { ...result(50, 50, 50), input_type: 'upload' }, transcript: 'Upload' });
+    const mixed = [...takes, script, upload];
+
+    expect(findComparableTakes(mixed, 4).map((take) => take.number)).toEqual([4]);
+    expect(findComparableTakes(mixed, 5).map((take) => take.number)).toEqual([1, 2, 3, 5]);
+    expect(findComparableTakes(mixed, 9)).toEqual([]);
+  });
+
+  test('should create takes with input type', () => {
+    expect(takes[0]).toMatchObject({ number: 1, transcript: 'Take eins', transcription: null, input_type: 'recording' });
+    expect(createTake(1, { result: { overall_score: 50 }, transcription: { input_type: 'upload' } }).input_type).toBe('upload');
+  });
+
+  test('should pick the highest score and prefer the later take on a tie', () => {
+    expect(findBestTake(takes).number).toBe(3);
+    expect(findBestTake(takes.slice(0, 2)).number).toBe(2);
+    expect(findBestTake([])).toBeNull();
+  });
+
+  test('should compare overall score and KPIs against the first take', () => {
+    const rows = compareTakes(takes);
+
+    expect(rows.map(row => row.key)).toEqual(['overall_score', 'specific_referral_ask', 'hook_tagline']);
+    expect(rows[0]).toEqual({ key: 'overall_score', category: null, scores: [60, 72, 72], deltas: [null, 12, 12] });
+    expect(rows[1].deltas).toEqual([null, 30, 20]);
+    expect(rows[2]).toEqual({ key: 'hook_tagline', category: 'memorability', scores: [40, null, 55], deltas: [null, null, 15] });
+    expect(compareTakes([])).toEqual([]);
+  });
+
+  test('should round deltas of decimal scores to one decimal', () => {
+    const rows = compareTakes([
+      createTake(1, { result: result(65.1, 50.5) }),
+      createTake(2, { result: result(72.3, 49.3) })
+    ]);
+
+    expect(rows[0].deltas).toEqual([null, 7.2]);
+    expect(rows[1].deltas).toEqual([null, -1.2]);
+  });
+});
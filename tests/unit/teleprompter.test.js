@@ -0,0 +1,41 @@
+/**
+ * Level 1 Unit Tests: teleprompter
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests reader tracking against the live transcript and the pace calculation
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { tokenize } from '../../src/utils/words';
+import { trackPosition, getPace } from '../../src/utils/teleprompter';
+
+describe('teleprompter Unit Tests', () => {
+  const script = 'Mein Name ist Anna Muster. Wir bauen Wärmepumpen für Familien und Unternehmen in Stuttgart.';
+  const words = tokenize(script);
+
+  test('should tokenize the script with offsets', () => {
+    expect(words).toHaveLength(14);
+    expect(words[5]).toEqual({ text: 'Wir', key: 'wir', start: 27, end: 30 });
+  });
+
+  test('should follow the reader through the live transcript', () => {
+    expect(trackPosition(words, '')).toBe(-1);
+    expect(trackPosition(words, 'mein name ist anna')).toBe(3);
+    expect(trackPosition(words, 'Mein Name ist Anna Muster wir bauen Wärme Pumpen')).toBe(6);
+  });
+
+  test('should not jump ahead on a single common word', () => {
+    expect(trackPosition(words, 'mein name und')).toBe(1);
+  });
+
+  test('should never move backwards', () => {
+    expect(trackPosition(words, 'mein name', 8)).toBe(8);
+  });
+
+  test('should report ahead, behind and on pace', () => {
+    // 15 words in 30 seconds = 0.5 words per second
+    expect(getPace(9, 15, 10, 30)).toEqual({ expectedIndex: 5, offsetSeconds: 10, status: 'ahead' });
+    expect(getPace(1, 15, 10, 30)).toEqual({ expectedIndex: 5, offsetSeconds: -6, status: 'behind' });
+    expect(getPace(4, 15, 10, 30).status).toBe('on_pace');
+  });
+});
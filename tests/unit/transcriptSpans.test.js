@@ -0,0 +1,41 @@
+/**
+ * Level 1 Unit Tests: transcriptSpans
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests splitting and editing a transcript along uncertain-word spans
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { splitBySpans, applyReplacements } from '../../src/utils/transcriptSpans';
+
+describe('transcriptSpans Unit Tests', () => {
+  const transcript = 'Ich bin Andreas von Sieglok Konsulting.';
+  const spans = [
+    { start: 20, end: 38, text: 'Sieglok Konsulting' },
+    { start: 8, end: 15, text: 'Andreas' }
+  ];
+
+  test('should split the transcript into plain and highlighted parts', () => {
+    const parts = splitBySpans(transcript, spans);
+
+    expect(parts.map(part => part.text).join('')).toBe(transcript);
+    expect(parts.filter(part => part.span).map(part => part.text)).toEqual(['Andreas', 'Sieglok Konsulting']);
+  });
+
+  test('should skip spans outside the transcript or overlapping others', () => {
+    const parts = splitBySpans(transcript, [...spans, { start: 10, end: 12 }, { start: 30, end: 99 }]);
+
+    expect(parts.filter(part => part.span)).toHaveLength(2);
+  });
+
+  test('should replace spans by index', () => {
+    const corrected = applyReplacements(transcript, spans, ['Sigloch Consulting', 'Andreas']);
+
+    expect(corrected).toBe('Ich bin Andreas von Sigloch Consulting.');
+  });
+
+  test('should keep the transcript without replacements', () => {
+    expect(applyReplacements(transcript, spans, [])).toBe(transcript);
+    expect(applyReplacements('', [], [])).toBe('');
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Level 1 Unit Tests: wordAlignment
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests the shared word tokens and LCS alignment
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+const { toKey, tokenize, alignWords } = require('../../src/services/wordAlignment');
+
+describe('wordAlignment Unit Tests', () => {
+  test('should compare words without case and punctuation', () => {
+    expect(toKey('Müller,')).toBe('müller');
+    expect(toKey('z.B.')).toBe('zb');
+  });
+
+  test('should tokenize with character spans', () => {
+    expect(tokenize('Hallo, info@firma.de!')).toEqual([
+      { key: 'hallo', start: 0, end: 5 },
+      { key: 'infofirmade', start: 7, end: 20 }
+    ]);
+    expect(tokenize('Solar-Anlagen', /[\p{L}]+/gu).map(token => token.key)).toEqual(['solar', 'anlagen']);
+    expect(tokenize(null)).toEqual([]);
+  });
+
+  test('should align the longest common subsequence of words', () => {
+    const left = tokenize('ich bin der Andreas von Sigloch');
+    const right = tokenize('äh ich bin Andreas Sigloch');
+
+    expect(alignWords(left, right)).toEqual([1, 2, -1, 3, -1, 4]);
+    expect(alignWords(left, [])).toEqual([-1, -1, -1, -1, -1, -1]);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Level 1 Unit Tests: wordDiff
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests the word-level diff used for the rewrite comparison
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { diffWords } from '../../src/utils/wordDiff';
+
+describe('wordDiff Unit Tests', () => {
+  test('should mark identical texts as unchanged', () => {
+    const diff = diffWords('Ich bin Andreas.', 'Ich bin Andreas.');
+
+    expect(diff.original.every(word => word.type === 'same')).toBe(true);
+    expect(diff.addedCount).toBe(0);
+    expect(diff.removedCount).toBe(0);
+  });
+
+  test('should mark removed and added words', () => {
+    const diff = diffWords('Ich bin Andreas von Sigloch', 'Hallo, ich bin Andreas von der Sigloch Consulting');
+
+    expect(diff.original.map(word => word.type)).toEqual(['same', 'same', 'same', 'same', 'same']);
+    expect(diff.revised.filter(word => word.type === 'added').map(word => word.text))
+      .toEqual(['Hallo,', 'der', 'Consulting']);
+    expect(diff.addedCount).toBe(3);
+  });
+
+  test('should ignore case and punctuation when matching', () => {
+    const diff = diffWords('Kunden, die sparen', 'kunden die sparen!');
+
+    expect(diff.removedCount).toBe(0);
+    expect(diff.addedCount).toBe(0);
+  });
+
+  test('should keep punctuation and dashes with the preceding word', () => {
+    const diff = diffWords('„Hallo“, ich bin – Andreas.', 'Hallo, ich bin Andreas.');
+
+    expect(diff.original.map(word => word.text)).toEqual(['„Hallo“,', 'ich', 'bin –', 'Andreas.']);
+    expect(diff.removedCount).toBe(0);
+  });
+
+  test('should keep word order of both texts', () => {
+    const diff = diffWords('a b c', 'a x c');
+
+    expect(diff.original.map(word => `${word.type}:${word.text}`)).toEqual(['same:a', 'removed:b', 'same:c']);
+    expect(diff.revised.map(word => `${word.type}:${word.text}`)).toEqual(['same:a', 'added:x', 'same:c']);
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Level 1 Unit Tests: words
+ * Author: andreas@siglochconsulting.com
+ *
+ * Tests the shared client tokenizer and word alignment
+ * Speed: < 5 seconds, no external dependencies
+ */
+
+import { tokenize, alignWords } from '../../src/utils/words';
+
+describe('words Unit Tests', () => {
+  test('should tokenize words with offsets and keys', () => {
+    expect(tokenize('  Hallo,  ich bin\nAndreas – info@firma.de ')).toEqual([
+      { text: 'Hallo', key: 'hallo', start: 2, end: 7 },
+      { text: 'ich', key: 'ich', start: 10, end: 13 },
+      { text: 'bin', key: 'bin', start: 14, end: 17 },
+      { text: 'Andreas', key: 'andreas', start: 18, end: 25 },
+      { text: 'info@firma.de', key: 'infofirmade', start: 28, end: 41 }
+    ]);
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+
+  test('should align words by key and mark unmatched words', () => {
+    const matches = alignWords(tokenize('Ich bin Andreas von Sigloch'), tokenize('Hallo, ich bin Andreas von der Sigloch'));
+
+    expect(matches).toEqual([1, 2, 3, 4, 6]);
+    expect(alignWords(tokenize('a b c'), tokenize('a x c'))).toEqual([0, -1, 2]);
+  });
+});